@@ -0,0 +1,26 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 3000}`;
+const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:8080';
+
+// Online payment gateway configuration
+// PAYMENT_GATEWAY selects the provider behind 'gateway' payment methods; leave it unset to take
+// manual payments only. PAYMENT_GATEWAY=fake runs a local stand-in with a hosted checkout page that
+// sends signed webhooks back to this server, for development and testing only: it is refused when
+// NODE_ENV=production and needs FAKE_GATEWAY_WEBHOOK_SECRET.
+const gatewayConfig = {
+  provider: process.env.PAYMENT_GATEWAY || null,
+  // Public base URL of this API - webhooks and the fake checkout page are reached through it
+  apiUrl,
+  // Where customers land after paying or giving up (bookingId is appended as a query parameter)
+  successUrl: process.env.PAYMENT_GATEWAY_SUCCESS_URL || `${frontendUrl}/payment/success`,
+  cancelUrl: process.env.PAYMENT_GATEWAY_CANCEL_URL || `${frontendUrl}/payment/cancel`,
+  fake: {
+    webhookSecret: process.env.FAKE_GATEWAY_WEBHOOK_SECRET,
+    checkoutBaseUrl: `${apiUrl}/api/gateway/fake/checkout`
+  }
+};
+
+export default gatewayConfig;
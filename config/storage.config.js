@@ -0,0 +1,35 @@
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Upload storage configuration
+// STORAGE_DRIVER=local (default) keeps files on disk under LOCAL_STORAGE_ROOT.
+// STORAGE_DRIVER=s3 stores them in an S3-compatible bucket; set S3_ENDPOINT and
+// S3_FORCE_PATH_STYLE=true for MinIO or other self-hosted stand-ins.
+const storageConfig = {
+  driver: process.env.STORAGE_DRIVER || 'local',
+  // Folders holding customer payment documents (screenshots, refund proofs, invoices). They are only
+  // ever read back through the API; with S3 they are kept in a separate bucket with no public access.
+  privateFolders: ['payments', 'refunds', 'invoices'],
+  local: {
+    root: process.env.LOCAL_STORAGE_ROOT || path.join(__dirname, '../uploads'),
+    baseUrl: '/uploads'
+  },
+  s3: {
+    bucket: process.env.S3_BUCKET,
+    privateBucket: process.env.S3_PRIVATE_BUCKET,
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    publicUrl: process.env.S3_PUBLIC_URL || undefined // e.g. CDN in front of the bucket
+  }
+};
+
+export default storageConfig;
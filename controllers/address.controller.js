@@ -0,0 +1,159 @@
+import User from '../models/User.model.js';
+import { ADDRESS_FIELDS } from '../models/Order.model.js';
+
+const EDITABLE_FIELDS = ['label', ...ADDRESS_FIELDS];
+
+// Copy editable address fields present in the request body
+const pickAddressFields = (body) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+};
+
+// Load the signed-in user's full document (req.user is loaded without the password field)
+const findCurrentUser = (req) => User.findById(req.user._id);
+
+// Respond with the address book, default address first
+const sendAddresses = (res, user, status = 200, message) => {
+  const addresses = [...user.addresses].sort((a, b) => Number(b.isDefault) - Number(a.isDefault));
+  return res.status(status).json({
+    success: true,
+    ...(message ? { message } : {}),
+    count: addresses.length,
+    addresses
+  });
+};
+
+// Respond with a validation or server error
+const handleAddressError = (error, res, message) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: Object.values(error.errors).map(err => err.message)
+    });
+  }
+
+  console.error(`${message}:`, error);
+  return res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+const addressController = {
+  // Get the signed-in user's address book
+  getAddresses: async (req, res) => {
+    try {
+      const user = await findCurrentUser(req);
+      return sendAddresses(res, user);
+    } catch (error) {
+      console.error('Get addresses error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error fetching addresses',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Add an address - the first address (or one sent with isDefault) becomes the default
+  addAddress: async (req, res) => {
+    try {
+      const user = await findCurrentUser(req);
+      const makeDefault = req.body.isDefault === true || req.body.isDefault === 'true';
+
+      if (makeDefault) {
+        user.addresses.forEach((address) => {
+          address.isDefault = false;
+        });
+      }
+      user.addresses.push({ ...pickAddressFields(req.body), isDefault: makeDefault });
+      await user.save();
+
+      return sendAddresses(res, user, 201, 'Address added successfully');
+    } catch (error) {
+      return handleAddressError(error, res, 'Error adding address');
+    }
+  },
+
+  // Update an address
+  updateAddress: async (req, res) => {
+    try {
+      const user = await findCurrentUser(req);
+      const address = user.addresses.id(req.params.addressId);
+
+      if (!address) {
+        return res.status(404).json({
+          success: false,
+          message: 'Address not found'
+        });
+      }
+
+      address.set(pickAddressFields(req.body));
+      if (req.body.isDefault === true || req.body.isDefault === 'true') {
+        user.addresses.forEach((entry) => {
+          entry.isDefault = entry === address;
+        });
+      }
+      await user.save();
+
+      return sendAddresses(res, user, 200, 'Address updated successfully');
+    } catch (error) {
+      return handleAddressError(error, res, 'Error updating address');
+    }
+  },
+
+  // Make an address the default
+  setDefaultAddress: async (req, res) => {
+    try {
+      const user = await findCurrentUser(req);
+      const address = user.addresses.id(req.params.addressId);
+
+      if (!address) {
+        return res.status(404).json({
+          success: false,
+          message: 'Address not found'
+        });
+      }
+
+      user.addresses.forEach((entry) => {
+        entry.isDefault = entry === address;
+      });
+      await user.save();
+
+      return sendAddresses(res, user, 200, 'Default address updated');
+    } catch (error) {
+      return handleAddressError(error, res, 'Error updating address');
+    }
+  },
+
+  // Remove an address - if it was the default, the next address takes over
+  deleteAddress: async (req, res) => {
+    try {
+      const user = await findCurrentUser(req);
+      const address = user.addresses.id(req.params.addressId);
+
+      if (!address) {
+        return res.status(404).json({
+          success: false,
+          message: 'Address not found'
+        });
+      }
+
+      address.deleteOne();
+      await user.save();
+
+      return sendAddresses(res, user, 200, 'Address removed successfully');
+    } catch (error) {
+      return handleAddressError(error, res, 'Error removing address');
+    }
+  }
+};
+
+export default addressController;
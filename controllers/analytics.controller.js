@@ -1,5 +1,34 @@
 import User from '../models/User.model.js';
-import Payment from '../models/Payment.model.js';
+import Payment, { FULFILMENT_STATUSES, PAID_STATUSES } from '../models/Payment.model.js';
+
+// Count non-deleted orders by fulfilment stage. Only orders to be shipped count: paid ones, and cash on
+// delivery orders still awaiting payment. Payments from before fulfilment tracking count as unfulfilled.
+const countByFulfilment = async (dateFilter) => {
+  const results = await Payment.aggregate([
+    {
+      $match: {
+        deletedAt: null,
+        ...dateFilter,
+        $or: [
+          { status: { $in: PAID_STATUSES } },
+          { status: 'pending', 'paymentMethod.type': 'cash_on_delivery' }
+        ]
+      }
+    },
+    {
+      $group: {
+        _id: { $ifNull: ['$fulfilment.status', 'unfulfilled'] },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const counts = Object.fromEntries(FULFILMENT_STATUSES.map(status => [status, 0]));
+  results.forEach(({ _id, count }) => {
+    counts[_id] = count;
+  });
+  return counts;
+};
 
 const analyticsController = {
   // Get analytics data for a specific time period
@@ -41,10 +70,10 @@ const analyticsController = {
       const orderFilter = { deletedAt: null, ...dateFilter };
       const orderCount = await Payment.countDocuments(orderFilter);
 
-      // Calculate revenue - sum of verified payments only
+      // Calculate revenue - verified payments (including refunded ones) less refunds
       const revenueFilter = { 
         deletedAt: null, 
-        status: 'verified',
+        status: { $in: PAID_STATUSES },
         ...dateFilter 
       };
       
@@ -53,12 +82,18 @@ const analyticsController = {
         {
           $group: {
             _id: null,
-            totalRevenue: { $sum: '$amount' }
+            totalRevenue: { $sum: { $subtract: ['$amount', { $ifNull: ['$refundedAmount', 0] }] } },
+            totalRefunds: { $sum: { $ifNull: ['$refundedAmount', 0] } },
+            totalDiscounts: { $sum: { $ifNull: ['$discount.amount', 0] } }
           }
         }
       ]);
 
       const revenue = revenueResult.length > 0 ? revenueResult[0].totalRevenue : 0;
+      const discounts = revenueResult.length > 0 ? revenueResult[0].totalDiscounts : 0;
+      const refunds = revenueResult.length > 0 ? revenueResult[0].totalRefunds : 0;
+
+      const fulfilment = await countByFulfilment(dateFilter);
 
       return res.json({
         success: true,
@@ -66,7 +101,12 @@ const analyticsController = {
         analytics: {
           users: userCount,
           orders: orderCount,
-          revenue: revenue
+          revenue: revenue,
+          // Revenue is net of refunds. Before-discount revenue adds back coupons and sale prices.
+          revenueBeforeDiscounts: revenue + discounts,
+          discounts,
+          refunds,
+          fulfilment
         }
       });
     } catch (error) {
@@ -106,10 +146,10 @@ const analyticsController = {
         const orderFilter = { deletedAt: null, ...dateFilter };
         const orderCount = await Payment.countDocuments(orderFilter);
 
-        // Calculate revenue (only verified payments)
+        // Calculate revenue (verified payments less refunds)
         const revenueFilter = { 
           deletedAt: null, 
-          status: 'verified',
+          status: { $in: PAID_STATUSES },
           ...dateFilter 
         };
         
@@ -118,17 +158,27 @@ const analyticsController = {
           {
             $group: {
               _id: null,
-              totalRevenue: { $sum: '$amount' }
+              totalRevenue: { $sum: { $subtract: ['$amount', { $ifNull: ['$refundedAmount', 0] }] } },
+              totalRefunds: { $sum: { $ifNull: ['$refundedAmount', 0] } },
+              totalDiscounts: { $sum: { $ifNull: ['$discount.amount', 0] } }
             }
           }
         ]);
 
         const revenue = revenueResult.length > 0 ? revenueResult[0].totalRevenue : 0;
+        const discounts = revenueResult.length > 0 ? revenueResult[0].totalDiscounts : 0;
+        const refunds = revenueResult.length > 0 ? revenueResult[0].totalRefunds : 0;
+
+        const fulfilment = await countByFulfilment(dateFilter);
 
         return {
           users: userCount,
           orders: orderCount,
-          revenue: revenue
+          revenue: revenue,
+          revenueBeforeDiscounts: revenue + discounts,
+          discounts,
+          refunds,
+          fulfilment
         };
       };
 
@@ -0,0 +1,270 @@
+import mongoose from 'mongoose';
+import Batch from '../models/Batch.model.js';
+import Product from '../models/Product.model.js';
+
+// Parse a date from the request body - returns null when invalid
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Parse a non-negative whole quantity - returns null when invalid
+const parseQuantity = (value) => {
+  const quantity = Number(value);
+  return Number.isInteger(quantity) && quantity >= 0 ? quantity : null;
+};
+
+// Find the Shilajit product a batch request is for, responding with an error if it isn't one
+const findShilajitProduct = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({
+      success: false,
+      message: 'Product not found'
+    });
+    return null;
+  }
+
+  const product = await Product.findById(req.params.id);
+
+  if (!product) {
+    res.status(404).json({
+      success: false,
+      message: 'Product not found'
+    });
+    return null;
+  }
+
+  if (product.productType !== 'Shilajit') {
+    res.status(400).json({
+      success: false,
+      message: 'Batches can only be managed for Shilajit products'
+    });
+    return null;
+  }
+
+  return product;
+};
+
+const batchController = {
+  // Get all batches for a product, including expired and inactive ones (admin only)
+  getBatches: async (req, res) => {
+    try {
+      const product = await findShilajitProduct(req, res);
+      if (!product) return;
+
+      const batches = await Batch.find({ productId: product._id }).sort({ expiryDate: 1 });
+
+      return res.json({
+        success: true,
+        count: batches.length,
+        batches
+      });
+    } catch (error) {
+      console.error('Get batches error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error fetching batches',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Create a batch for a product (admin only)
+  createBatch: async (req, res) => {
+    try {
+      const { lotNumber, productionDate, expiryDate, quantity, labReportUrl, notes } = req.body;
+
+      const product = await findShilajitProduct(req, res);
+      if (!product) return;
+
+      // Validation
+      if (!lotNumber || !productionDate || !expiryDate || quantity === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: 'Lot number, production date, expiry date and quantity are required'
+        });
+      }
+
+      const production = parseDate(productionDate);
+      const expiry = parseDate(expiryDate);
+      if (!production || !expiry) {
+        return res.status(400).json({
+          success: false,
+          message: 'Production and expiry dates must be valid dates'
+        });
+      }
+
+      const batchQuantity = parseQuantity(quantity);
+      if (batchQuantity === null) {
+        return res.status(400).json({
+          success: false,
+          message: 'Quantity must be a non-negative whole number'
+        });
+      }
+
+      const batch = new Batch({
+        productId: product._id,
+        lotNumber,
+        productionDate: production,
+        expiryDate: expiry,
+        quantity: batchQuantity,
+        labReportUrl: labReportUrl || undefined,
+        notes: notes || undefined
+      });
+
+      await batch.save();
+
+      return res.status(201).json({
+        success: true,
+        message: 'Batch created successfully',
+        batch
+      });
+    } catch (error) {
+      console.error('Create batch error:', error);
+
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'A batch with this lot number already exists for this product'
+        });
+      }
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error creating batch',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Update a batch (admin only)
+  updateBatch: async (req, res) => {
+    try {
+      const { lotNumber, productionDate, expiryDate, quantity, labReportUrl, notes, isActive } = req.body;
+
+      const product = await findShilajitProduct(req, res);
+      if (!product) return;
+
+      const batch = mongoose.Types.ObjectId.isValid(req.params.batchId)
+        ? await Batch.findOne({ _id: req.params.batchId, productId: product._id })
+        : null;
+
+      if (!batch) {
+        return res.status(404).json({
+          success: false,
+          message: 'Batch not found'
+        });
+      }
+
+      if (productionDate !== undefined || expiryDate !== undefined) {
+        const production = productionDate !== undefined ? parseDate(productionDate) : batch.productionDate;
+        const expiry = expiryDate !== undefined ? parseDate(expiryDate) : batch.expiryDate;
+        if (!production || !expiry) {
+          return res.status(400).json({
+            success: false,
+            message: 'Production and expiry dates must be valid dates'
+          });
+        }
+        batch.productionDate = production;
+        batch.expiryDate = expiry;
+      }
+
+      if (quantity !== undefined) {
+        const batchQuantity = parseQuantity(quantity);
+        if (batchQuantity === null) {
+          return res.status(400).json({
+            success: false,
+            message: 'Quantity must be a non-negative whole number'
+          });
+        }
+
+        // Units already sold from the batch stay sold - adjust what's left by the difference
+        const remaining = batch.quantityRemaining + (batchQuantity - batch.quantity);
+        if (remaining < 0) {
+          return res.status(400).json({
+            success: false,
+            message: `Quantity cannot be lower than the ${batch.quantity - batch.quantityRemaining} unit(s) already sold from this batch`
+          });
+        }
+        batch.quantity = batchQuantity;
+        batch.quantityRemaining = remaining;
+      }
+
+      if (lotNumber) batch.lotNumber = lotNumber;
+      if (labReportUrl !== undefined) batch.labReportUrl = labReportUrl || undefined;
+      if (notes !== undefined) batch.notes = notes || undefined;
+      if (isActive !== undefined) batch.isActive = isActive;
+
+      await batch.save();
+
+      return res.json({
+        success: true,
+        message: 'Batch updated successfully',
+        batch
+      });
+    } catch (error) {
+      console.error('Update batch error:', error);
+
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'A batch with this lot number already exists for this product'
+        });
+      }
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error updating batch',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Delete batch (admin only) - Soft delete so orders keep their batch reference
+  deleteBatch: async (req, res) => {
+    try {
+      const product = await findShilajitProduct(req, res);
+      if (!product) return;
+
+      const batch = mongoose.Types.ObjectId.isValid(req.params.batchId)
+        ? await Batch.findOne({ _id: req.params.batchId, productId: product._id })
+        : null;
+
+      if (!batch) {
+        return res.status(404).json({
+          success: false,
+          message: 'Batch not found'
+        });
+      }
+
+      batch.isActive = false;
+      await batch.save();
+
+      return res.json({
+        success: true,
+        message: 'Batch deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete batch error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error deleting batch',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+export default batchController;
@@ -0,0 +1,225 @@
+import mongoose from 'mongoose';
+import Product, { getCurrentPrice } from '../models/Product.model.js';
+
+// Get the session cart, initializing it if needed
+const getSessionCart = (req) => {
+  if (!req.session.cart || !Array.isArray(req.session.cart.items)) {
+    req.session.cart = { items: [] };
+  }
+  return req.session.cart;
+};
+
+// Resolve session cart entries against current products.
+// Products that were removed or deactivated since being added are dropped from the cart.
+const buildCartResponse = async (req) => {
+  const cart = getSessionCart(req);
+  const productIds = cart.items.map(item => item.productId);
+  const products = await Product.find({ _id: { $in: productIds }, isActive: true });
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+  cart.items = cart.items.filter(item => productsById.has(item.productId));
+
+  const items = cart.items.map(item => {
+    const product = productsById.get(item.productId);
+    const unitPrice = getCurrentPrice(product);
+    return {
+      productId: item.productId,
+      name: product.name,
+      productType: product.productType,
+      image: product.image,
+      quantity: item.quantity,
+      unitPrice,
+      lineTotal: unitPrice * item.quantity
+    };
+  });
+
+  return {
+    items,
+    itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+    subtotal: items.reduce((sum, item) => sum + item.lineTotal, 0)
+  };
+};
+
+// Parse a quantity from the request body - returns null when invalid
+const parseQuantity = (value) => {
+  const quantity = parseInt(value, 10);
+  return Number.isInteger(quantity) && quantity >= 1 ? quantity : null;
+};
+
+// Don't let the cart hold more than is available (stock is re-checked at checkout).
+// Returns the message to send when the quantity can't be had, or null.
+const checkStock = (product, quantity) => {
+  if (product.stock === null || product.stock === undefined || quantity <= product.stock) {
+    return null;
+  }
+  return product.stock > 0
+    ? `Only ${product.stock} of ${product.name} left in stock`
+    : `${product.name} is sold out`;
+};
+
+const cartController = {
+  // Get the current cart
+  getCart: async (req, res) => {
+    try {
+      const cart = await buildCartResponse(req);
+
+      return res.json({
+        success: true,
+        cart
+      });
+    } catch (error) {
+      console.error('Get cart error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error fetching cart',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Add a product to the cart (increments quantity if already present)
+  addItem: async (req, res) => {
+    try {
+      const { productId } = req.body;
+      const quantity = parseQuantity(req.body.quantity ?? 1);
+
+      if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'A valid product ID is required'
+        });
+      }
+
+      if (!quantity) {
+        return res.status(400).json({
+          success: false,
+          message: 'Quantity must be a positive whole number'
+        });
+      }
+
+      const product = await Product.findOne({ _id: productId, isActive: true });
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+
+      const cart = getSessionCart(req);
+      const existingItem = cart.items.find(item => item.productId === productId);
+
+      const stockMessage = checkStock(product, (existingItem ? existingItem.quantity : 0) + quantity);
+      if (stockMessage) {
+        return res.status(409).json({
+          success: false,
+          message: stockMessage
+        });
+      }
+
+      if (existingItem) {
+        existingItem.quantity += quantity;
+      } else {
+        cart.items.push({ productId, quantity });
+      }
+
+      return res.json({
+        success: true,
+        message: 'Item added to cart',
+        cart: await buildCartResponse(req)
+      });
+    } catch (error) {
+      console.error('Add cart item error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error adding item to cart',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Set the quantity of a product already in the cart
+  updateItem: async (req, res) => {
+    try {
+      const { productId } = req.params;
+      const quantity = parseQuantity(req.body.quantity);
+
+      if (!quantity) {
+        return res.status(400).json({
+          success: false,
+          message: 'Quantity must be a positive whole number'
+        });
+      }
+
+      const cart = getSessionCart(req);
+      const existingItem = cart.items.find(item => item.productId === productId);
+
+      if (!existingItem) {
+        return res.status(404).json({
+          success: false,
+          message: 'Item not found in cart'
+        });
+      }
+
+      // Products removed since being added drop out of the cart in buildCartResponse
+      const product = await Product.findOne({ _id: productId, isActive: true });
+      const stockMessage = product && checkStock(product, quantity);
+      if (stockMessage) {
+        return res.status(409).json({
+          success: false,
+          message: stockMessage
+        });
+      }
+
+      existingItem.quantity = quantity;
+
+      return res.json({
+        success: true,
+        message: 'Cart updated',
+        cart: await buildCartResponse(req)
+      });
+    } catch (error) {
+      console.error('Update cart item error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error updating cart',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Remove a product from the cart
+  removeItem: async (req, res) => {
+    try {
+      const { productId } = req.params;
+      const cart = getSessionCart(req);
+
+      cart.items = cart.items.filter(item => item.productId !== productId);
+
+      return res.json({
+        success: true,
+        message: 'Item removed from cart',
+        cart: await buildCartResponse(req)
+      });
+    } catch (error) {
+      console.error('Remove cart item error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error removing item from cart',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Empty the cart
+  clearCart: async (req, res) => {
+    req.session.cart = { items: [] };
+
+    return res.json({
+      success: true,
+      message: 'Cart cleared',
+      cart: { items: [], itemCount: 0, subtotal: 0 }
+    });
+  }
+};
+
+export default cartController;
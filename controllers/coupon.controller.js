@@ -0,0 +1,238 @@
+import mongoose from 'mongoose';
+import Coupon from '../models/Coupon.model.js';
+import Order from '../models/Order.model.js';
+import { evaluateCoupon } from '../services/coupon.service.js';
+
+const createValidationError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Parse an optional non-negative number - null/'' clears it
+const parseOptionalNumber = (value, label, { integer = false } = {}) => {
+  if (value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || (integer && !Number.isInteger(number))) {
+    throw createValidationError(`${label} must be a non-negative ${integer ? 'whole number' : 'number'}`);
+  }
+  return number;
+};
+
+// Parse an optional date - null/'' clears it
+const parseOptionalDate = (value, label) => {
+  if (value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw createValidationError(`${label} must be a valid date`);
+  }
+  return date;
+};
+
+// Coupon fields present in a request body
+const parseCouponFields = (body) => {
+  const fields = {};
+  if (body.code !== undefined) fields.code = body.code;
+  if (body.description !== undefined) fields.description = body.description;
+  if (body.type !== undefined) fields.type = body.type;
+  if (body.value !== undefined) fields.value = parseOptionalNumber(body.value, 'Discount value');
+  if (body.startsAt !== undefined) fields.startsAt = parseOptionalDate(body.startsAt, 'Start date');
+  if (body.expiresAt !== undefined) fields.expiresAt = parseOptionalDate(body.expiresAt, 'Expiry date');
+  if (body.minOrderAmount !== undefined) fields.minOrderAmount = parseOptionalNumber(body.minOrderAmount, 'Minimum order amount') || 0;
+  if (body.productTypes !== undefined) {
+    fields.productTypes = (Array.isArray(body.productTypes) ? body.productTypes : String(body.productTypes).split(','))
+      .map(type => String(type).trim())
+      .filter(Boolean);
+  }
+  if (body.maxUses !== undefined) fields.maxUses = parseOptionalNumber(body.maxUses, 'Usage limit', { integer: true });
+  if (body.maxUsesPerUser !== undefined) {
+    fields.maxUsesPerUser = parseOptionalNumber(body.maxUsesPerUser, 'Per-customer usage limit', { integer: true });
+  }
+  if (body.isActive !== undefined) fields.isActive = body.isActive === true || body.isActive === 'true';
+  return fields;
+};
+
+// Respond with a request or validation error, or a generic server error
+const handleCouponError = (error, res, message) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: Object.values(error.errors).map(err => err.message)
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'A coupon with this code already exists'
+    });
+  }
+
+  console.error(`${message}:`, error);
+  return res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+const couponController = {
+  // Preview a discount code against items (or the session cart) before paying (public)
+  validateCoupon: async (req, res) => {
+    try {
+      const { code, email, phone } = req.body;
+
+      if (!code) {
+        return res.status(400).json({
+          success: false,
+          message: 'Discount code is required'
+        });
+      }
+
+      const requestedItems = Array.isArray(req.body.items) && req.body.items.length > 0
+        ? req.body.items
+        : req.session?.cart?.items || [];
+      const items = await Order.buildItems(requestedItems);
+      const userId = req.isAuthenticated() && req.user ? req.user._id : null;
+
+      const { coupon, amount } = await evaluateCoupon(code, {
+        items,
+        customer: { userId, email: email || (userId ? req.user.email : undefined), phone }
+      });
+      const subtotal = Order.calculateSubtotal(items);
+
+      return res.json({
+        success: true,
+        discount: {
+          code: coupon.code,
+          type: coupon.type,
+          value: coupon.value,
+          amount,
+          subtotal,
+          subtotalAfterDiscount: subtotal - amount
+        }
+      });
+    } catch (error) {
+      return handleCouponError(error, res, 'Error checking discount code');
+    }
+  },
+
+  // Get all coupons (admin only)
+  getCoupons: async (req, res) => {
+    try {
+      const coupons = await Coupon.find().sort({ createdAt: -1 });
+
+      return res.json({
+        success: true,
+        count: coupons.length,
+        coupons
+      });
+    } catch (error) {
+      console.error('Get coupons error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error fetching coupons',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Create a coupon (admin only)
+  createCoupon: async (req, res) => {
+    try {
+      const fields = parseCouponFields(req.body);
+
+      if (!fields.code || !fields.type || fields.value === undefined || fields.value === null) {
+        return res.status(400).json({
+          success: false,
+          message: 'Code, discount type and value are required'
+        });
+      }
+
+      const coupon = await Coupon.create(fields);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Coupon created successfully',
+        coupon
+      });
+    } catch (error) {
+      return handleCouponError(error, res, 'Error creating coupon');
+    }
+  },
+
+  // Update a coupon (admin only) - usage counts are managed by payments, not editable here
+  updateCoupon: async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Coupon not found'
+        });
+      }
+
+      const coupon = await Coupon.findById(req.params.id);
+
+      if (!coupon) {
+        return res.status(404).json({
+          success: false,
+          message: 'Coupon not found'
+        });
+      }
+
+      coupon.set(parseCouponFields(req.body));
+      await coupon.save();
+
+      return res.json({
+        success: true,
+        message: 'Coupon updated successfully',
+        coupon
+      });
+    } catch (error) {
+      return handleCouponError(error, res, 'Error updating coupon');
+    }
+  },
+
+  // Delete a coupon (admin only) - Soft delete; payments keep the code they used
+  deleteCoupon: async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Coupon not found'
+        });
+      }
+
+      const coupon = await Coupon.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true });
+
+      if (!coupon) {
+        return res.status(404).json({
+          success: false,
+          message: 'Coupon not found'
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: 'Coupon deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete coupon error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error deleting coupon',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+export default couponController;
@@ -1,196 +1,1364 @@
-import Payment from '../models/Payment.model.js';
+import mongoose from 'mongoose';
+import Payment, { PAYMENT_STATUSES, REVIEW_STATUSES, FULFILMENT_STATUSES } from '../models/Payment.model.js';
+import Order from '../models/Order.model.js';
 import Product from '../models/Product.model.js';
 import User from '../models/User.model.js';
+import PaymentSettings, { MANUAL_PAYMENT_METHOD_TYPES } from '../models/PaymentSettings.model.js';
 import path from 'path';
-import fs from 'fs';
-import { fileURLToPath } from 'url';
+import {
+  reserveStock,
+  releaseStock,
+  releaseAllStock,
+  isReservationEmpty
+} from '../services/inventory.service.js';
+import { storage, keyFromRef } from '../services/storage.service.js';
+import { quoteShipping } from '../services/shipping.service.js';
+import { generateInvoice, getInvoicePdf } from '../services/invoice.service.js';
+import { changePaymentStatus } from '../services/paymentStatus.service.js';
+import { isPaymentMethodAvailable, createCheckoutSession, handleWebhook } from '../services/gateway.service.js';
+import {
+  evaluateCoupon,
+  claimCouponUse,
+  releaseCouponUse,
+  calculateSaleSavings
+} from '../services/coupon.service.js';
+import { verifyScreenshotSignature } from '../services/signedUrl.service.js';
+import { generateBookingId, bookingIdFilter } from '../services/bookingId.service.js';
+import { hashScreenshot, findScreenshotMatches } from '../services/screenshotHash.service.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// Populate options for a payment's order, including the products behind each line item
+const orderPopulate = {
+  path: 'orderId',
+  populate: { path: 'items.productId', select: 'name image price' }
+};
+
+const EMAIL_PATTERN = /^\S+@\S+\.\S+$/;
+
+const createPaymentError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Optional text field from the request body, trimmed ('' when missing).
+// Throws an error with status 400 when something other than text was sent.
+const bodyText = (value, name) => {
+  if (value === undefined || value === null) return '';
+  if (typeof value !== 'string') {
+    throw createPaymentError(`${name} must be text`, 400);
+  }
+  return value.trim();
+};
+
+// Where to send the order: an address entered at checkout (required for guests), a saved address
+// chosen by addressId, or the signed-in customer's default address
+const resolveShippingAddress = async (req, userId) => {
+  const { shippingAddress, addressId } = req.body;
+
+  if (shippingAddress) {
+    return Order.normalizeShippingAddress(shippingAddress);
+  }
+
+  if (userId) {
+    const user = await User.findById(userId).select('addresses');
+    const saved = addressId ? user?.addresses.id(addressId) : user?.getDefaultAddress();
+
+    if (addressId && !saved) {
+      const error = new Error('Saved address not found');
+      error.status = 404;
+      throw error;
+    }
+    if (saved) {
+      return Order.normalizeShippingAddress(saved.toObject());
+    }
+  }
+
+  const error = new Error('A shipping address is required');
+  error.status = 400;
+  throw error;
+};
+
+// Which enabled payment method the customer used, snapshotted for the payment. With one method on
+// offer it is the default; with several the customer has to pick. Stores that haven't added any
+// payment methods yet still accept payments without one.
+const resolvePaymentMethod = async (req) => {
+  const { paymentMethodId } = req.body;
+  const methods = (await PaymentSettings.getSettings()).getEnabledMethods().filter(isPaymentMethodAvailable);
+  if (!paymentMethodId && methods.length === 0) return undefined;
+
+  const method = paymentMethodId
+    ? methods.find(candidate => candidate._id.toString() === String(paymentMethodId))
+    : methods.length === 1 ? methods[0] : null;
+
+  if (!method) {
+    const error = new Error(paymentMethodId ? 'This payment method is not available' : 'Please choose a payment method');
+    error.status = 400;
+    throw error;
+  }
+
+  return {
+    methodId: method._id,
+    type: method.type,
+    label: method.label,
+    accountNumber: method.accountNumber
+  };
+};
+
+// Record one order for the requested items and one pending payment covering it
+const recordOrderPayment = async (req, requestedItems) => {
+  const { accountName, transactionId } = req.body;
+  const screenshot = req.file; // From multer
+  const paymentMethod = await resolvePaymentMethod(req);
+
+  // Transfers need proof - cash on delivery is paid when the order arrives and gateway payments
+  // are confirmed by the gateway
+  const needsScreenshot = !paymentMethod || MANUAL_PAYMENT_METHOD_TYPES.includes(paymentMethod.type);
+  if (!screenshot && needsScreenshot) {
+    const error = new Error('Payment screenshot is required');
+    error.status = 400;
+    throw error;
+  }
+
+  // Check if transaction ID already exists (only if provided)
+  if (transactionId) {
+    const existingPayment = await Payment.findOne({ transactionId });
+    if (existingPayment) {
+      const error = new Error('This transaction ID has already been submitted');
+      error.status = 400;
+      throw error;
+    }
+  }
+
+  // Get user ID if authenticated (req.user is set by passport session middleware if authenticated)
+  const userId = req.isAuthenticated() && req.user ? req.user._id : null;
+
+  const shippingAddress = await resolveShippingAddress(req, userId);
+
+  // Contact details for order tracking - the shipping address always provides a phone number
+  const contactEmail = (bodyText(req.body.email, 'Email') || (userId ? req.user.email : '')).toLowerCase();
+  const contactPhone = bodyText(req.body.phone, 'Phone') || shippingAddress.phone;
+
+  if (contactEmail && !EMAIL_PATTERN.test(contactEmail)) {
+    const error = new Error('Please provide a valid email address');
+    error.status = 400;
+    throw error;
+  }
+
+  const items = await Order.buildItems(requestedItems);
+
+  // Screenshots already used for another booking are flagged for the reviewer, not rejected
+  const screenshotHash = screenshot ? await hashScreenshot(screenshot.buffer) : undefined;
+  const screenshotMatches = await findScreenshotMatches(screenshotHash);
+
+  // Discount codes are checked server-side - throws 400 explaining why a code can't be used
+  const couponCode = bodyText(req.body.couponCode, 'Discount code');
+  const coupon = couponCode
+    ? await evaluateCoupon(couponCode, {
+      items,
+      customer: { userId, email: contactEmail, phone: contactPhone }
+    })
+    : null;
+  const couponAmount = coupon ? coupon.amount : 0;
+  const saleAmount = calculateSaleSavings(items);
+
+  // Shipping is priced server-side from the zone covering the address - throws 400 if we don't ship there
+  const shipping = await quoteShipping(items, shippingAddress);
+
+  // Hold stock (and Shilajit batch units) before recording anything - throws 409 if an item
+  // is sold out. Batch details are written onto the line items.
+  const reservation = await reserveStock(items);
+  const hasReservation = !isReservationEmpty(reservation);
+
+  let order;
+  let couponClaimed = false;
+  let couponCustomers = [];
+  try {
+    // Sequential booking ID, e.g. VGN-2026-000123-8
+    const bookingId = await generateBookingId();
+
+    if (coupon) {
+      couponCustomers = await claimCouponUse(coupon.coupon, { userId, email: contactEmail, phone: contactPhone });
+      couponClaimed = true;
+    }
+
+    order = await Order.create({
+      userId,
+      items,
+      shippingAddress,
+      subtotal: shipping.subtotal,
+      discount: coupon
+        ? { couponId: coupon.coupon._id, code: coupon.coupon.code, amount: couponAmount }
+        : undefined,
+      shippingCharge: shipping.shippingCharge,
+      shippingZone: shipping.zone || undefined,
+      total: shipping.total - couponAmount,
+      status: 'pending'
+    });
+
+    // Online payments are completed on the gateway's hosted page and verified by its webhook
+    const gateway = paymentMethod?.type === 'gateway'
+      ? await createCheckoutSession({ bookingId, amount: order.total })
+      : undefined;
+
+    const payment = new Payment({
+      bookingId,
+      orderId: order._id,
+      // Single-product payments keep productId populated for older clients
+      productId: items.length === 1 ? items[0].productId : undefined,
+      userId,
+      contactEmail: contactEmail || undefined,
+      contactPhone: contactPhone || undefined,
+      accountName,
+      transactionId,
+      paymentMethod,
+      gateway,
+      screenshot: screenshot?.storageRef,
+      screenshotHash,
+      screenshotMatches,
+      amount: order.total,
+      discount: {
+        couponId: coupon ? coupon.coupon._id : undefined,
+        code: coupon ? coupon.coupon.code : undefined,
+        type: coupon ? coupon.coupon.type : undefined,
+        value: coupon ? coupon.coupon.value : undefined,
+        customerKeys: couponCustomers.length > 0 ? couponCustomers : undefined,
+        couponAmount,
+        saleAmount,
+        amount: couponAmount + saleAmount
+      },
+      status: 'pending',
+      pendingSince: new Date(),
+      statusHistory: [{
+        from: null,
+        to: 'pending',
+        actor: userId,
+        note: 'Payment submitted',
+        ip: req.ip
+      }],
+      stockReservation: {
+        status: hasReservation ? 'reserved' : 'none',
+        items: reservation.items,
+        batches: reservation.batches,
+        reservedAt: hasReservation ? new Date() : undefined
+      }
+    });
+
+    await payment.save();
+
+    return { order, payment };
+  } catch (error) {
+    // Don't leave an orphaned order, held stock or a used coupon behind if the payment could not be recorded
+    await releaseStock(reservation);
+    if (couponClaimed) {
+      await releaseCouponUse(coupon.coupon._id, couponCustomers);
+    }
+    if (order) {
+      await Order.deleteOne({ _id: order._id });
+    }
+    throw error;
+  }
+};
+
+// Create one order for the requested items and one pending payment covering it.
+// Throws errors carrying a `status` property for request problems.
+const createOrderPayment = async (req, requestedItems) => {
+  try {
+    return await recordOrderPayment(req, requestedItems);
+  } catch (error) {
+    // Nothing refers to the uploaded screenshot if the payment wasn't recorded
+    if (req.file) {
+      storage.delete(req.file.key).catch(() => {});
+    }
+    throw error;
+  }
+};
+
+// Translate errors from createOrderPayment into a response
+const handleSubmissionError = (error, res) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  // Handle duplicate transaction ID error
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'This transaction ID has already been submitted'
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: 'Error submitting payment',
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// Stream a private payment file (screenshot or refund proof) from storage. Never cached by shared caches.
+const sendPrivateFile = async (ref, res, notFoundMessage = 'Screenshot not found') => {
+  const key = keyFromRef(ref);
+  if (!key || !(await storage.exists(key))) {
+    return res.status(404).json({
+      success: false,
+      message: notFoundMessage
+    });
+  }
+
+  const contents = await storage.get(key);
+  res.set('Cache-Control', 'private, no-store');
+  return res.type(path.extname(key) || 'application/octet-stream').send(contents);
+};
+
+// Whether the signed-in user may see a payment's private files (admins and the payment's owner)
+const canViewPaymentFiles = (req, payment) =>
+  req.user.role === 'admin' || (payment.userId && payment.userId.toString() === req.user._id.toString());
+
+const TIMELINE_LABELS = {
+  pending: 'Payment submitted',
+  verified: 'Payment verified',
+  rejected: 'Payment rejected',
+  expired: 'Payment expired',
+  partially_refunded: 'Payment partially refunded',
+  refunded: 'Payment refunded',
+  processing: 'Order processing',
+  shipped: 'Order shipped',
+  delivered: 'Order delivered',
+  cancelled: 'Order cancelled',
+  returned: 'Order returned'
+};
+
+// Status timeline shown to customers - payment review followed by fulfilment steps.
+// Payments recorded before status history existed fall back to their submission and review dates.
+const buildTimeline = (payment) => {
+  const history = payment.statusHistory?.length > 0
+    ? payment.statusHistory
+    : [
+      { from: null, to: 'pending', at: payment.createdAt },
+      ...(payment.status !== 'pending' ? [{ from: 'pending', to: payment.status, at: payment.verifiedAt }] : [])
+    ];
+
+  const paymentSteps = history.map(({ from, to, at }) => ({
+    status: to,
+    label: from === null ? TIMELINE_LABELS.pending : (TIMELINE_LABELS[to] || to),
+    at
+  }));
+
+  const fulfilmentSteps = (payment.fulfilment?.history || []).map(({ to, carrier, trackingNumber, at }) => ({
+    status: to,
+    label: TIMELINE_LABELS[to] || to,
+    ...(to === 'shipped' ? { carrier, trackingNumber } : {}),
+    at
+  }));
+
+  return [...paymentSteps, ...fulfilmentSteps].sort((a, b) => new Date(a.at) - new Date(b.at));
+};
+
+// Whether tracking details match the contact captured at checkout (or the owner's account email)
+const matchesContact = (payment, { email, phone }) => {
+  if (email) {
+    const normalizedEmail = email.trim().toLowerCase();
+    if (normalizedEmail === payment.contactEmail || normalizedEmail === payment.userId?.email) {
+      return true;
+    }
+  }
+
+  const digits = Payment.normalizePhone(phone);
+  return digits.length > 0 && digits === Payment.normalizePhone(payment.contactPhone);
+};
+
+// Parse a refund amount - defaults to everything not yet refunded. Returns null when invalid.
+const parseRefundAmount = (value, remaining) => {
+  if (value === undefined || value === null || value === '') return remaining;
+  const amount = Math.round(Number(value) * 100) / 100;
+  return Number.isFinite(amount) && amount > 0 ? amount : null;
+};
+
+// Soft delete: the payment leaves the admin list but stays in the customer's transaction history.
+// Throws an error with status 404 for an unknown payment and 409 for one already deleted.
+const softDeletePayment = async (paymentId, { actor, note }) => {
+  const deleted = await Payment.findOneAndUpdate(
+    { _id: paymentId, deletedAt: null },
+    { $set: { deletedAt: new Date(), deletedBy: actor, deletionNote: note || null } },
+    { new: true }
+  );
+
+  if (!deleted) {
+    const exists = await Payment.exists({ _id: paymentId });
+    throw exists
+      ? createPaymentError('Payment is already deleted', 409)
+      : createPaymentError('Payment not found', 404);
+  }
+  return deleted;
+};
+
+// Most payments one bulk request may act on
+const BULK_LIMIT = 100;
+
+// Problem with a bulk request's payment ID list, or null when it can be processed
+const checkBulkPaymentIds = (paymentIds) => {
+  if (!Array.isArray(paymentIds) || paymentIds.length === 0) {
+    return 'paymentIds must be a non-empty array';
+  }
+  if (paymentIds.length > BULK_LIMIT) {
+    return `At most ${BULK_LIMIT} payments can be changed at once`;
+  }
+  return null;
+};
+
+// Apply an action to each payment in turn. A failure is reported against its payment and the rest
+// carry on - payments already changed stay changed.
+const runBulkAction = async (paymentIds, action) => {
+  const results = [];
+
+  for (const paymentId of new Set(paymentIds.map(String))) {
+    if (!mongoose.Types.ObjectId.isValid(paymentId)) {
+      results.push({ paymentId, success: false, message: 'Invalid payment ID' });
+      continue;
+    }
+
+    try {
+      const payment = await action(paymentId);
+      results.push({ paymentId, success: true, bookingId: payment.bookingId, status: payment.status });
+    } catch (error) {
+      if (!error.status) {
+        console.error(`Bulk action error for payment ${paymentId}:`, error);
+      }
+      results.push({
+        paymentId,
+        success: false,
+        message: error.status ? error.message : 'Unexpected error processing this payment'
+      });
+    }
+  }
+
+  return results;
+};
+
+// Per-payment outcome of a bulk action, e.g. "8 of 10 payments verified, 2 failed"
+const sendBulkResults = (res, results, verb) => {
+  const succeeded = results.filter(result => result.success).length;
+  const failed = results.length - succeeded;
+
+  return res.json({
+    success: failed === 0,
+    message: `${succeeded} of ${results.length} payment(s) ${verb}${failed ? `, ${failed} failed` : ''}`,
+    summary: { requested: results.length, succeeded, failed },
+    results
+  });
+};
+
+// Admin payment list page size
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+const containsIgnoreCase = (value) =>
+  new RegExp(value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+
+// Trimmed string query param, or '' when missing or repeated
+const stringParam = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const parseDateParam = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw createPaymentError(`${name} must be a date`, 400);
+  }
+  return date;
+};
+
+// Parse ?from=&to= into a createdAt range - a bare date as `to` includes that whole day
+const parseDateRange = (from, to) => {
+  const range = {};
+  if (from) {
+    range.$gte = parseDateParam(from, 'from');
+  }
+  if (to) {
+    const end = parseDateParam(to, 'to');
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      end.setUTCDate(end.getUTCDate() + 1);
+      range.$lt = end;
+    } else {
+      range.$lte = end;
+    }
+  }
+  return Object.keys(range).length > 0 ? range : null;
+};
+
+// Parse ?minAmount=&maxAmount= into an amount range
+const parseAmountRange = (minAmount, maxAmount) => {
+  const range = {};
+  [[minAmount, 'minAmount', '$gte'], [maxAmount, 'maxAmount', '$lte']].forEach(([value, name, operator]) => {
+    if (!value) return;
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+      throw createPaymentError(`${name} must be a number`, 400);
+    }
+    range[operator] = number;
+  });
+  return Object.keys(range).length > 0 ? range : null;
+};
+
+// Position in the admin list (newest first) after a payment: its createdAt and _id
+const encodeCursor = (payment) =>
+  Buffer.from(`${payment.createdAt.toISOString()}_${payment._id}`).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  const [createdAt, id] = Buffer.from(cursor, 'base64url').toString('utf8').split('_');
+  const date = new Date(createdAt);
+  if (Number.isNaN(date.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+    throw createPaymentError('Invalid cursor', 400);
+  }
+  return { createdAt: date, _id: new mongoose.Types.ObjectId(id) };
+};
+
+// Build the admin payment list filter from query params. Values are cast here, as the filter is
+// also used in an aggregation. Throws an error with status 400 for invalid params.
+const buildPaymentListFilter = async (query) => {
+  const { status, minAmount, maxAmount, deleted } = query;
+  const from = stringParam(query.from);
+  const to = stringParam(query.to);
+  const productId = stringParam(query.productId);
+  const productType = stringParam(query.productType);
+  const email = stringParam(query.email);
+  const search = stringParam(query.q);
+
+  const conditions = [{ deletedAt: deleted === 'true' ? { $ne: null } : null }];
+
+  if (status) {
+    const statuses = [].concat(status).flatMap(value => String(value).split(',')).map(value => value.trim()).filter(Boolean);
+    const invalid = statuses.find(value => !PAYMENT_STATUSES.includes(value));
+    if (invalid) {
+      throw createPaymentError(`Invalid status "${invalid}". Use one of: ${PAYMENT_STATUSES.join(', ')}`, 400);
+    }
+    conditions.push({ status: { $in: statuses } });
+  }
+
+  const dateRange = parseDateRange(from, to);
+  if (dateRange) {
+    conditions.push({ createdAt: dateRange });
+  }
+
+  const amountRange = parseAmountRange(stringParam(minAmount), stringParam(maxAmount));
+  if (amountRange) {
+    conditions.push({ amount: amountRange });
+  }
+
+  // Product filters look at the order's line items, and at productId for payments from before orders existed
+  if (productId) {
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      throw createPaymentError('Invalid productId', 400);
+    }
+    const id = new mongoose.Types.ObjectId(productId);
+    const orderIds = await Order.distinct('_id', { 'items.productId': id });
+    conditions.push({ $or: [{ productId: id }, { orderId: { $in: orderIds } }] });
+  }
+
+  if (productType) {
+    // Line items snapshot their product type, but older orders may not have it
+    const productIds = await Product.distinct('_id', { productType });
+    const orderIds = await Order.distinct('_id', {
+      $or: [{ 'items.productType': productType }, { 'items.productId': { $in: productIds } }]
+    });
+    conditions.push({ $or: [{ productId: { $in: productIds } }, { orderId: { $in: orderIds } }] });
+  }
+
+  // Customer email - the account's, or the one given at checkout
+  if (email) {
+    const pattern = containsIgnoreCase(email);
+    const userIds = await User.distinct('_id', { email: pattern });
+    conditions.push({ $or: [{ contactEmail: pattern }, { userId: { $in: userIds } }] });
+  }
+
+  // Booking ID (current or legacy), transaction ID given by the customer, or the gateway's
+  if (search) {
+    const pattern = containsIgnoreCase(search);
+    conditions.push({
+      $or: [
+        { bookingId: pattern },
+        { legacyBookingId: pattern },
+        { transactionId: pattern },
+        { 'gateway.transactionId': pattern }
+      ]
+    });
+  }
+
+  return { $and: conditions };
+};
+
+const paymentController = {
+  // Create a new payment submission for a single product
+  createPayment: async (req, res) => {
+    try {
+      const { productId, quantity } = req.body;
+
+      // Validation
+      if (!productId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Product ID is required'
+        });
+      }
+
+      const { order, payment } = await createOrderPayment(req, [
+        { productId, quantity: quantity || 1 }
+      ]);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Payment submitted successfully. We will verify your payment shortly.',
+        order,
+        payment: payment.toCustomerJSON(),
+        // Send the customer here to pay when they chose online payment
+        checkoutUrl: payment.gateway?.checkoutUrl
+      });
+    } catch (error) {
+      console.error('Create payment error:', error);
+      return handleSubmissionError(error, res);
+    }
+  },
+
+  // Check out the session cart - one order and one payment for every item in it
+  checkout: async (req, res) => {
+    try {
+      const cartItems = req.session?.cart?.items || [];
+
+      if (cartItems.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Your cart is empty'
+        });
+      }
+
+      const { order, payment } = await createOrderPayment(req, cartItems);
+
+      // Empty the cart now that it has been turned into an order
+      req.session.cart = { items: [] };
+
+      return res.status(201).json({
+        success: true,
+        message: 'Order placed successfully. We will verify your payment shortly.',
+        order,
+        payment: payment.toCustomerJSON(),
+        // Send the customer here to pay when they chose online payment
+        checkoutUrl: payment.gateway?.checkoutUrl
+      });
+    } catch (error) {
+      console.error('Checkout error:', error);
+      return handleSubmissionError(error, res);
+    }
+  },
+
+  // Get payments (admin only), newest first. Filters: ?status= (comma-separated), ?from=&to=,
+  // ?minAmount=&maxAmount=, ?productId=, ?productType=, ?email=, ?q= (booking or transaction ID)
+  // and ?deleted=true for soft-deleted payments. Returns DEFAULT_PAGE_SIZE payments unless ?limit= asks
+  // for another size (up to MAX_PAGE_SIZE); pass the previous page's nextCursor as ?cursor= for the next.
+  getAllPayments: async (req, res) => {
+    try {
+      const filter = await buildPaymentListFilter(req.query);
+      const limit = stringParam(req.query.limit);
+      const cursor = stringParam(req.query.cursor);
+
+      const requestedSize = limit ? parseInt(limit, 10) : DEFAULT_PAGE_SIZE;
+      if (!Number.isInteger(requestedSize) || requestedSize < 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'limit must be a positive whole number'
+        });
+      }
+      const pageSize = Math.min(requestedSize, MAX_PAGE_SIZE);
+
+      let pageFilter = filter;
+      if (cursor) {
+        const after = decodeCursor(cursor);
+        pageFilter = {
+          $and: [
+            filter,
+            { $or: [{ createdAt: { $lt: after.createdAt } }, { createdAt: after.createdAt, _id: { $lt: after._id } }] }
+          ]
+        };
+      }
+
+      // One extra tells whether there is another page
+      const paymentQuery = Payment.find(pageFilter)
+        .populate('productId', 'name image price')
+        .populate(orderPopulate)
+        .populate('userId', 'email firstName lastName')
+        .populate('verifiedBy', 'email firstName lastName')
+        .populate('deletedBy', 'email firstName lastName')
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(pageSize + 1);
+
+      // Totals cover every payment matching the filters, not just this page
+      const [payments, [totals]] = await Promise.all([
+        paymentQuery,
+        Payment.aggregate([
+          { $match: filter },
+          { $group: { _id: null, count: { $sum: 1 }, amount: { $sum: '$amount' } } }
+        ])
+      ]);
+
+      const hasMore = payments.length > pageSize;
+      if (hasMore) {
+        payments.pop();
+      }
+
+      return res.json({
+        success: true,
+        count: payments.length,
+        total: totals ? totals.count : 0,
+        totalAmount: totals ? totals.amount : 0,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(payments[payments.length - 1]) : null,
+        payments
+      });
+    } catch (error) {
+      // Invalid filter or cursor
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Get payments error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error fetching payments',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Get payment by ID
+  getPaymentById: async (req, res) => {
+    try {
+      const payment = await Payment.findById(req.params.id)
+        .populate('productId', 'name image price')
+        .populate(orderPopulate)
+        .populate('userId', 'email firstName lastName')
+        .populate('verifiedBy', 'email firstName lastName')
+        .populate('statusHistory.actor', 'email firstName lastName')
+        .populate('fulfilment.history.actor', 'email firstName lastName')
+        .populate('screenshotMatches.paymentId', 'bookingId status amount contactEmail userId createdAt deletedAt');
+
+      if (!payment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Payment not found'
+        });
+      }
+
+      return res.json({
+        success: true,
+        payment
+      });
+    } catch (error) {
+      console.error('Get payment error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error fetching payment',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Look up an order by booking ID and the email or phone used at checkout (public, rate limited)
+  trackOrder: async (req, res) => {
+    try {
+      const { bookingId, email, phone } = req.body;
+
+      if (!bookingId || (!email && !phone)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Booking ID and the email or phone number used at checkout are required'
+        });
+      }
+
+      const payment = await Payment.findOne(bookingIdFilter(bookingId))
+        .populate('productId', 'name image')
+        .populate('orderId', 'items')
+        .populate('userId', 'email');
+
+      // Unknown booking IDs and wrong contact details get the same answer
+      if (!payment || !matchesContact(payment, { email, phone })) {
+        return res.status(404).json({
+          success: false,
+          message: 'No order found with those details'
+        });
+      }
+
+      const items = payment.orderId
+        ? payment.orderId.items.map(({ name, image, quantity }) => ({ name, image, quantity }))
+        : payment.productId
+          ? [{ name: payment.productId.name, image: payment.productId.image, quantity: 1 }]
+          : [];
+
+      return res.json({
+        success: true,
+        order: {
+          bookingId: payment.bookingId,
+          status: payment.status,
+          amount: payment.amount,
+          items,
+          fulfilment: {
+            status: payment.fulfilment?.status || 'unfulfilled',
+            carrier: payment.fulfilment?.carrier,
+            trackingNumber: payment.fulfilment?.trackingNumber
+          },
+          timeline: buildTimeline(payment),
+          screenshot: payment.toJSON().screenshot,
+          createdAt: payment.createdAt
+        }
+      });
+    } catch (error) {
+      // Booking ID with a wrong check digit
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Track order error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error looking up order',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Attach an order placed as a guest to the signed-in account. Needs the booking ID and the email or
+  // phone used at checkout, like order tracking - an account's email alone proves nothing, as it isn't verified.
+  claimGuestOrder: async (req, res) => {
+    try {
+      const { bookingId, email, phone } = req.body;
+
+      if (!bookingId || (!email && !phone)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Booking ID and the email or phone number used at checkout are required'
+        });
+      }
+
+      const payment = await Payment.findOne(bookingIdFilter(bookingId)).select('userId contactEmail contactPhone');
+
+      // Unknown booking IDs and wrong contact details get the same answer
+      if (!payment || !matchesContact(payment, { email, phone })) {
+        return res.status(404).json({
+          success: false,
+          message: 'No order found with those details'
+        });
+      }
+
+      // Only guest orders can be claimed (claimGuestPayment re-checks, in case of a race)
+      const claimed = payment.userId ? null : await Payment.claimGuestPayment(payment._id, req.user._id);
+      if (!claimed) {
+        const current = await Payment.findById(payment._id).select('userId');
+        const ownOrder = !!current?.userId?.equals(req.user._id);
+        return res.status(ownOrder ? 200 : 409).json({
+          success: ownOrder,
+          message: ownOrder ? 'This order is already in your account' : 'This order belongs to another account'
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: 'Order added to your account',
+        payment: claimed.toCustomerJSON()
+      });
+    } catch (error) {
+      // Booking ID with a wrong check digit
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Claim guest order error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error claiming order',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Get user's own transactions
+  getMyTransactions: async (req, res) => {
+    try {
+      const userId = req.user._id;
+      
+      const payments = await Payment.find({ userId })
+        .populate('productId', 'name image price')
+        .populate(orderPopulate)
+        .sort({ createdAt: -1 });
+
+      return res.json({
+        success: true,
+        count: payments.length,
+        payments: payments.map(payment => payment.toCustomerJSON())
+      });
+    } catch (error) {
+      console.error('Get my transactions error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error fetching transactions',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Update payment status (admin only). Every change is appended to the payment's status history.
+  updatePaymentStatus: async (req, res) => {
+    try {
+      const { status, notes } = req.body;
+      const paymentId = req.params.id;
+
+      // Refund states are reached by recording a refund, not set directly
+      if (!REVIEW_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid payment status'
+        });
+      }
+
+      const updated = await changePaymentStatus(paymentId, status, {
+        actor: req.user._id,
+        note: notes,
+        ip: req.ip
+      });
+
+      return res.json({
+        success: true,
+        message: `Payment ${status} successfully`,
+        payment: updated
+      });
+    } catch (error) {
+      // Unknown payments, disallowed transitions, lost races and stock conflicts
+      // (e.g. re-verifying a rejected payment whose items have since sold out)
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
 
-const paymentController = {
-  // Create a new payment submission
-  createPayment: async (req, res) => {
+      console.error('Update payment status error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error updating payment status',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Change the status of several payments with one note (admin only). Each payment follows the same
+  // rules and leaves the same history as a single status change; the response reports every outcome.
+  bulkUpdatePaymentStatus: async (req, res) => {
     try {
-      const { accountName, transactionId, productId } = req.body;
-      const screenshot = req.file; // From multer
+      const { status, notes, paymentIds } = req.body;
 
-      // Validation
-      if (!productId) {
+      if (!REVIEW_STATUSES.includes(status)) {
         return res.status(400).json({
           success: false,
-          message: 'Product ID is required'
+          message: 'Invalid payment status'
+        });
+      }
+
+      const idsError = checkBulkPaymentIds(paymentIds);
+      if (idsError) {
+        return res.status(400).json({
+          success: false,
+          message: idsError
+        });
+      }
+
+      const results = await runBulkAction(paymentIds, paymentId => changePaymentStatus(paymentId, status, {
+        actor: req.user._id,
+        note: notes,
+        ip: req.ip
+      }));
+
+      return sendBulkResults(res, results, status);
+    } catch (error) {
+      console.error('Bulk update payment status error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error updating payment statuses',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Advance an order's fulfilment (admin only): processing -> shipped -> delivered, or cancelled/returned
+  updateFulfilment: async (req, res) => {
+    try {
+      const { status, carrier, trackingNumber, notes } = req.body;
+      const paymentId = req.params.id;
+
+      if (!FULFILMENT_STATUSES.includes(status) || status === 'unfulfilled') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid fulfilment status'
         });
       }
 
-      if (!screenshot) {
+      if (status === 'shipped' && (!carrier || !trackingNumber)) {
         return res.status(400).json({
           success: false,
-          message: 'Payment screenshot is required'
+          message: 'Carrier and tracking number are required to mark an order as shipped'
         });
       }
 
-      // Check if product exists
-      const product = await Product.findById(productId);
-      if (!product) {
+      const payment = await Payment.findById(paymentId);
+
+      if (!payment) {
         return res.status(404).json({
           success: false,
-          message: 'Product not found'
+          message: 'Payment not found'
+        });
+      }
+
+      const previousStatus = payment.fulfilment?.status || 'unfulfilled';
+      if (!Payment.canFulfil(previousStatus, status)) {
+        return res.status(409).json({
+          success: false,
+          message: previousStatus === status
+            ? `Order is already ${status}`
+            : `An order that is ${previousStatus} cannot be marked ${status}`
+        });
+      }
+
+      const isPaid = ['verified', 'partially_refunded'].includes(payment.status);
+      const isUnpaidCashOnDelivery = payment.isCashOnDelivery() && payment.status === 'pending';
+      if (status !== 'cancelled' && !isPaid && !isUnpaidCashOnDelivery) {
+        return res.status(409).json({
+          success: false,
+          message: 'Only orders with a verified payment or cash on delivery can be fulfilled'
         });
       }
 
-      // Check if transaction ID already exists (only if provided)
-      if (transactionId) {
-        const existingPayment = await Payment.findOne({ transactionId });
-        if (existingPayment) {
-          return res.status(400).json({
-            success: false,
-            message: 'This transaction ID has already been submitted'
-          });
+      const now = new Date();
+      const update = {
+        $set: { 'fulfilment.status': status },
+        $push: {
+          'fulfilment.history': {
+            from: previousStatus,
+            to: status,
+            actor: req.user._id,
+            carrier: status === 'shipped' ? carrier : undefined,
+            trackingNumber: status === 'shipped' ? trackingNumber : undefined,
+            note: notes,
+            at: now
+          }
         }
+      };
+      if (status === 'shipped') {
+        update.$set['fulfilment.carrier'] = carrier;
+        update.$set['fulfilment.trackingNumber'] = trackingNumber;
+        update.$set['fulfilment.shippedAt'] = now;
+      } else if (status === 'delivered') {
+        update.$set['fulfilment.deliveredAt'] = now;
       }
 
-      // Get screenshot URL (from upload middleware)
-      const screenshotUrl = `/uploads/payments/${screenshot.filename}`;
+      // Payments from before fulfilment tracking have no fulfilment stage stored yet
+      const updated = await Payment.findOneAndUpdate(
+        {
+          _id: paymentId,
+          'fulfilment.status': previousStatus === 'unfulfilled' ? { $in: ['unfulfilled', null] } : previousStatus
+        },
+        update,
+        { new: true, runValidators: true }
+      );
 
-      // Get user ID if authenticated (req.user is set by passport session middleware if authenticated)
-      const userId = req.isAuthenticated() && req.user ? req.user._id : null;
+      if (!updated) {
+        return res.status(409).json({
+          success: false,
+          message: 'This order was updated by someone else. Reload it and try again.'
+        });
+      }
 
-      // Generate unique booking ID (format: VGN + timestamp + random 4 digits)
-      const timestamp = Date.now();
-      const randomDigits = Math.floor(1000 + Math.random() * 9000);
-      const bookingId = `VGN${timestamp}${randomDigits}`;
+      // Cancelled before shipping - the units never left, so put them back on sale
+      if (status === 'cancelled') {
+        await releaseAllStock(updated);
+        if (updated.orderId) {
+          await Order.updateOne({ _id: updated.orderId }, { status: 'cancelled' });
+        }
+      }
 
-      // Create payment record
-      const payment = new Payment({
-        bookingId,
-        productId,
-        userId,
-        accountName,
-        transactionId,
-        screenshot: screenshotUrl,
-        amount: product.price || 0,
-        status: 'pending'
+      return res.json({
+        success: true,
+        message: `Order marked as ${status}`,
+        payment: updated
+      });
+    } catch (error) {
+      console.error('Update fulfilment error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error updating fulfilment',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
       });
+    }
+  },
+
+  // Record a full or partial refund against a verified payment (admin only)
+  createRefund: async (req, res) => {
+    try {
+      const { amount, reason, reference } = req.body;
+      const paymentId = req.params.id;
+
+      if (!reason || !reason.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Refund reason is required'
+        });
+      }
+
+      const payment = await Payment.findById(paymentId);
+
+      if (!payment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Payment not found'
+        });
+      }
+
+      if (!['verified', 'partially_refunded'].includes(payment.status)) {
+        return res.status(409).json({
+          success: false,
+          message: payment.status === 'refunded'
+            ? 'Payment has already been fully refunded'
+            : `A ${payment.status} payment cannot be refunded`
+        });
+      }
+
+      const alreadyRefunded = payment.refundedAmount || 0;
+      const remaining = Math.round((payment.amount - alreadyRefunded) * 100) / 100;
+      const refundAmount = parseRefundAmount(amount, remaining);
+
+      if (refundAmount === null || refundAmount > remaining) {
+        return res.status(400).json({
+          success: false,
+          message: `Refund amount must be greater than zero and at most ${remaining}`
+        });
+      }
+
+      const status = refundAmount === remaining ? 'refunded' : 'partially_refunded';
+      const now = new Date();
+      const update = {
+        $inc: { refundedAmount: refundAmount },
+        $push: {
+          refunds: {
+            amount: refundAmount,
+            reason: reason.trim(),
+            reference,
+            proof: req.file ? req.file.storageRef : undefined,
+            actor: req.user._id,
+            createdAt: now
+          }
+        }
+      };
+      if (status !== payment.status) {
+        update.$set = { status };
+        update.$push.statusHistory = {
+          from: payment.status,
+          to: status,
+          actor: req.user._id,
+          note: reason.trim(),
+          ip: req.ip,
+          at: now
+        };
+      }
+
+      // Only apply if nothing was refunded or re-reviewed in the meantime - refunds can never exceed the amount paid
+      const updated = await Payment.findOneAndUpdate(
+        {
+          _id: paymentId,
+          status: payment.status,
+          refundedAmount: alreadyRefunded === 0 ? { $in: [0, null] } : alreadyRefunded
+        },
+        update,
+        { new: true, runValidators: true }
+      );
+
+      if (!updated) {
+        if (req.file) {
+          storage.delete(req.file.key).catch(() => {});
+        }
+        return res.status(409).json({
+          success: false,
+          message: 'This payment was updated by someone else. Reload it and try again.'
+        });
+      }
 
-      await payment.save();
+      if (status === 'refunded' && updated.orderId) {
+        await Order.updateOne({ _id: updated.orderId }, { status: 'refunded' });
+      }
 
       return res.status(201).json({
         success: true,
-        message: 'Payment submitted successfully. We will verify your payment shortly.',
-        payment
+        message: status === 'refunded' ? 'Payment refunded in full' : `Refunded ${refundAmount} of ${updated.amount}`,
+        payment: updated
       });
     } catch (error) {
-      console.error('Create payment error:', error);
-      
-      // Handle duplicate transaction ID error
-      if (error.code === 11000) {
-        return res.status(400).json({
+      if (req.file) {
+        storage.delete(req.file.key).catch(() => {});
+      }
+      console.error('Create refund error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error recording refund',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Download a payment's invoice PDF (admin or the payment's owner)
+  downloadInvoice: async (req, res) => {
+    try {
+      const payment = await Payment.findById(req.params.id).select('userId');
+
+      if (!payment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Payment not found'
+        });
+      }
+
+      if (!canViewPaymentFiles(req, payment)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      const { invoice, pdf } = await getInvoicePdf(payment._id);
+
+      res.set('Cache-Control', 'private, no-store');
+      res.set('Content-Disposition', `attachment; filename="${invoice.invoiceNumber}.pdf"`);
+      return res.type('application/pdf').send(pdf);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
           success: false,
-          message: 'This transaction ID has already been submitted'
+          message: error.message
         });
       }
 
+      console.error('Download invoice error:', error);
       return res.status(500).json({
         success: false,
-        message: 'Error submitting payment',
+        message: 'Error fetching invoice',
         error: process.env.NODE_ENV === 'development' ? error.message : undefined
       });
     }
   },
 
-  // Get all payments (admin only)
-  getAllPayments: async (req, res) => {
+  // Re-render a payment's invoice from current details, keeping its number (admin only)
+  regenerateInvoice: async (req, res) => {
     try {
-      // Only show non-deleted payments in admin panel
-      const payments = await Payment.find({ deletedAt: null })
-        .populate('productId', 'name image price')
-        .populate('userId', 'email firstName lastName')
-        .populate('verifiedBy', 'email firstName lastName')
-        .sort({ createdAt: -1 });
+      const invoice = await generateInvoice(req.params.id);
 
       return res.json({
         success: true,
-        count: payments.length,
-        payments
+        message: `Invoice ${invoice.invoiceNumber} regenerated`,
+        invoice
       });
     } catch (error) {
-      console.error('Get payments error:', error);
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Regenerate invoice error:', error);
       return res.status(500).json({
         success: false,
-        message: 'Error fetching payments',
+        message: 'Error generating invoice',
         error: process.env.NODE_ENV === 'development' ? error.message : undefined
       });
     }
   },
 
-  // Get payment by ID
-  getPaymentById: async (req, res) => {
+  // Get a refund's proof file (admin or the payment's owner)
+  getRefundProof: async (req, res) => {
     try {
-      const payment = await Payment.findById(req.params.id)
-        .populate('productId', 'name image price')
-        .populate('userId', 'email firstName lastName')
-        .populate('verifiedBy', 'email firstName lastName');
+      const payment = await Payment.findById(req.params.id).select('userId refunds');
+      const refund = payment ? payment.refunds.id(req.params.refundId) : null;
 
-      if (!payment) {
+      if (!refund) {
         return res.status(404).json({
           success: false,
-          message: 'Payment not found'
+          message: 'Refund not found'
         });
       }
 
-      return res.json({
-        success: true,
-        payment
-      });
+      if (!canViewPaymentFiles(req, payment)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      return await sendPrivateFile(refund.proof, res, 'Refund proof not found');
     } catch (error) {
-      console.error('Get payment error:', error);
+      console.error('Get refund proof error:', error);
       return res.status(500).json({
         success: false,
-        message: 'Error fetching payment',
+        message: 'Error fetching refund proof',
         error: process.env.NODE_ENV === 'development' ? error.message : undefined
       });
     }
   },
 
-  // Get user's own transactions
-  getMyTransactions: async (req, res) => {
+  // Get a payment's screenshot (admin or the payment's owner)
+  getScreenshot: async (req, res) => {
     try {
-      const userId = req.user._id;
-      
-      const payments = await Payment.find({ userId })
-        .populate('productId', 'name image price')
-        .sort({ createdAt: -1 });
+      const payment = await Payment.findById(req.params.id).select('userId screenshot');
 
-      return res.json({
-        success: true,
-        count: payments.length,
-        payments
-      });
+      if (!payment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Payment not found'
+        });
+      }
+
+      if (!canViewPaymentFiles(req, payment)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      return await sendPrivateFile(payment.screenshot, res);
     } catch (error) {
-      console.error('Get my transactions error:', error);
+      console.error('Get screenshot error:', error);
       return res.status(500).json({
         success: false,
-        message: 'Error fetching transactions',
+        message: 'Error fetching screenshot',
         error: process.env.NODE_ENV === 'development' ? error.message : undefined
       });
     }
   },
 
-  // Update payment status (admin only)
-  updatePaymentStatus: async (req, res) => {
+  // Get a payment's screenshot through a signed link (guests and embedded images)
+  getSignedScreenshot: async (req, res) => {
     try {
-      const { status, notes } = req.body;
-      const paymentId = req.params.id;
+      const { bookingId } = req.params;
+      const { expires, signature } = req.query;
 
-      if (!['pending', 'verified', 'rejected'].includes(status)) {
-        return res.status(400).json({
+      if (!verifyScreenshotSignature(bookingId, expires, signature)) {
+        return res.status(403).json({
           success: false,
-          message: 'Invalid payment status'
+          message: 'This screenshot link is invalid or has expired'
         });
       }
 
-      const payment = await Payment.findById(paymentId);
+      // Links signed before a payment's booking ID was migrated still carry the legacy ID
+      const payment = await Payment.findOne(bookingIdFilter(bookingId)).select('screenshot');
 
       if (!payment) {
         return res.status(404).json({
@@ -199,26 +1367,39 @@ const paymentController = {
         });
       }
 
-      payment.status = status;
-      if (notes) payment.notes = notes;
-
-      if (status === 'verified' || status === 'rejected') {
-        payment.verifiedAt = new Date();
-        payment.verifiedBy = req.user._id;
-      }
+      return await sendPrivateFile(payment.screenshot, res);
+    } catch (error) {
+      console.error('Get signed screenshot error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error fetching screenshot',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
 
-      await payment.save();
+  // Receive a signed webhook from the online payment gateway (public - authenticated by its signature)
+  handleGatewayWebhook: async (req, res) => {
+    try {
+      const result = await handleWebhook(req.params.provider, req.body, req.headers);
 
       return res.json({
         success: true,
-        message: `Payment ${status} successfully`,
-        payment
+        ...result
       });
     } catch (error) {
-      console.error('Update payment status error:', error);
+      // Bad signatures and unknown sessions - the gateway shouldn't retry these
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Gateway webhook error:', error);
       return res.status(500).json({
         success: false,
-        message: 'Error updating payment status',
+        message: 'Error processing webhook',
         error: process.env.NODE_ENV === 'development' ? error.message : undefined
       });
     }
@@ -227,31 +1408,83 @@ const paymentController = {
   // Delete payment (admin only) - Soft delete
   deletePayment: async (req, res) => {
     try {
-      const paymentId = req.params.id;
-
-      const payment = await Payment.findById(paymentId);
+      await softDeletePayment(req.params.id, { actor: req.user._id, note: req.body?.notes });
 
-      if (!payment) {
-        return res.status(404).json({
+      return res.json({
+        success: true,
+        message: 'Payment deleted successfully. It will remain visible to the user in their transaction history.'
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
           success: false,
-          message: 'Payment not found'
+          message: error.message
         });
       }
 
-      // Soft delete: Mark as deleted but keep in database
-      // This allows users to still see their transaction history
-      payment.deletedAt = new Date();
-      await payment.save();
+      console.error('Delete payment error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error deleting payment',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Bring a soft-deleted payment back to the admin list (admin only)
+  restorePayment: async (req, res) => {
+    try {
+      const restored = await Payment.findOneAndUpdate(
+        { _id: req.params.id, deletedAt: { $ne: null } },
+        { $set: { deletedAt: null, deletedBy: null, deletionNote: null } },
+        { new: true }
+      );
+
+      if (!restored) {
+        const exists = await Payment.exists({ _id: req.params.id });
+        return res.status(exists ? 409 : 404).json({
+          success: false,
+          message: exists ? 'Payment is not deleted' : 'Payment not found'
+        });
+      }
 
       return res.json({
         success: true,
-        message: 'Payment deleted successfully. It will remain visible to the user in their transaction history.'
+        message: 'Payment restored successfully',
+        payment: restored
       });
     } catch (error) {
-      console.error('Delete payment error:', error);
+      console.error('Restore payment error:', error);
       return res.status(500).json({
         success: false,
-        message: 'Error deleting payment',
+        message: 'Error restoring payment',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Soft delete several payments with one note (admin only), reporting each payment's outcome
+  bulkDeletePayments: async (req, res) => {
+    try {
+      const { notes, paymentIds } = req.body;
+
+      const idsError = checkBulkPaymentIds(paymentIds);
+      if (idsError) {
+        return res.status(400).json({
+          success: false,
+          message: idsError
+        });
+      }
+
+      const results = await runBulkAction(paymentIds, paymentId =>
+        softDeletePayment(paymentId, { actor: req.user._id, note: notes }));
+
+      return sendBulkResults(res, results, 'deleted');
+    } catch (error) {
+      console.error('Bulk delete payments error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error deleting payments',
         error: process.env.NODE_ENV === 'development' ? error.message : undefined
       });
     }
@@ -1,14 +1,112 @@
 import PaymentSettings from '../models/PaymentSettings.model.js';
+import { isPaymentMethodAvailable } from '../services/gateway.service.js';
+
+// Invoice business details
+const BUSINESS_FIELDS = ['businessName', 'businessAddress', 'businessEmail', 'businessPhone', 'taxNumber', 'currency'];
+
+const METHOD_FIELDS = ['type', 'label', 'provider', 'accountName', 'accountNumber', 'iban', 'instructions'];
+
+// Copy payment method fields present in the request body (multipart bodies send everything as strings)
+const pickMethodFields = (body) => {
+  const fields = Object.fromEntries(
+    METHOD_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+  );
+  if (body.enabled !== undefined) fields.enabled = body.enabled === true || body.enabled === 'true';
+  if (body.sortOrder !== undefined && body.sortOrder !== '') fields.sortOrder = Number(body.sortOrder);
+  return fields;
+};
+
+// Single-account fields from before payment methods. Older admin panels still send them to PUT / and
+// older storefronts read them from GET /; they stand for the first bank transfer method.
+const findLegacyAccountMethod = (methods) =>
+  methods.filter(method => method.type === 'bank_transfer').sort((a, b) => a.sortOrder - b.sortOrder)[0];
+
+// Legacy account fields for GET / - from the first bank transfer method customers are offered
+const legacyAccountFields = (methods) => {
+  const method = findLegacyAccountMethod(methods);
+  if (!method) return {};
+
+  const { accountNumber, accountName, provider, label, iban, qrCode } = method.toJSON();
+  return { accountNumber, accountName, bankName: provider || label, iban, qrCode };
+};
+
+// Apply legacy account fields from PUT / to the first bank transfer method, adding one if there is none
+const applyLegacyAccountFields = (settings, body, qrCode) => {
+  const fields = {};
+  if (body.accountNumber !== undefined) fields.accountNumber = body.accountNumber;
+  if (body.accountName !== undefined) fields.accountName = body.accountName;
+  if (body.bankName !== undefined) Object.assign(fields, { label: body.bankName, provider: body.bankName });
+  if (body.iban !== undefined) fields.iban = body.iban;
+  if (qrCode) fields.qrCode = qrCode;
+  if (Object.keys(fields).length === 0) return;
+
+  const method = findLegacyAccountMethod(settings.paymentMethods);
+  if (method) {
+    method.set(fields);
+  } else {
+    settings.paymentMethods.push({
+      type: 'bank_transfer',
+      label: 'Bank transfer',
+      sortOrder: settings.paymentMethods.reduce((max, existing) => Math.max(max, existing.sortOrder + 1), 0),
+      ...fields
+    });
+  }
+};
+
+// Every payment method in display order (admin view)
+const sortMethods = (settings) =>
+  [...settings.paymentMethods].sort((a, b) => a.sortOrder - b.sortOrder);
+
+// Respond with the admin's payment method list
+const sendMethods = (res, settings, message, status = 200) => {
+  const paymentMethods = sortMethods(settings);
+  return res.status(status).json({
+    success: true,
+    ...(message ? { message } : {}),
+    count: paymentMethods.length,
+    paymentMethods
+  });
+};
+
+// Respond with a validation or server error
+const handleSettingsError = (error, res, message) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: error.errors ? Object.values(error.errors).map(err => err.message) : [error.message]
+    });
+  }
+
+  console.error(`${message}:`, error);
+  return res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// 404 for an unknown payment method id
+const methodNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Payment method not found'
+});
 
 const paymentSettingsController = {
-  // Get payment settings (public for frontend, admin for admin panel)
+  // Get payment settings for the payment page (public) - only enabled payment methods customers can
+  // actually use (online payment needs a configured gateway), in display order
   getPaymentSettings: async (req, res) => {
     try {
       const settings = await PaymentSettings.getSettings();
-      
+      const paymentMethods = settings.getEnabledMethods().filter(isPaymentMethodAvailable);
+
       return res.json({
         success: true,
-        settings
+        settings: {
+          ...settings.toJSON(),
+          ...legacyAccountFields(paymentMethods),
+          paymentMethods
+        }
       });
     } catch (error) {
       console.error('Get payment settings error:', error);
@@ -20,59 +118,128 @@ const paymentSettingsController = {
     }
   },
 
-  // Create or update payment settings (admin only)
+  // Update invoice business details (admin only). Payment accounts are managed as payment methods;
+  // the single-account fields older clients send update the bank transfer method.
   updatePaymentSettings: async (req, res) => {
     try {
-      const { accountNumber, accountName, bankName, iban } = req.body;
-      const qrCode = req.file ? `/uploads/payment-settings/${req.file.filename}` : undefined;
+      const businessDetails = Object.fromEntries(
+        BUSINESS_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+      );
 
-      // Validation
-      if (!accountNumber || !accountName || !bankName) {
+      const settings = await PaymentSettings.getSettings();
+      settings.set(businessDetails);
+      applyLegacyAccountFields(settings, req.body, req.file?.storageRef);
+      await settings.save();
+
+      return res.json({
+        success: true,
+        message: 'Payment settings updated successfully',
+        settings
+      });
+    } catch (error) {
+      return handleSettingsError(error, res, 'Error updating payment settings');
+    }
+  },
+
+  // List every payment method, enabled or not (admin only)
+  getPaymentMethods: async (req, res) => {
+    try {
+      const settings = await PaymentSettings.getSettings();
+      return sendMethods(res, settings);
+    } catch (error) {
+      return handleSettingsError(error, res, 'Error fetching payment methods');
+    }
+  },
+
+  // Add a payment method (admin only). New methods go to the end of the list unless sortOrder is given.
+  addPaymentMethod: async (req, res) => {
+    try {
+      const settings = await PaymentSettings.getSettings();
+      const fields = pickMethodFields(req.body);
+      if (fields.sortOrder === undefined) {
+        fields.sortOrder = settings.paymentMethods.reduce((max, method) => Math.max(max, method.sortOrder + 1), 0);
+      }
+      if (req.file) fields.qrCode = req.file.storageRef;
+
+      settings.paymentMethods.push(fields);
+      await settings.save();
+
+      return sendMethods(res, settings, 'Payment method added successfully', 201);
+    } catch (error) {
+      return handleSettingsError(error, res, 'Error adding payment method');
+    }
+  },
+
+  // Update a payment method (admin only). A new QR code replaces the old one; removeQrCode=true clears it.
+  updatePaymentMethod: async (req, res) => {
+    try {
+      const settings = await PaymentSettings.getSettings();
+      const method = settings.paymentMethods.id(req.params.methodId);
+      if (!method) {
+        return methodNotFound(res);
+      }
+
+      method.set(pickMethodFields(req.body));
+      if (req.file) {
+        method.qrCode = req.file.storageRef;
+      } else if (req.body.removeQrCode === true || req.body.removeQrCode === 'true') {
+        method.qrCode = undefined;
+      }
+      await settings.save();
+
+      return sendMethods(res, settings, 'Payment method updated successfully');
+    } catch (error) {
+      return handleSettingsError(error, res, 'Error updating payment method');
+    }
+  },
+
+  // Set the display order (admin only) - body.methodIds lists payment method ids first to last
+  reorderPaymentMethods: async (req, res) => {
+    try {
+      const { methodIds } = req.body;
+      if (!Array.isArray(methodIds)) {
         return res.status(400).json({
           success: false,
-          message: 'Account number, account name, and bank name are required'
+          message: 'methodIds must be a list of payment method ids'
         });
       }
 
-      // Get existing settings or create new
-      let settings = await PaymentSettings.findOne({ isActive: true });
-
-      if (settings) {
-        // Update existing settings
-        settings.accountNumber = accountNumber;
-        settings.accountName = accountName;
-        settings.bankName = bankName;
-        if (iban) settings.iban = iban;
-        if (qrCode) settings.qrCode = qrCode;
-      } else {
-        // Create new settings
-        settings = new PaymentSettings({
-          accountNumber,
-          accountName,
-          bankName,
-          iban: iban || '',
-          qrCode: qrCode || '',
-          isActive: true
-        });
+      const settings = await PaymentSettings.getSettings();
+      const methods = methodIds.map(id => settings.paymentMethods.id(id));
+      if (methods.some(method => !method)) {
+        return methodNotFound(res);
       }
 
+      // Methods left out of the list keep their relative order after the listed ones
+      const rest = sortMethods(settings).filter(method => !methods.includes(method));
+      [...methods, ...rest].forEach((method, index) => {
+        method.sortOrder = index;
+      });
       await settings.save();
 
-      return res.json({
-        success: true,
-        message: 'Payment settings updated successfully',
-        settings
-      });
+      return sendMethods(res, settings, 'Payment methods reordered successfully');
     } catch (error) {
-      console.error('Update payment settings error:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Error updating payment settings',
-        error: process.env.NODE_ENV === 'development' ? error.message : undefined
-      });
+      return handleSettingsError(error, res, 'Error reordering payment methods');
+    }
+  },
+
+  // Remove a payment method (admin only). Payments keep the method details recorded at checkout.
+  deletePaymentMethod: async (req, res) => {
+    try {
+      const settings = await PaymentSettings.getSettings();
+      const method = settings.paymentMethods.id(req.params.methodId);
+      if (!method) {
+        return methodNotFound(res);
+      }
+
+      method.deleteOne();
+      await settings.save();
+
+      return sendMethods(res, settings, 'Payment method deleted successfully');
+    } catch (error) {
+      return handleSettingsError(error, res, 'Error deleting payment method');
     }
   }
 };
 
 export default paymentSettingsController;
-
@@ -1,8 +1,13 @@
-import Product from '../models/Product.model.js';
+import Product, { isSaleActive, getCurrentPrice, currentPriceExpression } from '../models/Product.model.js';
+import Batch from '../models/Batch.model.js';
+import { findDerivatives, buildSrcset } from '../services/image.service.js';
+import { resolveUrl } from '../services/storage.service.js';
 
-// Helper function to normalize image URLs - replace localhost with production backend URL
-const normalizeImageUrl = (imageUrl, req) => {
-  if (!imageUrl) return imageUrl;
+// Helper function to normalize image URLs - resolve stored references for the active storage
+// driver, then replace localhost with production backend URL
+const normalizeImageUrl = (storedUrl, req) => {
+  if (!storedUrl) return storedUrl;
+  const imageUrl = resolveUrl(storedUrl);
   
   // If image URL contains localhost, replace with current backend URL
   if (imageUrl.includes('localhost:3000') || imageUrl.includes('127.0.0.1:3000')) {
@@ -17,48 +22,425 @@ const normalizeImageUrl = (imageUrl, req) => {
 
 // Helper function to transform product image URLs in response
 const transformProductImages = (product, req) => {
+  // Products saved before galleries existed only have the single image
+  if ((!product.images || product.images.length === 0) && product.image) {
+    product.images = [{ url: product.image, isPrimary: true }];
+  }
   if (product.image) {
     product.image = normalizeImageUrl(product.image, req);
   }
+  if (product.images) {
+    const normalize = url => normalizeImageUrl(url, req);
+    product.images = product.images.map((image) => {
+      const variants = image.variants && image.variants.thumbnail
+        ? Object.fromEntries(Object.entries(image.variants).map(([size, variant]) => [
+          size,
+          { ...variant, url: normalize(variant.url), webpUrl: normalize(variant.webpUrl) }
+        ]))
+        : undefined;
+      return {
+        ...image,
+        url: normalize(image.url),
+        variants,
+        srcset: buildSrcset(image.variants, normalize)
+      };
+    });
+
+    // Primary image derivatives at the top level, alongside the legacy `image` field
+    const primary = product.images.find(image => image.isPrimary);
+    if (primary && primary.variants) {
+      product.imageVariants = primary.variants;
+      product.srcset = primary.srcset;
+    }
+  }
+  if (product.gemstone?.certificate?.fileUrl) {
+    product.gemstone.certificate.fileUrl = normalizeImageUrl(product.gemstone.certificate.fileUrl, req);
+  }
   return product;
 };
 
-const productController = {
-  // Get all products
-  getAllProducts: async (req, res) => {
+// Tracked products with this many units or fewer left are flagged as running low
+const LOW_STOCK_THRESHOLD = 5;
+
+// Helper function to add stock availability flags (untracked stock counts as in stock).
+// Only admins see the exact stock counts; everyone else gets the flags.
+const addStockStatus = (product, { admin = false } = {}) => {
+  const tracked = product.stock !== null && product.stock !== undefined;
+  product.inStock = !tracked || product.stock > 0;
+  product.soldOut = !product.inStock;
+  product.lowStock = tracked && product.inStock && product.stock <= LOW_STOCK_THRESHOLD;
+  if (!admin) {
+    delete product.stock;
+    delete product.reservedStock;
+  }
+  return product;
+};
+
+// Helper function to add current pricing - `currentPrice` is what the customer pays right now
+const addSalePricing = (product) => {
+  product.onSale = isSaleActive(product);
+  product.currentPrice = getCurrentPrice(product);
+  return product;
+};
+
+// Parse an optional sale price - null/'' ends the sale
+const parseSalePrice = (value) => {
+  if (value === null || value === '') return null;
+  const salePrice = Number(value);
+  if (!Number.isFinite(salePrice) || salePrice < 0) {
+    const error = new Error('Sale price must be a non-negative amount');
+    error.status = 400;
+    throw error;
+  }
+  return salePrice;
+};
+
+// Parse an optional sale start/end date - null/'' leaves it open-ended
+const parseSaleDate = (value, label) => {
+  if (value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    const error = new Error(`${label} must be a valid date`);
+    error.status = 400;
+    throw error;
+  }
+  return date;
+};
+
+// Parse an optional stock value from a request body - null/'' switches tracking off
+const parseStock = (value) => {
+  if (value === null || value === '') return null;
+  const stock = Number(value);
+  if (!Number.isInteger(stock) || stock < 0) {
+    const error = new Error('Stock must be a non-negative whole number');
+    error.status = 400;
+    throw error;
+  }
+  return stock;
+};
+
+// Parse an optional shipping weight in grams - null/'' clears it
+const parseWeight = (value) => {
+  if (value === null || value === '') return null;
+  const weight = Number(value);
+  if (!Number.isFinite(weight) || weight < 0) {
+    const error = new Error('Weight must be a non-negative number of grams');
+    error.status = 400;
+    throw error;
+  }
+  return weight;
+};
+
+// Validate gallery images from a request body - accepts URL strings or { url, alt, isPrimary }
+// objects, as an array or a JSON string (form data)
+const parseGalleryImages = (input) => {
+  let images = input;
+  if (typeof images === 'string') {
     try {
-      const { productType, category, featured } = req.query;
-      const filter = { isActive: true };
+      images = JSON.parse(images);
+    } catch (error) {
+      const parseError = new Error('Images must be a valid JSON array');
+      parseError.status = 400;
+      throw parseError;
+    }
+  }
 
-      if (productType) {
-        filter.productType = productType;
-      }
-      if (category) {
-        filter.category = category;
-      }
-      if (featured !== undefined) {
-        // Handle both 'true' and 'false' as strings from query params
-        if (featured === 'true') {
-          filter.featured = true;
-        } else if (featured === 'false') {
-          filter.featured = false;
-        }
+  if (!Array.isArray(images) || images.length === 0) {
+    const error = new Error('Images must be a non-empty array');
+    error.status = 400;
+    throw error;
+  }
+
+  return images.map((image) => {
+    const entry = typeof image === 'string' ? { url: image } : image;
+    if (!entry || typeof entry.url !== 'string' || !entry.url.trim()) {
+      const error = new Error('Every image needs a URL');
+      error.status = 400;
+      throw error;
+    }
+    return {
+      url: entry.url.trim(),
+      alt: entry.alt || undefined,
+      isPrimary: entry.isPrimary === true || entry.isPrimary === 'true'
+    };
+  });
+};
+
+// Attach generated derivatives to gallery images that don't have them yet
+const attachImageVariants = async (product) => {
+  for (const image of product.images) {
+    if (!image.variants || !image.variants.thumbnail || !image.variants.thumbnail.url) {
+      const variants = await findDerivatives(image.url);
+      if (variants) {
+        image.variants = variants;
       }
+    }
+  }
+};
 
-      const products = await Product.find(filter).sort({ createdAt: -1 });
+// Sort options accepted via ?sort= - price sorts on the price customers pay, sale included
+const SORT_OPTIONS = {
+  price: { currentPrice: 1 },
+  '-price': { currentPrice: -1 },
+  name: { name: 1 },
+  newest: { createdAt: -1 }
+};
 
-      // Transform image URLs to use current backend URL
-      const transformedProducts = products.map(product => {
-        const productObj = product.toObject();
-        return transformProductImages(productObj, req);
-      });
+const MAX_PAGE_SIZE = 100;
 
-      return res.json({
-        success: true,
-        count: transformedProducts.length,
-        products: transformedProducts
-      });
+// Parse a boolean query param ('true'/'false') - returns undefined for anything else
+const parseBooleanParam = (value) => {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return undefined;
+};
+
+// Parse a numeric min/max query param pair into a Mongo range - returns null when neither is given
+const parseRangeParams = (minValue, maxValue, minName, maxName) => {
+  if (minValue === undefined && maxValue === undefined) {
+    return null;
+  }
+
+  const range = {};
+  [[minValue, minName, '$gte'], [maxValue, maxName, '$lte']].forEach(([value, name, operator]) => {
+    if (value === undefined) return;
+    const number = parseFloat(value);
+    if (Number.isNaN(number)) {
+      const error = new Error(`${name} must be a number`);
+      error.status = 400;
+      throw error;
+    }
+    range[operator] = number;
+  });
+  return range;
+};
+
+// Case-insensitive exact match for user-supplied text (regex characters escaped)
+const exactMatchIgnoreCase = (value) => {
+  const escaped = value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped}$`, 'i');
+};
+
+const GEMSTONE_TREATMENTS = ['none', 'heat', 'oil', 'irradiation', 'diffusion', 'fracture-filling', 'other'];
+
+const createValidationError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Parse an optional non-negative number from gemstone input
+const parseGemstoneNumber = (value, label) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  if (Number.isNaN(number) || number < 0) {
+    throw createValidationError(`${label} must be a non-negative number`);
+  }
+  return number;
+};
+
+// Validate gemstone attributes from a request body (object or JSON string from form data)
+const parseGemstoneAttributes = (input) => {
+  let attributes = input;
+  if (typeof attributes === 'string') {
+    try {
+      attributes = JSON.parse(attributes);
+    } catch (error) {
+      throw createValidationError('Gemstone attributes must be valid JSON');
+    }
+  }
+  if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes)) {
+    throw createValidationError('Gemstone attributes must be an object');
+  }
+
+  const caratWeight = parseGemstoneNumber(attributes.caratWeight, 'Carat weight');
+  if (caratWeight === 0) {
+    throw createValidationError('Carat weight must be greater than zero');
+  }
+
+  const dimensions = attributes.dimensions || {};
+  const treatment = attributes.treatment ? String(attributes.treatment).toLowerCase() : 'none';
+  if (!GEMSTONE_TREATMENTS.includes(treatment)) {
+    throw createValidationError(`Treatment must be one of: ${GEMSTONE_TREATMENTS.join(', ')}`);
+  }
+
+  const gemstone = {
+    caratWeight,
+    dimensions: {
+      length: parseGemstoneNumber(dimensions.length, 'Length'),
+      width: parseGemstoneNumber(dimensions.width, 'Width'),
+      depth: parseGemstoneNumber(dimensions.depth, 'Depth')
+    },
+    colorGrade: attributes.colorGrade || undefined,
+    clarity: attributes.clarity || undefined,
+    cut: attributes.cut || undefined,
+    origin: attributes.origin || undefined,
+    treatment
+  };
+
+  if (attributes.certificate) {
+    const { number, lab, issuedAt, fileUrl } = attributes.certificate;
+    if (!number || typeof number !== 'string' || !number.trim()) {
+      throw createValidationError('Certificate number is required when certificate details are provided');
+    }
+    const issuedDate = issuedAt ? new Date(issuedAt) : undefined;
+    if (issuedDate && Number.isNaN(issuedDate.getTime())) {
+      throw createValidationError('Certificate issue date is invalid');
+    }
+    gemstone.certificate = {
+      number: number.trim().toUpperCase(),
+      lab: lab || undefined,
+      issuedAt: issuedDate,
+      fileUrl: fileUrl || undefined
+    };
+  }
+
+  return gemstone;
+};
+
+// Build filter, sort and pagination from product listing query params.
+// Shared by the public listing and the admin listing; only admins may filter on isActive.
+// Throws an error with a `status` property for invalid params.
+const parseProductQuery = (query, { admin = false } = {}) => {
+  const now = new Date();
+  const {
+    q, productType, category, featured, minPrice, maxPrice, sort, page, limit, isActive,
+    minCarat, maxCarat, origin, clarity, cut, colorGrade, treatment
+  } = query;
+  const filter = {};
+
+  if (admin) {
+    const active = parseBooleanParam(isActive);
+    if (active !== undefined) {
+      filter.isActive = active;
+    }
+  } else {
+    filter.isActive = true;
+  }
+
+  if (productType) {
+    filter.productType = productType;
+  }
+  if (category) {
+    filter.category = category;
+  }
+  const featuredFlag = parseBooleanParam(featured);
+  if (featuredFlag !== undefined) {
+    filter.featured = featuredFlag;
+  }
+
+  // Price filters match the current price, so a product on sale shows up at its sale price
+  const priceRange = parseRangeParams(minPrice, maxPrice, 'minPrice', 'maxPrice');
+  if (priceRange) {
+    filter.$expr = {
+      $and: Object.entries(priceRange).map(([operator, value]) => ({ [operator]: [currentPriceExpression(now), value] }))
+    };
+  }
+
+  // Gemstone attribute filters (only gemstones carry these fields)
+  const caratRange = parseRangeParams(minCarat, maxCarat, 'minCarat', 'maxCarat');
+  if (caratRange) {
+    filter['gemstone.caratWeight'] = caratRange;
+  }
+  const gemstoneTextFilters = { origin, clarity, cut, colorGrade, treatment };
+  Object.entries(gemstoneTextFilters).forEach(([field, value]) => {
+    if (typeof value === 'string' && value.trim()) {
+      filter[`gemstone.${field}`] = exactMatchIgnoreCase(value.trim());
+    }
+  });
+
+  const searchTerm = typeof q === 'string' ? q.trim() : '';
+  if (searchTerm) {
+    filter.$text = { $search: searchTerm };
+  }
+
+  if (sort && !SORT_OPTIONS[sort]) {
+    const error = new Error(`Invalid sort option. Use one of: ${Object.keys(SORT_OPTIONS).join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  // Default to relevance when searching, newest otherwise; _id keeps page boundaries stable
+  let sortSpec;
+  if (sort) {
+    sortSpec = { ...SORT_OPTIONS[sort], _id: -1 };
+  } else if (searchTerm) {
+    sortSpec = { score: { $meta: 'textScore' }, _id: -1 };
+  } else {
+    sortSpec = { createdAt: -1, _id: -1 };
+  }
+
+  // Pagination is opt-in so existing clients that expect the full list keep working
+  let pagination = null;
+  if (page !== undefined || limit !== undefined) {
+    const pageNumber = parseInt(page || '1', 10);
+    const pageSize = parseInt(limit || '20', 10);
+    if (!Number.isInteger(pageNumber) || pageNumber < 1 || !Number.isInteger(pageSize) || pageSize < 1) {
+      const error = new Error('page and limit must be positive whole numbers');
+      error.status = 400;
+      throw error;
+    }
+    pagination = { page: pageNumber, limit: Math.min(pageSize, MAX_PAGE_SIZE) };
+  }
+
+  return { filter, sort: sortSpec, pagination, searchTerm, now };
+};
+
+// Run a parsed product query and build the listing response body
+// (an aggregation, since sorting by price needs the current price worked out per product)
+const findProducts = async ({ filter, sort, pagination, searchTerm, now }, req, { admin = false } = {}) => {
+  const pipeline = [
+    { $match: filter },
+    { $addFields: { currentPrice: currentPriceExpression(now), ...(searchTerm && { score: { $meta: 'textScore' } }) } },
+    { $sort: sort }
+  ];
+
+  if (pagination) {
+    pipeline.push({ $skip: (pagination.page - 1) * pagination.limit }, { $limit: pagination.limit });
+  }
+
+  const [products, total] = await Promise.all([
+    Product.aggregate(pipeline),
+    Product.countDocuments(filter)
+  ]);
+
+  // Transform image URLs to use current backend URL
+  const transformedProducts = products.map(product => {
+    const productObj = Product.hydrate(product).toObject();
+    return addSalePricing(addStockStatus(transformProductImages(productObj, req), { admin }));
+  });
+
+  const page = pagination ? pagination.page : 1;
+  const limit = pagination ? pagination.limit : total;
+
+  return {
+    success: true,
+    count: transformedProducts.length,
+    total,
+    page,
+    limit,
+    totalPages: pagination ? Math.ceil(total / pagination.limit) : 1,
+    hasMore: pagination ? page * pagination.limit < total : false,
+    products: transformedProducts
+  };
+};
+
+const productController = {
+  // Get all products (supports ?q=, filters, ?sort= and ?page=&limit=)
+  getAllProducts: async (req, res) => {
+    try {
+      const productQuery = parseProductQuery(req.query);
+      const response = await findProducts(productQuery, req);
+
+      return res.json(response);
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       console.error('Get products error:', error);
       return res.status(500).json({
         success: false,
@@ -82,7 +464,27 @@ const productController = {
 
       // Transform image URL to use current backend URL
       const productObj = product.toObject();
-      const transformedProduct = transformProductImages(productObj, req);
+      const transformedProduct = addSalePricing(addStockStatus(transformProductImages(productObj, req), {
+        admin: req.user?.role === 'admin'
+      }));
+
+      // Shilajit: surface the batch currently being sold and its lab report
+      if (product.productType === 'Shilajit') {
+        const batch = await Batch.findCurrent(product._id);
+        if (batch) {
+          transformedProduct.batch = {
+            lotNumber: batch.lotNumber,
+            productionDate: batch.productionDate,
+            expiryDate: batch.expiryDate,
+            labReportUrl: normalizeImageUrl(batch.labReportUrl, req)
+          };
+        } else if (await Batch.exists({ productId: product._id, isActive: true })) {
+          // Batch-tracked but nothing unexpired left to sell from
+          transformedProduct.inStock = false;
+          transformedProduct.soldOut = true;
+          transformedProduct.lowStock = false;
+        }
+      }
 
       return res.json({
         success: true,
@@ -101,26 +503,44 @@ const productController = {
   // Create new product
   createProduct: async (req, res) => {
     try {
-      const { name, productType, image, description, category, featured, price } = req.body;
+      const {
+        name, productType, image, images, description, category, featured, price,
+        salePrice, saleStartsAt, saleEndsAt, stock, weight, gemstone
+      } = req.body;
 
-      // Validation
-      if (!name || !productType || !image || !description) {
+      // Validation - either the single image or a gallery is required
+      if (!name || !productType || (!image && !images) || !description) {
         return res.status(400).json({
           success: false,
           message: 'All required fields must be provided'
         });
       }
 
+      if (gemstone && productType !== 'Gemstone') {
+        return res.status(400).json({
+          success: false,
+          message: 'Gemstone attributes can only be set on Gemstone products'
+        });
+      }
+
       const product = new Product({
         name,
         productType,
         image,
+        images: images ? parseGalleryImages(images) : [{ url: image, isPrimary: true }],
         description,
         category: category || undefined,
         featured: featured || false,
-        price: price !== undefined ? parseFloat(price) : 0
+        price: price !== undefined ? parseFloat(price) : 0,
+        salePrice: salePrice !== undefined ? parseSalePrice(salePrice) : null,
+        saleStartsAt: saleStartsAt !== undefined ? parseSaleDate(saleStartsAt, 'Sale start') : null,
+        saleEndsAt: saleEndsAt !== undefined ? parseSaleDate(saleEndsAt, 'Sale end') : null,
+        stock: stock !== undefined ? parseStock(stock) : null,
+        weight: weight !== undefined ? parseWeight(weight) : null,
+        gemstone: gemstone ? parseGemstoneAttributes(gemstone) : undefined
       });
 
+      await attachImageVariants(product);
       await product.save();
 
       return res.status(201).json({
@@ -129,6 +549,30 @@ const productController = {
         product
       });
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      // Schema rules such as a sale price above the regular price
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      // Duplicate certificate number
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'This certificate number is already assigned to another product'
+        });
+      }
+
       console.error('Create product error:', error);
       return res.status(500).json({
         success: false,
@@ -141,7 +585,10 @@ const productController = {
   // Update product
   updateProduct: async (req, res) => {
     try {
-      const { name, productType, image, description, category, featured, price } = req.body;
+      const {
+        name, productType, image, images, description, category, featured, price,
+        salePrice, saleStartsAt, saleEndsAt, stock, weight, gemstone
+      } = req.body;
 
       const product = await Product.findById(req.params.id);
 
@@ -155,12 +602,42 @@ const productController = {
       // Update fields
       if (name) product.name = name;
       if (productType) product.productType = productType;
-      if (image) product.image = image;
+      if (images) {
+        product.images = parseGalleryImages(images);
+      } else if (image) {
+        // Older clients only know the single image - it replaces the primary gallery image
+        const primary = product.images.find(entry => entry.isPrimary);
+        if (primary) {
+          primary.url = image;
+          primary.variants = undefined;
+        } else {
+          product.images.push({ url: image, isPrimary: true });
+        }
+        product.image = image;
+      }
       if (description) product.description = description;
       if (category !== undefined) product.category = category || undefined;
       if (featured !== undefined) product.featured = featured;
       if (price !== undefined) product.price = parseFloat(price);
+      if (salePrice !== undefined) product.salePrice = parseSalePrice(salePrice);
+      if (saleStartsAt !== undefined) product.saleStartsAt = parseSaleDate(saleStartsAt, 'Sale start');
+      if (saleEndsAt !== undefined) product.saleEndsAt = parseSaleDate(saleEndsAt, 'Sale end');
+      if (stock !== undefined) product.stock = parseStock(stock);
+      if (weight !== undefined) product.weight = parseWeight(weight);
+
+      if (gemstone) {
+        if (product.productType !== 'Gemstone') {
+          return res.status(400).json({
+            success: false,
+            message: 'Gemstone attributes can only be set on Gemstone products'
+          });
+        }
+        product.gemstone = parseGemstoneAttributes(gemstone);
+      } else if (gemstone === null || product.productType !== 'Gemstone') {
+        product.gemstone = undefined;
+      }
 
+      await attachImageVariants(product);
       await product.save();
 
       return res.json({
@@ -169,6 +646,30 @@ const productController = {
         product
       });
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      // Schema rules such as a sale price above the regular price
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      // Duplicate certificate number
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'This certificate number is already assigned to another product'
+        });
+      }
+
       console.error('Update product error:', error);
       return res.status(500).json({
         success: false,
@@ -207,23 +708,258 @@ const productController = {
     }
   },
 
-  // Get products for admin (includes inactive)
-  getAdminProducts: async (req, res) => {
+  // Add images to a product's gallery (admin only)
+  addImages: async (req, res) => {
     try {
-      const products = await Product.find().sort({ createdAt: -1 });
+      const product = await Product.findById(req.params.id);
+
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
 
-      // Transform image URLs to use current backend URL
-      const transformedProducts = products.map(product => {
-        const productObj = product.toObject();
-        return transformProductImages(productObj, req);
+      const newImages = parseGalleryImages(req.body.images);
+
+      // A new primary image takes over from the current one
+      if (newImages.some(image => image.isPrimary)) {
+        product.images.forEach((image) => {
+          image.isPrimary = false;
+        });
+      }
+      product.images.push(...newImages);
+
+      await attachImageVariants(product);
+      await product.save();
+
+      return res.json({
+        success: true,
+        message: 'Images added successfully',
+        product: transformProductImages(product.toObject(), req)
       });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Add product images error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error adding images',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Reorder a product's gallery - body: { order: [imageId, ...] } listing every image once (admin only)
+  reorderImages: async (req, res) => {
+    try {
+      const { order } = req.body;
+
+      const product = await Product.findById(req.params.id);
+
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+
+      const currentIds = product.images.map(image => image._id.toString());
+      const isCompleteOrder = Array.isArray(order) &&
+        order.length === currentIds.length &&
+        new Set(order.map(String)).size === currentIds.length &&
+        order.every(id => currentIds.includes(String(id)));
+
+      if (!isCompleteOrder) {
+        return res.status(400).json({
+          success: false,
+          message: 'Order must list every gallery image ID exactly once'
+        });
+      }
+
+      const imagesById = new Map(product.images.map(image => [image._id.toString(), image.toObject()]));
+      product.images = order.map(id => imagesById.get(String(id)));
+
+      await product.save();
 
       return res.json({
         success: true,
-        count: transformedProducts.length,
-        products: transformedProducts
+        message: 'Gallery reordered successfully',
+        product: transformProductImages(product.toObject(), req)
       });
     } catch (error) {
+      console.error('Reorder product images error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error reordering images',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Update a gallery image's alt text or make it the primary image (admin only)
+  updateImage: async (req, res) => {
+    try {
+      const { alt, isPrimary } = req.body;
+
+      const product = await Product.findById(req.params.id);
+
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+
+      const image = product.images.id(req.params.imageId);
+
+      if (!image) {
+        return res.status(404).json({
+          success: false,
+          message: 'Image not found'
+        });
+      }
+
+      if (alt !== undefined) image.alt = alt || undefined;
+      if (isPrimary === true || isPrimary === 'true') {
+        product.images.forEach((entry) => {
+          entry.isPrimary = entry === image;
+        });
+      }
+
+      await product.save();
+
+      return res.json({
+        success: true,
+        message: 'Image updated successfully',
+        product: transformProductImages(product.toObject(), req)
+      });
+    } catch (error) {
+      console.error('Update product image error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error updating image',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Remove an image from a product's gallery (admin only)
+  removeImage: async (req, res) => {
+    try {
+      const product = await Product.findById(req.params.id);
+
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+
+      const image = product.images.id(req.params.imageId);
+
+      if (!image) {
+        return res.status(404).json({
+          success: false,
+          message: 'Image not found'
+        });
+      }
+
+      if (product.images.length === 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'A product must keep at least one image'
+        });
+      }
+
+      // If the primary image is removed, the next image in the gallery becomes primary
+      product.images.pull(image._id);
+
+      await product.save();
+
+      return res.json({
+        success: true,
+        message: 'Image removed successfully',
+        product: transformProductImages(product.toObject(), req)
+      });
+    } catch (error) {
+      console.error('Remove product image error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error removing image',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Verify a gemstone certificate by number (public)
+  getCertificate: async (req, res) => {
+    try {
+      const number = (req.params.number || '').trim().toUpperCase();
+
+      // Sold (inactive) stones are included - their certificates stay verifiable
+      const product = await Product.findOne({
+        productType: 'Gemstone',
+        'gemstone.certificate.number': number
+      });
+
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Certificate not found'
+        });
+      }
+
+      const { gemstone } = product.toObject();
+
+      return res.json({
+        success: true,
+        certificate: {
+          ...gemstone.certificate,
+          fileUrl: normalizeImageUrl(gemstone.certificate.fileUrl, req)
+        },
+        gemstone: {
+          name: product.name,
+          image: normalizeImageUrl(product.image, req),
+          caratWeight: gemstone.caratWeight,
+          dimensions: gemstone.dimensions,
+          colorGrade: gemstone.colorGrade,
+          clarity: gemstone.clarity,
+          cut: gemstone.cut,
+          origin: gemstone.origin,
+          treatment: gemstone.treatment
+        }
+      });
+    } catch (error) {
+      console.error('Get certificate error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error verifying certificate',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Get products for admin (includes inactive unless ?isActive= is given)
+  getAdminProducts: async (req, res) => {
+    try {
+      const productQuery = parseProductQuery(req.query, { admin: true });
+      const response = await findProducts(productQuery, req, { admin: true });
+
+      return res.json(response);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       console.error('Get admin products error:', error);
       return res.status(500).json({
         success: false,
@@ -0,0 +1,252 @@
+import mongoose from 'mongoose';
+import ShippingZone from '../models/ShippingZone.model.js';
+import Order from '../models/Order.model.js';
+import User from '../models/User.model.js';
+import { quoteShipping } from '../services/shipping.service.js';
+
+const createValidationError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Parse a list of names from an array or a comma-separated string
+const parseNameList = (value) => {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return list.map(entry => String(entry).trim()).filter(Boolean);
+};
+
+// Validate rate tiers ([{ min, max, amount }], or a JSON string) - returned sorted by min
+const parseRates = (input) => {
+  let rates = input;
+  if (typeof rates === 'string') {
+    try {
+      rates = JSON.parse(rates);
+    } catch (parseError) {
+      throw createValidationError('Rates must be a JSON array');
+    }
+  }
+
+  if (!Array.isArray(rates) || rates.length === 0) {
+    throw createValidationError('At least one rate tier is required');
+  }
+
+  return rates
+    .map((rate) => {
+      const min = rate.min === undefined || rate.min === null || rate.min === '' ? 0 : Number(rate.min);
+      const max = rate.max === undefined || rate.max === null || rate.max === '' ? null : Number(rate.max);
+      const amount = Number(rate.amount);
+
+      if (!Number.isFinite(min) || min < 0 || (max !== null && (!Number.isFinite(max) || max <= min))) {
+        throw createValidationError('Each rate tier needs a minimum of 0 or more and a maximum above it');
+      }
+      if (!Number.isFinite(amount) || amount < 0) {
+        throw createValidationError('Each rate tier needs a non-negative amount');
+      }
+      return { min, max, amount };
+    })
+    .sort((a, b) => a.min - b.min);
+};
+
+// Parse an optional free-shipping threshold - null/'' turns free shipping off
+const parseThreshold = (value) => {
+  if (value === null || value === '') return null;
+  const threshold = Number(value);
+  if (!Number.isFinite(threshold) || threshold < 0) {
+    throw createValidationError('Free shipping threshold must be a non-negative amount');
+  }
+  return threshold;
+};
+
+// Zone fields present in a request body
+const parseZoneFields = (body) => {
+  const fields = {};
+  if (body.name !== undefined) fields.name = body.name;
+  if (body.countries !== undefined) fields.countries = parseNameList(body.countries);
+  if (body.cities !== undefined) fields.cities = parseNameList(body.cities);
+  if (body.rateType !== undefined) fields.rateType = body.rateType;
+  if (body.rates !== undefined) fields.rates = parseRates(body.rates);
+  if (body.freeShippingThreshold !== undefined) fields.freeShippingThreshold = parseThreshold(body.freeShippingThreshold);
+  if (body.isActive !== undefined) fields.isActive = body.isActive === true || body.isActive === 'true';
+  return fields;
+};
+
+// Respond with a request or validation error, or a generic server error
+const handleZoneError = (error, res, message) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: Object.values(error.errors).map(err => err.message)
+    });
+  }
+
+  console.error(`${message}:`, error);
+  return res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// Destination for a quote: an address in the body, or the signed-in customer's saved/default address
+const resolveQuoteAddress = async (req) => {
+  const { address, country, city, addressId } = req.body;
+
+  if (address && typeof address === 'object') {
+    return { country: address.country, city: address.city };
+  }
+  if (country) {
+    return { country, city };
+  }
+
+  if (req.isAuthenticated() && req.user) {
+    const user = await User.findById(req.user._id).select('addresses');
+    const saved = addressId ? user?.addresses.id(addressId) : user?.getDefaultAddress();
+    if (saved) {
+      return { country: saved.country, city: saved.city };
+    }
+  }
+
+  throw createValidationError('A destination country is required for a shipping quote');
+};
+
+const shippingController = {
+  // Quote shipping for items (or the session cart) to a destination (public)
+  getQuote: async (req, res) => {
+    try {
+      const requestedItems = Array.isArray(req.body.items) && req.body.items.length > 0
+        ? req.body.items
+        : req.session?.cart?.items || [];
+
+      const items = await Order.buildItems(requestedItems);
+      const address = await resolveQuoteAddress(req);
+      const quote = await quoteShipping(items, address);
+
+      return res.json({
+        success: true,
+        quote
+      });
+    } catch (error) {
+      return handleZoneError(error, res, 'Error calculating shipping');
+    }
+  },
+
+  // Get all shipping zones, including inactive ones (admin only)
+  getZones: async (req, res) => {
+    try {
+      const zones = await ShippingZone.find().sort({ isActive: -1, name: 1 });
+
+      return res.json({
+        success: true,
+        count: zones.length,
+        zones
+      });
+    } catch (error) {
+      console.error('Get shipping zones error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error fetching shipping zones',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // Create a shipping zone (admin only)
+  createZone: async (req, res) => {
+    try {
+      const fields = parseZoneFields(req.body);
+
+      if (!fields.name || !fields.rates) {
+        return res.status(400).json({
+          success: false,
+          message: 'Zone name and at least one rate tier are required'
+        });
+      }
+
+      const zone = await ShippingZone.create(fields);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Shipping zone created successfully',
+        zone
+      });
+    } catch (error) {
+      return handleZoneError(error, res, 'Error creating shipping zone');
+    }
+  },
+
+  // Update a shipping zone (admin only)
+  updateZone: async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Shipping zone not found'
+        });
+      }
+
+      const zone = await ShippingZone.findById(req.params.id);
+
+      if (!zone) {
+        return res.status(404).json({
+          success: false,
+          message: 'Shipping zone not found'
+        });
+      }
+
+      zone.set(parseZoneFields(req.body));
+      await zone.save();
+
+      return res.json({
+        success: true,
+        message: 'Shipping zone updated successfully',
+        zone
+      });
+    } catch (error) {
+      return handleZoneError(error, res, 'Error updating shipping zone');
+    }
+  },
+
+  // Delete a shipping zone (admin only) - Soft delete; orders keep their zone snapshot
+  deleteZone: async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Shipping zone not found'
+        });
+      }
+
+      const zone = await ShippingZone.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true });
+
+      if (!zone) {
+        return res.status(404).json({
+          success: false,
+          message: 'Shipping zone not found'
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: 'Shipping zone deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete shipping zone error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error deleting shipping zone',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+};
+
+export default shippingController;
@@ -0,0 +1,147 @@
+import crypto from 'crypto';
+import IdempotencyKey from '../models/IdempotencyKey.model.js';
+import { storage } from '../services/storage.service.js';
+
+const MAX_KEY_LENGTH = 255;
+
+// A request still processing after this long is assumed to have died, and a retry may take over
+const PROCESSING_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Read per request - .env is loaded after imports run
+const getTtlMs = () => parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24') * 60 * 60 * 1000;
+
+// JSON with object keys sorted, so the order fields arrive in doesn't change the fingerprint
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+// Fingerprint of the request itself - method, path, body and uploaded file. Nothing about the sender
+// goes in, so a guest retrying without their session cookie still matches the first attempt.
+const fingerprintRequest = (req) => {
+  const hash = crypto.createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}`)
+    .update('\0')
+    .update(stableStringify(req.body || {}));
+  if (req.file?.buffer) {
+    hash.update('\0').update(req.file.buffer);
+  }
+  return hash.digest('hex');
+};
+
+// Remove the file multer already stored for a request that won't be processed
+const discardUpload = (req) => {
+  if (req.file) {
+    storage.delete(req.file.key).catch(() => {});
+  }
+};
+
+// Take the key for this request - free, expired, or left processing by a request that died.
+// Returns false when another request holds it.
+const claimKey = async ({ key, endpoint, userId, requestHash }) => {
+  const now = Date.now();
+  try {
+    await IdempotencyKey.findOneAndUpdate(
+      {
+        key,
+        endpoint,
+        userId,
+        $or: [
+          { expiresAt: { $lte: new Date(now) } },
+          { status: 'processing', requestHash, updatedAt: { $lt: new Date(now - PROCESSING_TIMEOUT_MS) } }
+        ]
+      },
+      {
+        $set: { requestHash, status: 'processing', expiresAt: new Date(now + getTtlMs()) },
+        $unset: { response: '' }
+      },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false; // Held by a live record
+    throw error;
+  }
+};
+
+/**
+ * Make an order-creating endpoint safe to retry. Requests carrying an Idempotency-Key header are
+ * processed once; retries with the same key and body get the first response replayed (marked with
+ * Idempotent-Replayed: true). Reusing a key for a different request is refused with 422.
+ * Keys are scoped to the signed-in user, so one customer's key never replays another's response;
+ * guest keys share one scope.
+ * Server errors (5xx) aren't stored, so those requests can be retried for real.
+ * Goes after any multer middleware, so the uploaded file is part of the fingerprint.
+ */
+export const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    discardUpload(req);
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  const record = {
+    key,
+    endpoint: `${req.method} ${req.baseUrl}${req.path}`,
+    userId: req.user?._id || null,
+    requestHash: fingerprintRequest(req)
+  };
+
+  try {
+    if (!(await claimKey(record))) {
+      discardUpload(req);
+      const existing = await IdempotencyKey.findOne({ key, endpoint: record.endpoint, userId: record.userId });
+
+      if (existing && existing.requestHash !== record.requestHash) {
+        return res.status(422).json({
+          success: false,
+          message: 'This Idempotency-Key was already used for a different request'
+        });
+      }
+      if (!existing || existing.status === 'processing') {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed. Try again shortly.'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.response.statusCode).json(existing.response.body);
+    }
+  } catch (error) {
+    discardUpload(req);
+    console.error('Idempotency key error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error processing request',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+
+  // Store the response the handler sends
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    const { statusCode } = res;
+    const settle = statusCode >= 500
+      ? IdempotencyKey.deleteOne(record)
+      : IdempotencyKey.updateOne(record, {
+        $set: { status: 'completed', response: { statusCode, body: JSON.parse(JSON.stringify(body)) } }
+      });
+    settle.catch(error => console.error('Idempotency key save error:', error));
+    return sendJson(body);
+  };
+
+  return next();
+};
@@ -0,0 +1,16 @@
+import rateLimit from 'express-rate-limit';
+
+// Public order tracking - only failed lookups count, so customers checking their own order
+// aren't locked out while booking ID enumeration is throttled per IP
+export const orderTrackingLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  // Read per request - .env is loaded after imports run
+  limit: () => parseInt(process.env.ORDER_TRACKING_RATE_LIMIT || '10', 10),
+  skipSuccessfulRequests: true,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Too many tracking attempts. Please try again later.'
+  }
+});
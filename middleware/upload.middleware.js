@@ -1,54 +1,132 @@
 import multer from 'multer';
 import path from 'path';
-import { fileURLToPath } from 'url';
-import fs from 'fs';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Create uploads directory if it doesn't exist
-const uploadsDir = path.join(__dirname, '../uploads/products');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-}
-
-// Configure storage
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadsDir);
+import { storage, toStorageRef } from '../services/storage.service.js';
+
+// Multer storage engine that writes through the storage service (local disk or S3).
+// Uploaded files get `key` (storage key), `storageRef` (value to save on documents),
+// `filename` and `buffer` (contents, for post-processing) in addition to multer's fields.
+const createStorageEngine = (folder, prefix) => ({
+  _handleFile(req, file, cb) {
+    const chunks = [];
+
+    file.stream.on('data', chunk => chunks.push(chunk));
+    file.stream.on('error', cb);
+    file.stream.on('end', async () => {
+      try {
+        // Generate unique filename: prefix-timestamp-random.ext
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+        const ext = path.extname(file.originalname);
+        const filename = `${prefix}-${uniqueSuffix}${ext}`;
+        const key = `${folder}/${filename}`;
+        const buffer = Buffer.concat(chunks);
+
+        await storage.put(key, buffer, { contentType: file.mimetype });
+
+        cb(null, {
+          filename,
+          key,
+          storageRef: toStorageRef(key),
+          size: buffer.length,
+          buffer
+        });
+      } catch (error) {
+        cb(error);
+      }
+    });
   },
-  filename: (req, file, cb) => {
-    // Generate unique filename: timestamp-random-originalname
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    cb(null, `product-${uniqueSuffix}${ext}`);
+
+  _removeFile(req, file, cb) {
+    storage.delete(file.key).then(() => cb(null), cb);
   }
 });
 
-// File filter - only accept images
-const fileFilter = (req, file, cb) => {
-  // Allowed image extensions
-  const allowedTypes = /jpeg|jpg|png|gif|webp/;
-  const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-  const mimetype = allowedTypes.test(file.mimetype);
+// Build a file filter from allowed extensions and mimetypes
+const createFileFilter = (allowedExtensions, allowedMimeTypes, message) => (req, file, cb) => {
+  const extname = allowedExtensions.test(path.extname(file.originalname).toLowerCase());
+  const mimetype = allowedMimeTypes.test(file.mimetype);
 
   if (mimetype && extname) {
     return cb(null, true);
   } else {
-    cb(new Error('Only image files are allowed (jpeg, jpg, png, gif, webp)'));
+    cb(new Error(message));
   }
 };
 
-// Configure multer
+// File filter - only accept images
+const imageFileFilter = createFileFilter(
+  /jpeg|jpg|png|gif|webp/,
+  /jpeg|jpg|png|gif|webp/,
+  'Only image files are allowed (jpeg, jpg, png, gif, webp)'
+);
+
+// File filter for payment screenshots - jpeg/png only
+const paymentFileFilter = createFileFilter(
+  /jpeg|jpg|png/,
+  /jpeg|jpg|png/,
+  'Only image files are allowed (jpeg, jpg, png)'
+);
+
+// File filter for documents - PDF or image
+const documentFileFilter = createFileFilter(
+  /pdf|jpeg|jpg|png|webp/,
+  /application\/pdf|image\/(jpeg|jpg|png|webp)/,
+  'Only PDF or image files are allowed (pdf, jpeg, jpg, png, webp)'
+);
+
+// Storage folders (key prefixes) for each kind of upload
+export const PRODUCTS_FOLDER = 'products';
+export const PAYMENTS_FOLDER = 'payments';
+export const PAYMENT_SETTINGS_FOLDER = 'payment-settings';
+export const CERTIFICATES_FOLDER = 'certificates';
+export const LAB_REPORTS_FOLDER = 'lab-reports';
+export const REFUNDS_FOLDER = 'refunds';
+export const INVOICES_FOLDER = 'invoices'; // Generated, not uploaded
+
+// Folders served publicly at /uploads/<folder>. Payment screenshots, refund proofs and invoices
+// (storageConfig.privateFolders) are only served through /api/payments.
+export const PUBLIC_FOLDERS = [PRODUCTS_FOLDER, CERTIFICATES_FOLDER, LAB_REPORTS_FOLDER, PAYMENT_SETTINGS_FOLDER];
+
+// Product images
 export const upload = multer({
-  storage: storage,
+  storage: createStorageEngine(PRODUCTS_FOLDER, 'product'),
   limits: {
     fileSize: 5 * 1024 * 1024 // 5MB limit
   },
-  fileFilter: fileFilter
+  fileFilter: imageFileFilter
 });
 
-// Export uploads directory path for serving static files
-export const uploadsPath = uploadsDir;
-export const uploadsUrl = '/uploads/products';
+// Payment screenshots (used by payment submission and cart checkout)
+export const paymentUpload = multer({
+  storage: createStorageEngine(PAYMENTS_FOLDER, 'payment'),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: paymentFileFilter
+});
+
+// Payment settings QR codes
+export const qrCodeUpload = multer({
+  storage: createStorageEngine(PAYMENT_SETTINGS_FOLDER, 'qr-code'),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: imageFileFilter
+});
+
+// Configure multer for a document folder (PDF or image, 10MB limit)
+const createDocumentUpload = (folder, prefix) => multer({
+  storage: createStorageEngine(folder, prefix),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  },
+  fileFilter: documentFileFilter
+});
+
+// Gemstone lab certificates
+export const certificateUpload = createDocumentUpload(CERTIFICATES_FOLDER, 'certificate');
+
+// Shilajit batch lab test reports
+export const labReportUpload = createDocumentUpload(LAB_REPORTS_FOLDER, 'lab-report');
 
+// Refund proof (bank receipt or transfer screenshot)
+export const refundProofUpload = createDocumentUpload(REFUNDS_FOLDER, 'refund');
@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+
+// Production batch (lot) of a Shilajit product
+const batchSchema = new mongoose.Schema(
+  {
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: [true, 'Product ID is required']
+    },
+    lotNumber: {
+      type: String,
+      required: [true, 'Lot number is required'],
+      trim: true,
+      uppercase: true
+    },
+    productionDate: {
+      type: Date,
+      required: [true, 'Production date is required']
+    },
+    expiryDate: {
+      type: Date,
+      required: [true, 'Expiry date is required'],
+      validate: {
+        validator: function (value) {
+          return !this.productionDate || value > this.productionDate;
+        },
+        message: 'Expiry date must be after the production date'
+      }
+    },
+    quantity: {
+      type: Number,
+      required: [true, 'Batch quantity is required'],
+      min: [0, 'Quantity cannot be negative']
+    },
+    quantityRemaining: {
+      type: Number,
+      min: [0, 'Remaining quantity cannot be negative']
+    },
+    labReportUrl: {
+      type: String // Lab test report PDF or image URL
+    },
+    notes: {
+      type: String,
+      trim: true
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+batchSchema.index({ productId: 1, lotNumber: 1 }, { unique: true });
+batchSchema.index({ productId: 1, isActive: 1, expiryDate: 1 });
+
+batchSchema.virtual('isExpired').get(function () {
+  return !!this.expiryDate && this.expiryDate <= new Date();
+});
+
+// New batches start with their full quantity available
+batchSchema.pre('save', function (next) {
+  if (this.isNew && this.quantityRemaining === undefined) {
+    this.quantityRemaining = this.quantity;
+  }
+  next();
+});
+
+// Filter for batches that can still be sold from
+const sellableFilter = (productId) => ({
+  productId,
+  isActive: true,
+  expiryDate: { $gt: new Date() },
+  quantityRemaining: { $gt: 0 }
+});
+
+// Batch currently being sold from - first to expire, first out
+batchSchema.statics.findCurrent = function (productId) {
+  return this.findOne(sellableFilter(productId)).sort({ expiryDate: 1 });
+};
+
+// Atomically take units from the first-expiring unexpired batch that can cover the quantity.
+// Returns the updated batch, or null if no single batch can.
+batchSchema.statics.allocate = function (productId, quantity) {
+  return this.findOneAndUpdate(
+    { ...sellableFilter(productId), quantityRemaining: { $gte: quantity } },
+    { $inc: { quantityRemaining: -quantity } },
+    { sort: { expiryDate: 1 }, new: true }
+  );
+};
+
+const Batch = mongoose.model('Batch', batchSchema);
+
+export default Batch;
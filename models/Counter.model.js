@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+// Named sequence. Numbers are handed out by an atomic increment, so concurrent callers never get
+// the same one; a number whose document is never written leaves a gap.
+const counterSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String // Sequence name, e.g. 'bookingId:2026'
+    },
+    seq: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    versionKey: false
+  }
+);
+
+/**
+ * Take the next number of a sequence, starting it at 1 if it doesn't exist yet
+ */
+counterSchema.statics.next = async function (name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+  return counter.seq;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, 'Coupon code is required'],
+      unique: true,
+      trim: true,
+      uppercase: true
+    },
+    description: {
+      type: String,
+      trim: true
+    },
+    type: {
+      type: String,
+      enum: ['percentage', 'fixed'],
+      required: [true, 'Discount type is required']
+    },
+    // Percent off (1-100) for percentage coupons, amount off for fixed coupons
+    value: {
+      type: Number,
+      required: [true, 'Discount value is required'],
+      min: [0, 'Discount value cannot be negative'],
+      validate: {
+        validator: function (value) {
+          return this.type !== 'percentage' || value <= 100;
+        },
+        message: 'A percentage discount cannot exceed 100'
+      }
+    },
+    startsAt: {
+      type: Date,
+      default: null
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+    // Product subtotal (before shipping) required to use the code
+    minOrderAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Minimum order amount cannot be negative']
+    },
+    // Product types the discount applies to - empty means every product
+    productTypes: {
+      type: [{ type: String, enum: ['Shilajit', 'Gemstone'] }],
+      default: []
+    },
+    maxUses: {
+      type: Number,
+      default: null // null = unlimited
+    },
+    maxUsesPerUser: {
+      type: Number,
+      default: null // null = unlimited
+    },
+    // Redemptions by payments that haven't been rejected
+    usedCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+couponSchema.index({ isActive: 1, expiresAt: 1 });
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+export default Coupon;
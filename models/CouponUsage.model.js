@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+// Uses of a discount code under one customer identity - an account, checkout email or phone number.
+// Enforces maxUsesPerUser atomically: the unique index means there is only ever one counter to increment.
+const couponUsageSchema = new mongoose.Schema(
+  {
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon',
+      required: true
+    },
+    // 'user:<id>', 'email:<address>' or 'phone:<digits>'
+    customer: {
+      type: String,
+      required: true
+    },
+    count: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+couponUsageSchema.index({ couponId: 1, customer: 1 }, { unique: true });
+
+const CouponUsage = mongoose.model('CouponUsage', couponUsageSchema);
+
+export default CouponUsage;
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+// First response to a request sent with an Idempotency-Key header, replayed for retries of it
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true
+    },
+    // Method and path the key was used on, e.g. 'POST /api/payments'
+    endpoint: {
+      type: String,
+      required: true
+    },
+    // Signed-in user the key belongs to - null for guests, whose keys share one scope
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    // Fingerprint of the method, path, request body and uploaded file - a retry must send the same request
+    requestHash: {
+      type: String,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['processing', 'completed'],
+      default: 'processing'
+    },
+    response: {
+      statusCode: {
+        type: Number
+      },
+      body: {
+        type: mongoose.Schema.Types.Mixed
+      }
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+idempotencyKeySchema.index({ key: 1, endpoint: 1, userId: 1 }, { unique: true });
+
+// MongoDB removes keys once they expire
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+export default IdempotencyKey;
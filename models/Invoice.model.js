@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+// One invoice per paid order. Numbers are allocated as max + 1 and protected by a unique index,
+// so a number only exists once its invoice row does - the sequence has no gaps.
+const invoiceSchema = new mongoose.Schema(
+  {
+    number: {
+      type: Number,
+      required: true,
+      unique: true
+    },
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+      required: true,
+      unique: true // Regenerating an invoice keeps its number
+    },
+    // Private storage reference of the rendered PDF
+    file: {
+      type: String
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now
+    },
+    generatedAt: {
+      type: Date
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Display form of an invoice number, e.g. INV-000042
+invoiceSchema.virtual('invoiceNumber').get(function () {
+  return Invoice.formatNumber(this.number);
+});
+
+invoiceSchema.statics.formatNumber = function (number) {
+  return `INV-${String(number).padStart(6, '0')}`;
+};
+
+/**
+ * Find the invoice for a payment, allocating the next number if it doesn't have one yet
+ */
+invoiceSchema.statics.findOrAllocate = async function (paymentId) {
+  for (;;) {
+    const existing = await this.findOne({ paymentId });
+    if (existing) return existing;
+
+    const last = await this.findOne().sort({ number: -1 }).select('number');
+    try {
+      return await this.create({ number: last ? last.number + 1 : 1, paymentId });
+    } catch (error) {
+      // Another invoice took this number (or this payment got one) first - try again
+      if (error.code !== 11000) throw error;
+    }
+  }
+};
+
+invoiceSchema.set('toJSON', { virtuals: true });
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+export default Invoice;
@@ -0,0 +1,251 @@
+import mongoose from 'mongoose';
+import { getCurrentPrice } from './Product.model.js';
+
+// Line item - product details are snapshotted at checkout so later product edits
+// (price changes, renames) don't alter historical orders
+const orderItemSchema = new mongoose.Schema(
+  {
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: [true, 'Product ID is required']
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    productType: {
+      type: String,
+      enum: ['Shilajit', 'Gemstone']
+    },
+    image: {
+      type: String
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, 'Quantity must be at least 1']
+    },
+    unitPrice: {
+      type: Number,
+      required: true,
+      min: [0, 'Unit price cannot be negative']
+    },
+    // Regular price at checkout - differs from unitPrice when the product was on sale
+    listPrice: {
+      type: Number,
+      min: [0, 'List price cannot be negative']
+    },
+    lineTotal: {
+      type: Number,
+      required: true
+    },
+    // Unit shipping weight in grams at checkout (null when the product has none set)
+    weight: {
+      type: Number
+    },
+    // Production batch that fulfils this line (batch-tracked Shilajit products only)
+    batchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Batch'
+    },
+    lotNumber: {
+      type: String
+    }
+  },
+  {
+    _id: false
+  }
+);
+
+// Address fields shared by the customer address book and order snapshots
+export const ADDRESS_FIELDS = ['fullName', 'phone', 'line1', 'line2', 'city', 'state', 'postalCode', 'country'];
+const REQUIRED_ADDRESS_FIELDS = ['fullName', 'phone', 'line1', 'city', 'country'];
+
+// Shipping address as it was at checkout - copied, not referenced, so later address book
+// edits don't change historical orders
+const shippingAddressSchema = new mongoose.Schema(
+  {
+    label: { type: String, trim: true },
+    fullName: { type: String, required: [true, 'Recipient name is required'], trim: true },
+    phone: { type: String, required: [true, 'Phone number is required'], trim: true },
+    line1: { type: String, required: [true, 'Address line 1 is required'], trim: true },
+    line2: { type: String, trim: true },
+    city: { type: String, required: [true, 'City is required'], trim: true },
+    state: { type: String, trim: true },
+    postalCode: { type: String, trim: true },
+    country: { type: String, required: [true, 'Country is required'], trim: true }
+  },
+  {
+    _id: false
+  }
+);
+
+const orderSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: false // Optional for guest orders
+    },
+    items: {
+      type: [orderItemSchema],
+      validate: {
+        validator: (items) => Array.isArray(items) && items.length > 0,
+        message: 'Order must contain at least one item'
+      }
+    },
+    shippingAddress: {
+      type: shippingAddressSchema,
+      required: false // Orders placed before addresses were collected don't have one
+    },
+    subtotal: {
+      type: Number,
+      required: true,
+      min: [0, 'Subtotal cannot be negative']
+    },
+    // Coupon applied at checkout (sale prices are already reflected in unitPrice)
+    discount: {
+      couponId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon'
+      },
+      code: {
+        type: String
+      },
+      amount: {
+        type: Number,
+        default: 0,
+        min: [0, 'Discount cannot be negative']
+      }
+    },
+    // Shipping is charged on top of the discounted product subtotal:
+    // total = subtotal - discount.amount + shippingCharge
+    shippingCharge: {
+      type: Number,
+      default: 0,
+      min: [0, 'Shipping charge cannot be negative']
+    },
+    shippingZone: {
+      zoneId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ShippingZone'
+      },
+      name: {
+        type: String
+      }
+    },
+    total: {
+      type: Number,
+      required: true,
+      min: [0, 'Total cannot be negative']
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'paid', 'cancelled', 'refunded'],
+      default: 'pending'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+orderSchema.index({ userId: 1 });
+orderSchema.index({ status: 1 });
+orderSchema.index({ 'items.productId': 1 });
+
+// Build snapshotted line items from [{ productId, quantity }].
+// Throws an error with a `status` property for unknown/inactive products or bad quantities.
+orderSchema.statics.buildItems = async function (requestedItems) {
+  const Product = mongoose.model('Product');
+
+  if (!Array.isArray(requestedItems) || requestedItems.length === 0) {
+    const error = new Error('Order must contain at least one item');
+    error.status = 400;
+    throw error;
+  }
+
+  const productIds = requestedItems.map(item => item.productId);
+  const products = await Product.find({ _id: { $in: productIds }, isActive: true });
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+  return requestedItems.map(({ productId, quantity }) => {
+    const product = productsById.get(String(productId));
+    if (!product) {
+      const error = new Error(`Product ${productId} not found`);
+      error.status = 404;
+      throw error;
+    }
+
+    const qty = parseInt(quantity, 10);
+    if (!Number.isInteger(qty) || qty < 1) {
+      const error = new Error(`Invalid quantity for ${product.name}`);
+      error.status = 400;
+      throw error;
+    }
+
+    const unitPrice = getCurrentPrice(product);
+    return {
+      productId: product._id,
+      name: product.name,
+      productType: product.productType,
+      image: product.image,
+      quantity: qty,
+      unitPrice,
+      listPrice: product.price || 0,
+      lineTotal: unitPrice * qty,
+      weight: product.weight ?? undefined
+    };
+  });
+};
+
+// Pick and trim address fields from request input (an object, or a JSON string from multipart forms).
+// Throws an error with status 400 when required fields are missing.
+orderSchema.statics.normalizeShippingAddress = function (input) {
+  let source = input;
+  if (typeof source === 'string') {
+    try {
+      source = JSON.parse(source);
+    } catch (parseError) {
+      source = null;
+    }
+  }
+
+  if (!source || typeof source !== 'object') {
+    const error = new Error('A shipping address is required');
+    error.status = 400;
+    throw error;
+  }
+
+  const address = {};
+  ['label', ...ADDRESS_FIELDS].forEach((field) => {
+    if (typeof source[field] === 'string' && source[field].trim()) {
+      address[field] = source[field].trim();
+    }
+  });
+
+  const missing = REQUIRED_ADDRESS_FIELDS.filter(field => !address[field]);
+  if (missing.length > 0) {
+    const error = new Error(`Shipping address is missing: ${missing.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  return address;
+};
+
+// Total shipping weight of line items in grams - items without a weight count as zero
+orderSchema.statics.calculateWeight = function (items) {
+  return items.reduce((sum, item) => sum + (item.weight || 0) * item.quantity, 0);
+};
+
+// Calculate order subtotal from line items
+orderSchema.statics.calculateSubtotal = function (items) {
+  return items.reduce((sum, item) => sum + item.lineTotal, 0);
+};
+
+const Order = mongoose.model('Order', orderSchema);
+
+export default Order;
@@ -1,4 +1,190 @@
 import mongoose from 'mongoose';
+import { signScreenshotUrl } from '../services/signedUrl.service.js';
+import { PAYMENT_METHOD_TYPES, MANUAL_PAYMENT_METHOD_TYPES } from './PaymentSettings.model.js';
+
+export const PAYMENT_STATUSES = ['pending', 'verified', 'rejected', 'expired', 'partially_refunded', 'refunded'];
+
+// Statuses set by reviewing a payment - refund states are only reached by recording a refund,
+// and `expired` only by the payment expiry job
+export const REVIEW_STATUSES = ['pending', 'verified', 'rejected'];
+
+// Payments that brought money in (revenue is their amount less refunds)
+export const PAID_STATUSES = ['verified', 'partially_refunded', 'refunded'];
+
+// Status changes an admin may make - setting a payment to the status it already has is never allowed
+export const PAYMENT_STATUS_TRANSITIONS = {
+  pending: ['verified', 'rejected'],
+  verified: ['pending', 'rejected'],
+  rejected: ['pending', 'verified'],
+  expired: ['verified', 'rejected'], // A late transfer can still be verified
+  partially_refunded: [],
+  refunded: []
+};
+
+export const FULFILMENT_STATUSES = ['unfulfilled', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'];
+
+// Fulfilment only moves forward; cancelled and returned orders are final
+export const FULFILMENT_TRANSITIONS = {
+  unfulfilled: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered', 'returned'],
+  delivered: ['returned'],
+  cancelled: [],
+  returned: []
+};
+
+// One entry per status change. Entries are only ever appended, never edited.
+const statusHistoryEntrySchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      default: null // null for the submission itself
+    },
+    to: {
+      type: String,
+      required: true
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null // null for guest submissions and automated changes
+    },
+    note: {
+      type: String,
+      trim: true
+    },
+    ip: {
+      type: String
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { _id: false }
+);
+
+// One entry per fulfilment step, appended like status history
+const fulfilmentHistoryEntrySchema = new mongoose.Schema(
+  {
+    from: {
+      type: String
+    },
+    to: {
+      type: String,
+      required: true
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    carrier: {
+      type: String,
+      trim: true
+    },
+    trackingNumber: {
+      type: String,
+      trim: true
+    },
+    note: {
+      type: String,
+      trim: true
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { _id: false }
+);
+
+// Earlier payment whose screenshot matched this one's when it was submitted
+const screenshotMatchSchema = new mongoose.Schema(
+  {
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    bookingId: {
+      type: String
+    },
+    type: {
+      type: String,
+      enum: ['exact', 'similar'] // Same file, or the same image re-encoded/resized
+    },
+    distance: {
+      type: Number // Differing perceptual hash bits (0 for exact copies)
+    }
+  },
+  { _id: false }
+);
+
+// Webhook call received from the payment gateway
+const gatewayEventSchema = new mongoose.Schema(
+  {
+    id: {
+      type: String,
+      required: true // The gateway's event id - each event is applied once
+    },
+    type: {
+      type: String // e.g. 'payment.succeeded', 'payment.failed'
+    },
+    amount: {
+      type: Number
+    },
+    currency: {
+      type: String
+    },
+    transactionId: {
+      type: String
+    },
+    outcome: {
+      type: String,
+      enum: ['verified', 'recorded', 'needs_review']
+    },
+    message: {
+      type: String // Why the event needs an admin
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { _id: false }
+);
+
+// Money returned to the customer for a verified payment
+const refundSchema = new mongoose.Schema(
+  {
+    amount: {
+      type: Number,
+      required: [true, 'Refund amount is required'],
+      min: [0.01, 'Refund amount must be greater than zero']
+    },
+    reason: {
+      type: String,
+      required: [true, 'Refund reason is required'],
+      trim: true
+    },
+    // Bank or wallet transaction reference for the refund transfer
+    reference: {
+      type: String,
+      trim: true
+    },
+    // Private storage reference - served through /api/payments/:id/refunds/:refundId/proof
+    proof: {
+      type: String
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }
+);
 
 const paymentSchema = new mongoose.Schema(
   {
@@ -8,16 +194,39 @@ const paymentSchema = new mongoose.Schema(
       unique: true,
       trim: true
     },
+    // Booking ID from before sequential IDs (VGN<timestamp><random>), still accepted in lookups
+    legacyBookingId: {
+      type: String,
+      unique: true,
+      sparse: true
+    },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: false // Legacy payments were created before orders existed
+    },
     productId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Product',
-      required: [true, 'Product ID is required']
+      required: false // Kept for single-product payments and older clients; line items live on the order
     },
     userId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       required: false // Optional for guest payments
     },
+    // Contact details captured at checkout - used for guest order tracking, and checked when a
+    // customer claims a guest order for their account (POST /api/payments/claim)
+    contactEmail: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address']
+    },
+    contactPhone: {
+      type: String,
+      trim: true
+    },
     accountName: {
       type: String,
       trim: true
@@ -28,19 +237,169 @@ const paymentSchema = new mongoose.Schema(
       sparse: true, // Allows multiple null/undefined values but enforces uniqueness for non-null values
       unique: true
     },
+    // Payment method chosen at checkout, copied from payment settings so later edits don't change it
+    paymentMethod: {
+      methodId: {
+        type: mongoose.Schema.Types.ObjectId
+      },
+      type: {
+        type: String,
+        enum: PAYMENT_METHOD_TYPES
+      },
+      label: {
+        type: String
+      },
+      accountNumber: {
+        type: String // Account the customer was asked to pay into
+      }
+    },
     screenshot: {
       type: String,
-      required: [true, 'Payment screenshot is required']
+      // Only manual transfers are proved with a screenshot (payments from before payment methods always were)
+      required: [
+        function () { return !this.paymentMethod?.type || MANUAL_PAYMENT_METHOD_TYPES.includes(this.paymentMethod.type); },
+        'Payment screenshot is required'
+      ]
+    },
+    // Hosted checkout for payments made through the online gateway
+    gateway: {
+      provider: {
+        type: String
+      },
+      sessionId: {
+        type: String
+      },
+      checkoutUrl: {
+        type: String
+      },
+      currency: {
+        type: String
+      },
+      transactionId: {
+        type: String // The gateway's reference for the captured payment
+      },
+      events: {
+        type: [gatewayEventSchema],
+        default: undefined
+      }
+    },
+    // Fingerprints of the screenshot for duplicate detection (see screenshotHash.service.js)
+    screenshotHash: {
+      sha256: {
+        type: String
+      },
+      perceptual: {
+        type: String
+      },
+      bands: {
+        type: [String],
+        default: undefined
+      }
+    },
+    // Duplicate screenshots are flagged for the reviewer, never blocked
+    screenshotMatches: {
+      type: [screenshotMatchSchema],
+      default: []
     },
     amount: {
       type: Number,
       required: [true, 'Payment amount is required']
     },
+    // Discounts behind `amount` - amount + discount.amount is what the order would have cost at list prices
+    discount: {
+      couponId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon'
+      },
+      code: {
+        type: String
+      },
+      type: {
+        type: String,
+        enum: ['percentage', 'fixed']
+      },
+      value: {
+        type: Number
+      },
+      // Customer identities the code's per-customer limit counted this use under
+      customerKeys: {
+        type: [String],
+        default: undefined
+      },
+      couponAmount: {
+        type: Number,
+        default: 0
+      },
+      saleAmount: {
+        type: Number,
+        default: 0 // Markdown from scheduled sale prices
+      },
+      amount: {
+        type: Number,
+        default: 0 // couponAmount + saleAmount
+      }
+    },
     status: {
       type: String,
-      enum: ['pending', 'verified', 'rejected'],
+      enum: PAYMENT_STATUSES,
       default: 'pending'
     },
+    statusHistory: {
+      type: [statusHistoryEntrySchema],
+      default: []
+    },
+    refunds: {
+      type: [refundSchema],
+      default: []
+    },
+    // Sum of refunds.amount, kept alongside for atomic checks and revenue aggregation
+    refundedAmount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Display number of the invoice issued when the payment was verified (e.g. INV-000042)
+    invoiceNumber: {
+      type: String
+    },
+    // Packing and delivery after the payment is verified
+    fulfilment: {
+      status: {
+        type: String,
+        enum: FULFILMENT_STATUSES,
+        default: 'unfulfilled'
+      },
+      carrier: {
+        type: String,
+        trim: true
+      },
+      trackingNumber: {
+        type: String,
+        trim: true
+      },
+      shippedAt: {
+        type: Date
+      },
+      deliveredAt: {
+        type: Date
+      },
+      history: {
+        type: [fulfilmentHistoryEntrySchema],
+        default: []
+      }
+    },
+    // When the payment last became pending - expiry and the reminder count from here, so a payment
+    // reopened after review gets a full window again. Null on payments from before it was recorded,
+    // which count from createdAt.
+    pendingSince: {
+      type: Date,
+      default: null
+    },
+    // When the customer was reminded that the payment is still pending (at most once per pending spell)
+    reminderSentAt: {
+      type: Date,
+      default: null
+    },
     verifiedAt: {
       type: Date
     },
@@ -52,20 +411,156 @@ const paymentSchema = new mongoose.Schema(
       type: String,
       trim: true
     },
+    stockReservation: {
+      status: {
+        type: String,
+        enum: ['none', 'reserved', 'committed', 'released'],
+        default: 'none'
+      },
+      // Only products with tracked stock are listed here
+      items: [
+        {
+          _id: false,
+          productId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product'
+          },
+          quantity: {
+            type: Number,
+            min: 1
+          }
+        }
+      ],
+      // Units taken from Shilajit production batches
+      batches: [
+        {
+          _id: false,
+          batchId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Batch'
+          },
+          quantity: {
+            type: Number,
+            min: 1
+          }
+        }
+      ],
+      reservedAt: {
+        type: Date
+      }
+    },
     deletedAt: {
       type: Date,
       default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    // Admin's reason for deleting the payment
+    deletionNote: {
+      type: String,
+      trim: true,
+      default: null
     }
   },
   {
-    timestamps: true
+    timestamps: true,
+    toJSON: {
+      // Screenshots are private - responses carry a short-lived signed link instead of the stored reference
+      // Refund proofs are likewise only reachable through an authenticated route
+      transform: (doc, ret) => {
+        if (ret.screenshot && ret.bookingId) ret.screenshot = signScreenshotUrl(ret.bookingId);
+        if (ret.bookingId && Array.isArray(ret.refunds)) {
+          ret.refunds = ret.refunds.map(refund => ({
+            ...refund,
+            proof: refund.proof ? `/api/payments/${ret._id}/refunds/${refund._id}/proof` : undefined
+          }));
+        }
+        return ret;
+      }
+    }
   }
 );
 
 // Index for faster queries (bookingId and transactionId already have unique indexes from schema)
+paymentSchema.index({ orderId: 1 });
 paymentSchema.index({ productId: 1 });
 paymentSchema.index({ userId: 1 });
-paymentSchema.index({ status: 1 });
+paymentSchema.index({ status: 1, createdAt: 1 }); // Also serves status-only filters
+paymentSchema.index({ status: 1, pendingSince: 1 }); // Expiry and reminders
+paymentSchema.index({ deletedAt: 1, createdAt: -1, _id: -1 }); // Admin payment list
+paymentSchema.index({ 'stockReservation.status': 1, createdAt: 1 });
+paymentSchema.index({ contactEmail: 1, userId: 1 });
+paymentSchema.index({ 'fulfilment.status': 1 });
+paymentSchema.index({ 'discount.couponId': 1 });
+paymentSchema.index({ 'screenshotHash.sha256': 1 });
+paymentSchema.index({ 'screenshotHash.bands': 1 });
+paymentSchema.index(
+  { 'gateway.provider': 1, 'gateway.sessionId': 1 },
+  { unique: true, partialFilterExpression: { 'gateway.sessionId': { $type: 'string' } } }
+);
+
+// Cash on delivery payments are collected when the order arrives, so they stay pending through shipping
+paymentSchema.methods.isCashOnDelivery = function () {
+  return this.paymentMethod?.type === 'cash_on_delivery';
+};
+
+// Whether an admin may move a payment from one status to another
+paymentSchema.statics.canTransition = function (from, to) {
+  return (PAYMENT_STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+// Whether an admin may move an order from one fulfilment stage to another
+paymentSchema.statics.canFulfil = function (from, to) {
+  return (FULFILMENT_TRANSITIONS[from || 'unfulfilled'] || []).includes(to);
+};
+
+// Customer-facing JSON - status, fulfilment and refund history without internal notes, actors or IP addresses,
+// and without the reviewer's notes, the duplicate screenshot checks or who verified or deleted the payment
+paymentSchema.methods.toCustomerJSON = function () {
+  const {
+    notes, verifiedBy, screenshotHash, screenshotMatches, deletedBy, deletionNote, ...payment
+  } = this.toJSON();
+  payment.statusHistory = (payment.statusHistory || []).map(({ from, to, at }) => ({ from, to, at }));
+  payment.refunds = (payment.refunds || []).map(({ actor, ...refund }) => refund);
+  if (payment.gateway) {
+    delete payment.gateway.events;
+  }
+  if (payment.fulfilment) {
+    payment.fulfilment.history = (payment.fulfilment.history || []).map(({ from, to, carrier, trackingNumber, at }) =>
+      ({ from, to, carrier, trackingNumber, at }));
+  }
+  return payment;
+};
+
+// Phone numbers are compared by digits only ('+92 300-1234567' matches '923001234567')
+paymentSchema.statics.normalizePhone = function (phone) {
+  return typeof phone === 'string' ? phone.replace(/\D/g, '') : '';
+};
+
+/**
+ * Attach a guest payment (and its order) to a user account. Only payments without an owner can be
+ * claimed - the caller proves the payment is theirs first (booking ID plus checkout contact).
+ * @returns {Promise<Object|null>} the claimed payment, or null if it already belongs to an account
+ */
+paymentSchema.statics.claimGuestPayment = async function (paymentId, userId) {
+  const payment = await this.findOneAndUpdate(
+    { _id: paymentId, userId: null },
+    { $set: { userId } },
+    { new: true }
+  );
+
+  if (payment?.orderId) {
+    await mongoose.model('Order').updateOne(
+      { _id: payment.orderId, userId: null },
+      { $set: { userId } }
+    );
+  }
+
+  return payment;
+};
 
 const Payment = mongoose.model('Payment', paymentSchema);
 
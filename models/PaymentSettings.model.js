@@ -1,30 +1,128 @@
 import mongoose from 'mongoose';
+import { resolveUrl } from '../services/storage.service.js';
+
+export const PAYMENT_METHOD_TYPES = ['bank_transfer', 'wallet', 'cash_on_delivery', 'gateway'];
+
+// Paid by a transfer the customer proves with a screenshot (gateway payments are confirmed by
+// the gateway, cash on delivery when the order arrives)
+export const MANUAL_PAYMENT_METHOD_TYPES = ['bank_transfer', 'wallet'];
+
+// Account number the original single-account settings were seeded with - never a real account
+const SEEDED_ACCOUNT_NUMBER = '1234567890123';
+
+// Transfers need somewhere to send the money; cash on delivery and online payments don't
+const requiresAccount = function () {
+  return MANUAL_PAYMENT_METHOD_TYPES.includes(this.type);
+};
+
+// One way customers can pay - a bank account, a mobile wallet, cash on delivery or the online gateway
+const paymentMethodSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: PAYMENT_METHOD_TYPES,
+    required: [true, 'Payment method type is required']
+  },
+  label: {
+    type: String,
+    required: [true, 'Payment method label is required'], // e.g. 'Meezan Bank', 'JazzCash'
+    trim: true
+  },
+  provider: {
+    type: String,
+    trim: true // Bank or wallet name
+  },
+  accountName: {
+    type: String,
+    required: [requiresAccount, 'Account name is required'],
+    trim: true
+  },
+  accountNumber: {
+    type: String,
+    required: [requiresAccount, 'Account number is required'],
+    trim: true
+  },
+  iban: {
+    type: String,
+    trim: true
+  },
+  qrCode: {
+    type: String // QR code image reference
+  },
+  instructions: {
+    type: String,
+    trim: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  sortOrder: {
+    type: Number,
+    default: 0 // Lower comes first
+  }
+}, {
+  toJSON: {
+    transform: (doc, ret) => {
+      if (ret.qrCode) ret.qrCode = resolveUrl(ret.qrCode);
+      return ret;
+    }
+  }
+});
 
 const paymentSettingsSchema = new mongoose.Schema(
   {
+    paymentMethods: {
+      type: [paymentMethodSchema],
+      default: []
+    },
+    // Single bank account from before payment methods - moved into paymentMethods by
+    // scripts/migratePaymentMethods.js
     accountNumber: {
       type: String,
-      required: [true, 'Account number is required'],
       trim: true
     },
     accountName: {
       type: String,
-      required: [true, 'Account name is required'],
       trim: true
     },
     bankName: {
       type: String,
-      required: [true, 'Bank name is required'],
       trim: true
     },
     iban: {
       type: String,
-      required: false,
       trim: true
     },
     qrCode: {
+      type: String
+    },
+    // Business details printed on invoices
+    businessName: {
+      type: String,
+      trim: true,
+      default: 'VitalGeo Naturals'
+    },
+    businessAddress: {
+      type: String,
+      trim: true
+    },
+    businessEmail: {
+      type: String,
+      trim: true
+    },
+    businessPhone: {
+      type: String,
+      trim: true
+    },
+    taxNumber: {
+      type: String,
+      trim: true
+    },
+    currency: {
       type: String,
-      required: false // QR code image URL
+      trim: true,
+      uppercase: true,
+      default: 'PKR'
     },
     isActive: {
       type: Boolean,
@@ -32,26 +130,62 @@ const paymentSettingsSchema = new mongoose.Schema(
     }
   },
   {
-    timestamps: true
+    timestamps: true,
+    toJSON: {
+      // Stored QR code references resolve to a URL for the active storage driver
+      transform: (doc, ret) => {
+        if (ret.qrCode) ret.qrCode = resolveUrl(ret.qrCode);
+        return ret;
+      }
+    }
   }
 );
 
-// Ensure only one payment settings document exists
-paymentSettingsSchema.statics.getSettings = async function() {
-  let settings = await this.findOne({ isActive: true });
-  
-  if (!settings) {
-    // Create default settings if none exist
-    settings = await this.create({
-      accountNumber: '1234567890123',
-      accountName: 'VitalGeo Naturals',
-      bankName: 'Bank Name',
-      iban: 'PK12ABCD1234567890123456',
-      isActive: true
+// Move the old single bank account into the payment method list. The account seeded by
+// earlier versions is a placeholder and is dropped rather than offered to customers.
+const migrateLegacyAccount = (settings) => {
+  if (!settings.accountNumber) return false;
+
+  if (settings.paymentMethods.length === 0 && settings.accountNumber !== SEEDED_ACCOUNT_NUMBER) {
+    settings.paymentMethods.push({
+      type: 'bank_transfer',
+      label: settings.bankName || 'Bank transfer',
+      provider: settings.bankName,
+      accountName: settings.accountName,
+      accountNumber: settings.accountNumber,
+      iban: settings.iban,
+      qrCode: settings.qrCode
     });
   }
-  
-  return settings;
+
+  settings.set({ accountNumber: undefined, accountName: undefined, bankName: undefined, iban: undefined, qrCode: undefined });
+  return true;
+};
+
+// Ensure only one payment settings document exists. Until an admin first saves settings this is an
+// unsaved document with no payment methods - reading settings never writes.
+paymentSettingsSchema.statics.getSettings = async function() {
+  const settings = await this.findOne({ isActive: true });
+  return settings || new this({ isActive: true });
+};
+
+/**
+ * Move a single bank account saved before payment methods into the payment method list
+ * @returns {Promise<boolean>} whether there was an account to move
+ */
+paymentSettingsSchema.statics.migrateLegacyAccount = async function () {
+  const settings = await this.findOne({ isActive: true });
+  if (!settings || !migrateLegacyAccount(settings)) return false;
+
+  await settings.save();
+  return true;
+};
+
+// Payment methods offered to customers, in display order
+paymentSettingsSchema.methods.getEnabledMethods = function () {
+  return this.paymentMethods
+    .filter(method => method.enabled)
+    .sort((a, b) => a.sortOrder - b.sortOrder);
 };
 
 const PaymentSettings = mongoose.model('PaymentSettings', paymentSettingsSchema);
@@ -1,5 +1,106 @@
 import mongoose from 'mongoose';
 
+// Lab certificate issued for a gemstone
+const certificateSchema = new mongoose.Schema(
+  {
+    number: {
+      type: String,
+      trim: true,
+      uppercase: true
+    },
+    lab: {
+      type: String,
+      trim: true
+    },
+    issuedAt: {
+      type: Date
+    },
+    fileUrl: {
+      type: String // Certificate PDF or image URL
+    }
+  },
+  {
+    _id: false
+  }
+);
+
+// Resized derivative of a gallery image, in the original format and as WebP
+const imageVariantSchema = new mongoose.Schema(
+  {
+    url: { type: String },
+    webpUrl: { type: String },
+    width: { type: Number },
+    height: { type: Number }
+  },
+  {
+    _id: false
+  }
+);
+
+// Gallery image - array position is the display order
+const productImageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'Image URL is required']
+  },
+  alt: {
+    type: String,
+    trim: true
+  },
+  isPrimary: {
+    type: Boolean,
+    default: false
+  },
+  variants: {
+    thumbnail: { type: imageVariantSchema },
+    medium: { type: imageVariantSchema },
+    large: { type: imageVariantSchema }
+  }
+});
+
+// Structured attributes for productType: 'Gemstone'
+const gemstoneSchema = new mongoose.Schema(
+  {
+    caratWeight: {
+      type: Number,
+      min: [0, 'Carat weight cannot be negative']
+    },
+    dimensions: {
+      // Millimetres
+      length: { type: Number, min: 0 },
+      width: { type: Number, min: 0 },
+      depth: { type: Number, min: 0 }
+    },
+    colorGrade: {
+      type: String,
+      trim: true
+    },
+    clarity: {
+      type: String,
+      trim: true
+    },
+    cut: {
+      type: String,
+      trim: true
+    },
+    origin: {
+      type: String,
+      trim: true
+    },
+    treatment: {
+      type: String,
+      enum: ['none', 'heat', 'oil', 'irradiation', 'diffusion', 'fracture-filling', 'other'],
+      default: 'none'
+    },
+    certificate: {
+      type: certificateSchema
+    }
+  },
+  {
+    _id: false
+  }
+);
+
 const productSchema = new mongoose.Schema(
   {
     name: {
@@ -13,9 +114,13 @@ const productSchema = new mongoose.Schema(
       required: [true, 'Product type is required']
     },
     image: {
-      type: String,
+      type: String, // Primary image URL - kept in sync with `images` for older clients
       required: [true, 'Product image is required']
     },
+    images: {
+      type: [productImageSchema],
+      default: []
+    },
     description: {
       type: String,
       required: [true, 'Product description is required'],
@@ -29,11 +134,55 @@ const productSchema = new mongoose.Schema(
       type: Boolean,
       default: false
     },
+    gemstone: {
+      type: gemstoneSchema,
+      default: undefined // Only set for productType: 'Gemstone'
+    },
     price: {
       type: Number,
       default: 0,
       min: [0, 'Price cannot be negative']
     },
+    // Scheduled sale - salePrice applies between saleStartsAt and saleEndsAt (either may be open-ended)
+    salePrice: {
+      type: Number,
+      default: null,
+      min: [0, 'Sale price cannot be negative']
+    },
+    saleStartsAt: {
+      type: Date,
+      default: null
+    },
+    saleEndsAt: {
+      type: Date,
+      default: null,
+      validate: {
+        validator: function (value) {
+          return !value || !this.saleStartsAt || value > this.saleStartsAt;
+        },
+        message: 'Sale end must be after the sale start'
+      }
+    },
+    stock: {
+      type: Number,
+      default: null, // null = stock not tracked (unlimited)
+      min: [0, 'Stock cannot be negative'],
+      validate: {
+        validator: (value) => value === null || Number.isInteger(value),
+        message: 'Stock must be a whole number'
+      }
+    },
+    reservedStock: {
+      type: Number,
+      default: 0, // Units held by pending payments (already removed from stock)
+      min: [0, 'Reserved stock cannot be negative']
+    },
+    // Packed shipping weight of one unit in grams (used for weight-based shipping rates)
+    weight: {
+      type: Number,
+      default: null,
+      min: [0, 'Weight cannot be negative']
+    },
     isActive: {
       type: Boolean,
       default: true
@@ -52,9 +201,83 @@ const productSchema = new mongoose.Schema(
   }
 );
 
+/**
+ * Whether a product (document or plain object) has a sale running at the given time
+ */
+export const isSaleActive = (product, now = new Date()) =>
+  product.salePrice !== null && product.salePrice !== undefined &&
+  (!product.saleStartsAt || new Date(product.saleStartsAt) <= now) &&
+  (!product.saleEndsAt || new Date(product.saleEndsAt) > now);
+
+/**
+ * Price a customer pays right now - the sale price while a sale is running, otherwise the regular price
+ */
+export const getCurrentPrice = (product, now = new Date()) =>
+  isSaleActive(product, now) ? product.salePrice : (product.price || 0);
+
+/**
+ * Aggregation expression for getCurrentPrice, so listings can filter and sort on the price customers pay
+ */
+export const currentPriceExpression = (now = new Date()) => ({
+  $cond: {
+    if: {
+      $and: [
+        { $ne: [{ $ifNull: ['$salePrice', null] }, null] },
+        { $lte: [{ $ifNull: ['$saleStartsAt', now] }, now] },
+        { $or: [{ $eq: [{ $ifNull: ['$saleEndsAt', null] }, null] }, { $gt: ['$saleEndsAt', now] }] }
+      ]
+    },
+    then: '$salePrice',
+    else: { $ifNull: ['$price', 0] }
+  }
+});
+
+// The sale price has to stay below the regular price - checked whenever either changes, since a
+// path validator on salePrice alone misses a price cut under a running sale
+productSchema.pre('validate', function (next) {
+  const priceChanged = this.isNew || this.isModified('price') || this.isModified('salePrice');
+  if (priceChanged && this.salePrice !== null && this.salePrice !== undefined && !(this.salePrice < this.price)) {
+    this.invalidate('salePrice', 'Sale price must be lower than the regular price', this.salePrice);
+  }
+  next();
+});
+
+// Keep the gallery and the legacy `image` field consistent: exactly one primary image,
+// and `image` always points at it. Products created before galleries get their image as the first entry.
+productSchema.pre('validate', function (next) {
+  if (this.images.length === 0 && this.image) {
+    this.images.push({ url: this.image, isPrimary: true });
+  }
+
+  if (this.images.length > 0) {
+    const primary = this.images.find(image => image.isPrimary) || this.images[0];
+    this.images.forEach((image) => {
+      image.isPrimary = image === primary;
+    });
+    this.image = primary.url;
+  }
+
+  next();
+});
+
 // Index for better query performance
 productSchema.index({ productType: 1, featured: 1 });
 productSchema.index({ category: 1 });
+productSchema.index({ price: 1 });
+productSchema.index({ 'gemstone.caratWeight': 1 });
+productSchema.index({ 'gemstone.origin': 1 });
+
+// Certificate numbers identify a single stone
+productSchema.index(
+  { 'gemstone.certificate.number': 1 },
+  { unique: true, partialFilterExpression: { 'gemstone.certificate.number': { $type: 'string' } } }
+);
+
+// Text index backing storefront search (?q=) - name matches rank above category and description
+productSchema.index(
+  { name: 'text', description: 'text', category: 'text' },
+  { name: 'product_text_search', weights: { name: 10, category: 5, description: 1 } }
+);
 
 const Product = mongoose.model('Product', productSchema);
 
@@ -0,0 +1,116 @@
+import mongoose from 'mongoose';
+
+// Rate for one tier. Tiers are matched on order weight (grams) or subtotal depending on the zone's
+// rateType; a tier covers min <= value < max, and a missing max means "and above".
+const rateTierSchema = new mongoose.Schema(
+  {
+    min: {
+      type: Number,
+      default: 0,
+      min: [0, 'Tier minimum cannot be negative']
+    },
+    max: {
+      type: Number,
+      default: null
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Tier amount is required'],
+      min: [0, 'Shipping amount cannot be negative']
+    }
+  },
+  {
+    _id: false
+  }
+);
+
+const shippingZoneSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Zone name is required'],
+      trim: true
+    },
+    // Country names or codes as customers enter them - matched case-insensitively.
+    // An empty list matches every country (catch-all zone).
+    countries: {
+      type: [{ type: String, trim: true }],
+      default: []
+    },
+    // Optional cities within those countries. City zones take priority over country-wide zones.
+    cities: {
+      type: [{ type: String, trim: true }],
+      default: []
+    },
+    rateType: {
+      type: String,
+      enum: ['weight', 'price'],
+      default: 'weight'
+    },
+    rates: {
+      type: [rateTierSchema],
+      validate: {
+        validator: (rates) => Array.isArray(rates) && rates.length > 0,
+        message: 'At least one rate tier is required'
+      }
+    },
+    // Orders whose subtotal reaches this amount ship free (null = never free)
+    freeShippingThreshold: {
+      type: Number,
+      default: null,
+      min: [0, 'Free shipping threshold cannot be negative']
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+const normalize = (value) => (value || '').trim().toLowerCase();
+
+// How specifically a zone matches an address: 2 = city, 1 = country, 0 = catch-all, -1 = no match
+shippingZoneSchema.methods.matchScore = function ({ country, city } = {}) {
+  const countries = this.countries.map(normalize);
+  const cities = this.cities.map(normalize);
+
+  if (countries.length > 0 && !countries.includes(normalize(country))) return -1;
+  if (cities.length > 0) return cities.includes(normalize(city)) ? 2 : -1;
+  return countries.length > 0 ? 1 : 0;
+};
+
+// Shipping amount for an order weight (grams) and subtotal, before free-shipping checks.
+// Returns null when no tier covers the value.
+shippingZoneSchema.methods.rateFor = function ({ weight, subtotal }) {
+  const value = this.rateType === 'price' ? subtotal : weight;
+  const tier = this.rates.find(rate =>
+    value >= (rate.min || 0) && (rate.max === null || rate.max === undefined || value < rate.max)
+  );
+  return tier ? tier.amount : null;
+};
+
+// Most specific active zone for an address, or null if none ships there
+shippingZoneSchema.statics.findForAddress = async function (address) {
+  const zones = await this.find({ isActive: true }).sort({ createdAt: 1 });
+  let best = null;
+  let bestScore = -1;
+
+  zones.forEach((zone) => {
+    const score = zone.matchScore(address);
+    if (score > bestScore) {
+      best = zone;
+      bestScore = score;
+    }
+  });
+
+  return best;
+};
+
+shippingZoneSchema.index({ isActive: 1 });
+
+const ShippingZone = mongoose.model('ShippingZone', shippingZoneSchema);
+
+export default ShippingZone;
@@ -1,6 +1,56 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 
+// Saved shipping address - one address in the book is the default
+const addressSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+    default: 'Home'
+  },
+  fullName: {
+    type: String,
+    required: [true, 'Recipient name is required'],
+    trim: true
+  },
+  phone: {
+    type: String,
+    required: [true, 'Phone number is required'],
+    trim: true
+  },
+  line1: {
+    type: String,
+    required: [true, 'Address line 1 is required'],
+    trim: true
+  },
+  line2: {
+    type: String,
+    trim: true
+  },
+  city: {
+    type: String,
+    required: [true, 'City is required'],
+    trim: true
+  },
+  state: {
+    type: String,
+    trim: true
+  },
+  postalCode: {
+    type: String,
+    trim: true
+  },
+  country: {
+    type: String,
+    required: [true, 'Country is required'],
+    trim: true
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+});
+
 const userSchema = new mongoose.Schema(
   {
     email: {
@@ -33,6 +83,10 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true
     },
+    addresses: {
+      type: [addressSchema],
+      default: []
+    },
     createdAt: {
       type: Date,
       default: Date.now
@@ -47,6 +101,22 @@ const userSchema = new mongoose.Schema(
   }
 );
 
+// Keep exactly one default address whenever the address book isn't empty
+userSchema.pre('validate', function (next) {
+  if (this.addresses.length > 0) {
+    const defaultAddress = this.addresses.find(address => address.isDefault) || this.addresses[0];
+    this.addresses.forEach((address) => {
+      address.isDefault = address === defaultAddress;
+    });
+  }
+  next();
+});
+
+// Default shipping address, if any
+userSchema.methods.getDefaultAddress = function () {
+  return this.addresses.find(address => address.isDefault) || this.addresses[0] || null;
+};
+
 // Hash password before saving
 userSchema.pre('save', async function (next) {
   // Only hash the password if it has been modified (or is new)
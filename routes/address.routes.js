@@ -0,0 +1,14 @@
+import express from 'express';
+import addressController from '../controllers/address.controller.js';
+import { isAuthenticated } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// Address book for the signed-in user
+router.get('/', isAuthenticated, addressController.getAddresses);
+router.post('/', isAuthenticated, addressController.addAddress);
+router.put('/:addressId', isAuthenticated, addressController.updateAddress);
+router.put('/:addressId/default', isAuthenticated, addressController.setDefaultAddress);
+router.delete('/:addressId', isAuthenticated, addressController.deleteAddress);
+
+export default router;
@@ -0,0 +1,19 @@
+import express from 'express';
+import cartController from '../controllers/cart.controller.js';
+import paymentController from '../controllers/payment.controller.js';
+import { paymentUpload } from '../middleware/upload.middleware.js';
+import { idempotent } from '../middleware/idempotency.middleware.js';
+
+const router = express.Router();
+
+// Public routes - the cart lives in the session, so guests can use it too
+router.get('/', cartController.getCart);
+router.post('/items', cartController.addItem);
+router.put('/items/:productId', cartController.updateItem);
+router.delete('/items/:productId', cartController.removeItem);
+router.delete('/', cartController.clearCart);
+
+// Checkout - creates one order and one payment for the whole cart
+router.post('/checkout', paymentUpload.single('screenshot'), idempotent, paymentController.checkout);
+
+export default router;
@@ -0,0 +1,16 @@
+import express from 'express';
+import couponController from '../controllers/coupon.controller.js';
+import { isAuthenticated, isAdmin } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// Public route - check a discount code before paying
+router.post('/validate', couponController.validateCoupon);
+
+// Admin routes
+router.get('/', isAuthenticated, isAdmin, couponController.getCoupons);
+router.post('/', isAuthenticated, isAdmin, couponController.createCoupon);
+router.put('/:id', isAuthenticated, isAdmin, couponController.updateCoupon);
+router.delete('/:id', isAuthenticated, isAdmin, couponController.deleteCoupon);
+
+export default router;
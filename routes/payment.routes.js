@@ -1,67 +1,56 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import paymentController from '../controllers/payment.controller.js';
 import { isAuthenticated, isAdmin } from '../middleware/auth.middleware.js';
-import { upload } from '../middleware/upload.middleware.js';
-import multer from 'multer';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import fs from 'fs';
+import { paymentUpload, refundProofUpload } from '../middleware/upload.middleware.js';
+import { orderTrackingLimiter } from '../middleware/rateLimit.middleware.js';
+import { idempotent } from '../middleware/idempotency.middleware.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Create payments upload directory if it doesn't exist
-const paymentsDir = path.join(__dirname, '../uploads/payments');
-if (!fs.existsSync(paymentsDir)) {
-  fs.mkdirSync(paymentsDir, { recursive: true });
-}
-
-// Configure multer for payment screenshots
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, paymentsDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    cb(null, `payment-${uniqueSuffix}${ext}`);
-  }
-});
-
-const fileFilter = (req, file, cb) => {
-  const allowedTypes = /jpeg|jpg|png/;
-  const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-  const mimetype = allowedTypes.test(file.mimetype);
+const router = express.Router();
 
-  if (mimetype && extname) {
-    return cb(null, true);
-  } else {
-    cb(new Error('Only image files are allowed (jpeg, jpg, png)'));
+// A malformed payment ID is a bad request, not a database cast error
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid payment ID'
+    });
   }
-};
-
-const paymentUpload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB limit
-  },
-  fileFilter: fileFilter
+  return next();
 });
 
-const router = express.Router();
-
 // Public routes
-router.post('/', paymentUpload.single('screenshot'), paymentController.createPayment);
+router.post('/', paymentUpload.single('screenshot'), idempotent, paymentController.createPayment);
+// Guest order tracking by booking ID + checkout email/phone
+router.post('/track', orderTrackingLimiter, paymentController.trackOrder);
+// Screenshot via a short-lived signed link (returned in payment responses)
+router.get('/screenshots/:bookingId', paymentController.getSignedScreenshot);
+// Online payment gateway webhooks (body kept raw by server.js for signature checks)
+router.post('/webhooks/:provider', paymentController.handleGatewayWebhook);
 
 // IMPORTANT: Specific routes must come before parameterized routes
 // User routes (require authentication)
 router.get('/my-transactions', isAuthenticated, paymentController.getMyTransactions);
+// Attach a guest order to the signed-in account (booking ID + checkout email/phone)
+router.post('/claim', isAuthenticated, orderTrackingLimiter, paymentController.claimGuestOrder);
+// Screenshot for the admin or the payment's owner
+router.get('/:id/screenshot', isAuthenticated, paymentController.getScreenshot);
+// Refund proof for the admin or the payment's owner
+router.get('/:id/refunds/:refundId/proof', isAuthenticated, paymentController.getRefundProof);
+// Invoice PDF for the admin or the payment's owner
+router.get('/:id/invoice', isAuthenticated, paymentController.downloadInvoice);
 
 // Admin routes (require authentication and admin role)
 router.get('/', isAuthenticated, isAdmin, paymentController.getAllPayments);
+// Bulk review - results are reported per payment
+router.post('/bulk/status', isAuthenticated, isAdmin, paymentController.bulkUpdatePaymentStatus);
+router.post('/bulk/delete', isAuthenticated, isAdmin, paymentController.bulkDeletePayments);
 router.put('/:id/status', isAuthenticated, isAdmin, paymentController.updatePaymentStatus);
+router.put('/:id/fulfilment', isAuthenticated, isAdmin, paymentController.updateFulfilment);
+router.post('/:id/refunds', isAuthenticated, isAdmin, refundProofUpload.single('proof'), paymentController.createRefund);
+router.post('/:id/invoice', isAuthenticated, isAdmin, paymentController.regenerateInvoice);
 router.delete('/:id', isAuthenticated, isAdmin, paymentController.deletePayment);
+router.post('/:id/restore', isAuthenticated, isAdmin, paymentController.restorePayment);
 router.get('/:id', isAuthenticated, isAdmin, paymentController.getPaymentById);
 
 export default router;
-
@@ -1,11 +1,13 @@
 import express from 'express';
 import productController from '../controllers/product.controller.js';
+import batchController from '../controllers/batch.controller.js';
 import { isAuthenticated, isAdmin } from '../middleware/auth.middleware.js';
 
 const router = express.Router();
 
 // Public routes
 router.get('/', productController.getAllProducts);
+router.get('/certificates/:number', productController.getCertificate);
 
 // Admin routes (require authentication and admin role)
 // IMPORTANT: Define specific routes before parameterized routes
@@ -14,6 +16,18 @@ router.post('/', isAuthenticated, isAdmin, productController.createProduct);
 router.put('/:id', isAuthenticated, isAdmin, productController.updateProduct);
 router.delete('/:id', isAuthenticated, isAdmin, productController.deleteProduct);
 
+// Gallery images (admin only)
+router.post('/:id/images', isAuthenticated, isAdmin, productController.addImages);
+router.put('/:id/images/order', isAuthenticated, isAdmin, productController.reorderImages);
+router.patch('/:id/images/:imageId', isAuthenticated, isAdmin, productController.updateImage);
+router.delete('/:id/images/:imageId', isAuthenticated, isAdmin, productController.removeImage);
+
+// Shilajit production batches (admin only)
+router.get('/:id/batches', isAuthenticated, isAdmin, batchController.getBatches);
+router.post('/:id/batches', isAuthenticated, isAdmin, batchController.createBatch);
+router.put('/:id/batches/:batchId', isAuthenticated, isAdmin, batchController.updateBatch);
+router.delete('/:id/batches/:batchId', isAuthenticated, isAdmin, batchController.deleteBatch);
+
 // Public routes - must come after specific routes
 router.get('/:id', productController.getProductById);
 
@@ -0,0 +1,16 @@
+import express from 'express';
+import shippingController from '../controllers/shipping.controller.js';
+import { isAuthenticated, isAdmin } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// Public route - storefront shipping quote before payment
+router.post('/quote', shippingController.getQuote);
+
+// Admin routes - shipping zones and rates
+router.get('/zones', isAuthenticated, isAdmin, shippingController.getZones);
+router.post('/zones', isAuthenticated, isAdmin, shippingController.createZone);
+router.put('/zones/:id', isAuthenticated, isAdmin, shippingController.updateZone);
+router.delete('/zones/:id', isAuthenticated, isAdmin, shippingController.deleteZone);
+
+export default router;
@@ -1,16 +1,49 @@
 import express from 'express';
-import { upload, uploadsUrl } from '../middleware/upload.middleware.js';
+import { upload, certificateUpload, labReportUpload } from '../middleware/upload.middleware.js';
 import { isAuthenticated, isAdmin } from '../middleware/auth.middleware.js';
+import { generateDerivatives, deleteImage } from '../services/image.service.js';
+import { resolveUrl } from '../services/storage.service.js';
 
 const router = express.Router();
 
+// Absolute URL for a stored reference (local references are served by this backend)
+const toAbsoluteUrl = (ref, req) => {
+  const url = resolveUrl(ref);
+  if (/^https?:\/\//.test(url)) return url;
+
+  const protocol = req.protocol || 'http';
+  const host = req.get('host') || 'localhost:3000';
+  return `${protocol}://${host}${url}`;
+};
+
+// Generate derivatives for an uploaded product image. Files that can't be decoded as images
+// are removed, with any derivatives already stored, and reported as a 400.
+const processProductImage = async (file) => {
+  try {
+    return await generateDerivatives(file.key, file.buffer);
+  } catch (error) {
+    console.error('Image derivative error:', error);
+    deleteImage(file.key).catch(() => {});
+    const processingError = new Error(`Could not process image ${file.originalname}`);
+    processingError.status = 400;
+    throw processingError;
+  }
+};
+
+// Absolute URLs for a variants map
+const absoluteVariants = (variants, req) =>
+  Object.fromEntries(Object.entries(variants).map(([size, variant]) => [
+    size,
+    { ...variant, absoluteUrl: toAbsoluteUrl(variant.url, req), absoluteWebpUrl: toAbsoluteUrl(variant.webpUrl, req) }
+  ]));
+
 // Single image upload route (admin only)
 router.post(
   '/image',
   isAuthenticated,
   isAdmin,
   upload.single('image'),
-  (req, res) => {
+  async (req, res) => {
     try {
       if (!req.file) {
         return res.status(400).json({
@@ -19,21 +52,24 @@ router.post(
         });
       }
 
-      // Construct absolute URL for the uploaded file
-      const protocol = req.protocol || 'http';
-      const host = req.get('host') || 'localhost:3000';
-      const baseUrl = `${protocol}://${host}`;
-      const fileUrl = `${uploadsUrl}/${req.file.filename}`;
-      const absoluteUrl = `${baseUrl}${fileUrl}`;
+      const variants = await processProductImage(req.file);
 
       return res.json({
         success: true,
         message: 'Image uploaded successfully',
-        imageUrl: fileUrl, // Keep relative URL for backward compatibility
-        absoluteUrl: absoluteUrl, // New absolute URL field
-        filename: req.file.filename
+        imageUrl: req.file.storageRef, // Keep relative URL for backward compatibility
+        absoluteUrl: toAbsoluteUrl(req.file.storageRef, req), // New absolute URL field
+        filename: req.file.filename,
+        variants: absoluteVariants(variants, req)
       });
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       console.error('Upload error:', error);
       return res.status(500).json({
         success: false,
@@ -44,5 +80,123 @@ router.post(
   }
 );
 
-export default router;
+// Multiple image upload route for product galleries (admin only)
+router.post(
+  '/images',
+  isAuthenticated,
+  isAdmin,
+  upload.array('images', 10),
+  async (req, res) => {
+    try {
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No files uploaded'
+        });
+      }
+
+      // Same shape as the single upload response, in upload order
+      const images = [];
+      for (const file of req.files) {
+        const variants = await processProductImage(file);
+        images.push({
+          imageUrl: file.storageRef,
+          absoluteUrl: toAbsoluteUrl(file.storageRef, req),
+          filename: file.filename,
+          variants: absoluteVariants(variants, req)
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: `${images.length} image(s) uploaded successfully`,
+        images
+      });
+    } catch (error) {
+      // The upload fails as a whole - don't leave the other files of the request behind
+      await Promise.all((req.files || []).map(file => deleteImage(file.key).catch(() => {})));
+
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Upload error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error uploading images',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// Gemstone certificate upload route - PDF or image (admin only)
+router.post(
+  '/certificate',
+  isAuthenticated,
+  isAdmin,
+  certificateUpload.single('certificate'),
+  (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'No file uploaded'
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: 'Certificate uploaded successfully',
+        fileUrl: req.file.storageRef,
+        absoluteUrl: toAbsoluteUrl(req.file.storageRef, req),
+        filename: req.file.filename
+      });
+    } catch (error) {
+      console.error('Certificate upload error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error uploading certificate',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// Shilajit batch lab report upload route - PDF or image (admin only)
+router.post(
+  '/lab-report',
+  isAuthenticated,
+  isAdmin,
+  labReportUpload.single('labReport'),
+  (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'No file uploaded'
+        });
+      }
 
+      return res.json({
+        success: true,
+        message: 'Lab report uploaded successfully',
+        fileUrl: req.file.storageRef,
+        absoluteUrl: toAbsoluteUrl(req.file.storageRef, req),
+        filename: req.file.filename
+      });
+    } catch (error) {
+      console.error('Lab report upload error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error uploading lab report',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Payment from '../models/Payment.model.js';
+import { storage, keyFromRef } from '../services/storage.service.js';
+import { hashScreenshot, findScreenshotMatches } from '../services/screenshotHash.service.js';
+
+// Load environment variables
+dotenv.config();
+
+// Hash the screenshots of payments submitted before duplicate detection, oldest first,
+// and flag each one that matches an earlier payment's screenshot.
+// Pass --force to re-hash and re-check payments that already have hashes.
+const backfillScreenshotHashes = async () => {
+  const force = process.argv.includes('--force');
+
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(
+      process.env.MONGODB_URI || 'mongodb://localhost:27017/vitalgeonaturals'
+    );
+    console.log('✅ Connected to MongoDB');
+
+    // Only payments with a screenshot - gateway and cash on delivery payments have nothing to hash
+    const filter = { screenshot: { $nin: [null, ''] } };
+    if (!force) {
+      filter['screenshotHash.sha256'] = { $exists: false };
+    }
+    const payments = await Payment.find(filter).select('bookingId screenshot createdAt').sort({ createdAt: 1 });
+
+    let hashed = 0;
+    let flagged = 0;
+    let failed = 0;
+    for (const payment of payments) {
+      const key = keyFromRef(payment.screenshot);
+
+      try {
+        if (!key || !(await storage.exists(key))) {
+          throw new Error('screenshot not found in storage');
+        }
+
+        const screenshotHash = await hashScreenshot(await storage.get(key));
+        const screenshotMatches = await findScreenshotMatches(screenshotHash, {
+          excludeId: payment._id,
+          before: payment.createdAt
+        });
+
+        // Plain update - older payments may not pass today's validation
+        await Payment.updateOne({ _id: payment._id }, { $set: { screenshotHash, screenshotMatches } });
+
+        hashed += 1;
+        if (screenshotMatches.length > 0) {
+          flagged += 1;
+          console.log(`⚠️  ${payment.bookingId} matches ${screenshotMatches.map(match => match.bookingId).join(', ')}`);
+        }
+      } catch (error) {
+        failed += 1;
+        console.error(`❌ ${payment.bookingId}: ${error.message}`);
+      }
+    }
+    console.log(`✅ Hashed ${hashed} of ${payments.length} payment screenshot(s), ${flagged} flagged as duplicates, ${failed} failed`);
+
+    // Close connection
+    await mongoose.connection.close();
+    console.log('✅ Database connection closed');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error backfilling screenshot hashes:', error);
+    process.exit(1);
+  }
+};
+
+// Run the script
+backfillScreenshotHashes();
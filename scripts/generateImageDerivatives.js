@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import Product from '../models/Product.model.js';
+import { PRODUCTS_FOLDER } from '../middleware/upload.middleware.js';
+import { storage, toStorageRef } from '../services/storage.service.js';
+import {
+  generateDerivatives,
+  findDerivatives,
+  isDerivativeFilename
+} from '../services/image.service.js';
+
+// Load environment variables
+dotenv.config();
+
+// Backfill thumbnail/medium/large (+ WebP) derivatives for existing product uploads,
+// then record them on every product gallery image.
+// Pass --force to regenerate derivatives that already exist.
+const backfillImageDerivatives = async () => {
+  const force = process.argv.includes('--force');
+
+  try {
+    // Generate missing derivatives for every original upload
+    const originals = (await storage.list(PRODUCTS_FOLDER))
+      .filter(key => /\.(jpe?g|png|gif|webp)$/i.test(key) && !isDerivativeFilename(key));
+
+    let generated = 0;
+    let failed = 0;
+    for (const key of originals) {
+      if (!force && await findDerivatives(toStorageRef(key))) continue;
+
+      try {
+        await generateDerivatives(key);
+        generated += 1;
+        console.log(`✅ ${path.basename(key)}`);
+      } catch (error) {
+        failed += 1;
+        console.error(`❌ ${path.basename(key)}: ${error.message}`);
+      }
+    }
+    console.log(`ℹ️  Generated derivatives for ${generated} image(s), ${failed} failed, ${originals.length} original(s) found in ${storage.name} storage`);
+
+    // Connect to MongoDB
+    await mongoose.connect(
+      process.env.MONGODB_URI || 'mongodb://localhost:27017/vitalgeonaturals'
+    );
+    console.log('✅ Connected to MongoDB');
+
+    // Attach derivatives to product gallery images
+    const products = await Product.find();
+    let updated = 0;
+    for (const product of products) {
+      let changed = false;
+
+      // Saving seeds the gallery from the legacy image field - do it up front so it gets variants too
+      if (product.images.length === 0 && product.image) {
+        product.images.push({ url: product.image, isPrimary: true });
+        changed = true;
+      }
+
+      for (const image of product.images) {
+        if (!force && image.variants && image.variants.thumbnail && image.variants.thumbnail.url) continue;
+        const variants = await findDerivatives(image.url);
+        if (variants) {
+          image.variants = variants;
+          changed = true;
+        }
+      }
+
+      if (changed) {
+        await product.save();
+        updated += 1;
+      }
+    }
+    console.log(`✅ Updated ${updated} of ${products.length} product(s)`);
+
+    // Close connection
+    await mongoose.connection.close();
+    console.log('✅ Database connection closed');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error backfilling image derivatives:', error);
+    process.exit(1);
+  }
+};
+
+// Run the script
+backfillImageDerivatives();
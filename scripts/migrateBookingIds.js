@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { migrateLegacyBookingIds } from '../services/bookingId.service.js';
+
+// Load environment variables
+dotenv.config();
+
+// Give payments with an old VGN<timestamp><random> booking ID a sequential one (see
+// migrateLegacyBookingIds). Run it before deploying the new booking IDs - it refuses to run once
+// checkout has issued any. Invoice PDFs issued earlier keep showing the old ID until they are regenerated.
+const migrateBookingIds = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(
+      process.env.MONGODB_URI || 'mongodb://localhost:27017/vitalgeonaturals'
+    );
+    console.log('✅ Connected to MongoDB');
+
+    const { migrated, total } = await migrateLegacyBookingIds((legacyBookingId, bookingId) => {
+      console.log(`✅ ${legacyBookingId} -> ${bookingId}`);
+    });
+    console.log(`✅ Migrated ${migrated} of ${total} legacy booking ID(s)`);
+
+    // Close connection
+    await mongoose.connection.close();
+    console.log('✅ Database connection closed');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating booking IDs:', error);
+    process.exit(1);
+  }
+};
+
+// Run the script
+migrateBookingIds();
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import PaymentSettings from '../models/PaymentSettings.model.js';
+
+// Load environment variables
+dotenv.config();
+
+// Move the bank account saved by the old single-account payment settings into the payment method
+// list. Safe to re-run: once moved there is nothing left to migrate.
+const migratePaymentMethods = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(
+      process.env.MONGODB_URI || 'mongodb://localhost:27017/vitalgeonaturals'
+    );
+    console.log('✅ Connected to MongoDB');
+
+    const migrated = await PaymentSettings.migrateLegacyAccount();
+    console.log(migrated
+      ? '✅ Moved the legacy bank account into payment methods'
+      : '✅ No legacy bank account to migrate');
+
+    // Close connection
+    await mongoose.connection.close();
+    console.log('✅ Database connection closed');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating payment methods:', error);
+    process.exit(1);
+  }
+};
+
+// Run the script
+migratePaymentMethods();
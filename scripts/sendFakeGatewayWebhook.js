@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import crypto from 'crypto';
+import Payment from '../models/Payment.model.js';
+import gatewayConfig from '../config/gateway.config.js';
+import { signFakeWebhook, SIGNATURE_HEADER } from '../services/gateway/fake.gateway.js';
+import { bookingIdFilter } from '../services/bookingId.service.js';
+
+// Load environment variables
+dotenv.config();
+
+// Play the fake gateway: send a signed webhook for a payment's checkout session to the running server.
+// Usage: node scripts/sendFakeGatewayWebhook.js <bookingId> [succeeded|failed] [--amount=<amount>]
+// --amount overrides the amount reported, to try out mismatches.
+const sendFakeGatewayWebhook = async () => {
+  const [bookingId, outcome = 'succeeded'] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  const amountArg = process.argv.find(arg => arg.startsWith('--amount='));
+
+  if (!bookingId || !['succeeded', 'failed'].includes(outcome)) {
+    console.error('Usage: node scripts/sendFakeGatewayWebhook.js <bookingId> [succeeded|failed] [--amount=<amount>]');
+    process.exit(1);
+  }
+
+  if (!gatewayConfig.fake.webhookSecret) {
+    console.error('❌ Set FAKE_GATEWAY_WEBHOOK_SECRET to the secret the server uses');
+    process.exit(1);
+  }
+
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(
+      process.env.MONGODB_URI || 'mongodb://localhost:27017/vitalgeonaturals'
+    );
+
+    const payment = await Payment.findOne({ ...bookingIdFilter(bookingId), 'gateway.provider': 'fake' });
+    if (!payment) {
+      throw new Error(`No fake gateway payment found for booking ${bookingId}`);
+    }
+
+    const body = JSON.stringify({
+      id: `evt_fake_${crypto.randomBytes(12).toString('hex')}`,
+      type: `payment.${outcome}`,
+      data: {
+        sessionId: payment.gateway.sessionId,
+        reference: payment.bookingId,
+        amount: amountArg ? Number(amountArg.split('=')[1]) : payment.amount,
+        currency: payment.gateway.currency,
+        transactionId: outcome === 'succeeded' ? `txn_fake_${crypto.randomBytes(8).toString('hex')}` : undefined
+      }
+    });
+
+    const response = await fetch(`${gatewayConfig.apiUrl}/api/payments/webhooks/fake`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        [SIGNATURE_HEADER]: signFakeWebhook(body, gatewayConfig.fake.webhookSecret)
+      },
+      body
+    });
+    console.log(`✅ Webhook answered ${response.status}: ${await response.text()}`);
+
+    // Close connection
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error sending fake gateway webhook:', error.message);
+    process.exit(1);
+  }
+};
+
+// Run the script
+sendFakeGatewayWebhook();
@@ -3,28 +3,43 @@ import mongoose from 'mongoose';
 import passport from 'passport';
 import cors from 'cors';
 import dotenv from 'dotenv';
+import path from 'path';
 import authRoutes from './routes/auth.routes.js';
 import productRoutes from './routes/product.routes.js';
 import uploadRoutes from './routes/upload.routes.js';
 import paymentRoutes from './routes/payment.routes.js';
 import paymentSettingsRoutes from './routes/paymentSettings.routes.js';
 import analyticsRoutes from './routes/analytics.routes.js';
-import { uploadsPath, uploadsUrl } from './middleware/upload.middleware.js';
+import cartRoutes from './routes/cart.routes.js';
+import addressRoutes from './routes/address.routes.js';
+import shippingRoutes from './routes/shipping.routes.js';
+import couponRoutes from './routes/coupon.routes.js';
+import { storage } from './services/storage.service.js';
+import { PUBLIC_FOLDERS } from './middleware/upload.middleware.js';
 import { createSessionMiddleware } from './middleware/session.middleware.js';
 import { sessionRecoveryMiddleware } from './middleware/sessionRecovery.middleware.js';
 import { sessionCookieMiddleware } from './middleware/sessionCookie.middleware.js';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { startScheduler } from './services/scheduler.service.js';
+import { gateway } from './services/gateway.service.js';
 import './config/passport.config.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
 // Load environment variables
 dotenv.config();
 
 const app = express();
 
+// Behind a reverse proxy (e.g. Render), trust it so req.ip is the client's address for rate limiting
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY, 10);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
+// Local fake payment gateway (PAYMENT_GATEWAY=fake). Its checkout page stands in for a provider's
+// own site, so it is mounted outside the API's CORS rules.
+if (gateway?.router) {
+  app.use(`/api/gateway/${gateway.name}`, gateway.router);
+}
+
 // Middleware
 // CORS configuration - allows requests from frontend, admin, and localhost
 const allowedOrigins = [
@@ -47,16 +62,23 @@ app.use(cors({
       callback(new Error('Not allowed by CORS'));
     }
   },
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 
+// Gateway webhook signatures are checked against the exact bytes received
+app.use('/api/payments/webhooks', express.raw({ type: '*/*' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Serve uploaded files statically
-app.use(uploadsUrl, express.static(uploadsPath));
-app.use('/uploads/payments', express.static(path.join(__dirname, 'uploads/payments')));
-app.use('/uploads/payment-settings', express.static(path.join(__dirname, 'uploads/payment-settings')));
+// Serve public upload folders statically when they are stored on local disk (with the S3 driver,
+// stored references resolve to bucket URLs instead). Only those folders are mounted: payment
+// screenshots, refund proofs and invoices are private and only served through /api/payments.
+if (storage.name === 'local') {
+  PUBLIC_FOLDERS.forEach((folder) => {
+    app.use(`/uploads/${folder}`, express.static(path.join(storage.root, folder)));
+  });
+}
 
 // Session configuration with separate cookies for frontend and admin
 app.use(createSessionMiddleware());
@@ -90,6 +112,10 @@ app.use('/api/upload', uploadRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/payment-settings', paymentSettingsRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/addresses', addressRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/coupons', couponRoutes);
 
 // Health check route
 app.get('/api/health', (req, res) => {
@@ -110,6 +136,9 @@ app.use((req, res) => {
   res.status(404).json({ message: 'Route not found' });
 });
 
+// Expire stale pending payments (releasing their stock) and send payment reminders
+startScheduler();
+
 const PORT = process.env.PORT || 3000;
 
 app.listen(PORT, () => {
@@ -0,0 +1,141 @@
+/**
+ * Booking ID Service
+ * Customer-facing order numbers: VGN-<year>-<sequence>-<check digit>, e.g. VGN-2026-000123-8.
+ *
+ * Sequence numbers come from an atomic counter per year (models/Counter.model.js), so concurrent
+ * checkouts never collide. The check digit (Damm algorithm over the year and sequence digits)
+ * catches any single mistyped digit and any two neighbouring digits swapped, so a lookup with a
+ * typo is refused as mistyped instead of quietly finding nothing.
+ *
+ * Payments from before this format keep their old VGN<timestamp><random> ID in legacyBookingId
+ * (see migrateLegacyBookingIds) and can still be looked up by it.
+ */
+
+import Counter from '../models/Counter.model.js';
+import Payment from '../models/Payment.model.js';
+
+const PREFIX = 'VGN';
+
+// VGN + Date.now() + 4 random digits
+const LEGACY_PATTERN = /^VGN\d{17}$/;
+
+// Current format with separators and case ignored
+const PATTERN = /^VGN(\d{4})(\d{6,})(\d)$/;
+
+// Damm algorithm operation table (weakly totally anti-symmetric quasigroup of order 10)
+const DAMM_TABLE = [
+  [0, 3, 1, 7, 5, 9, 8, 6, 4, 2],
+  [7, 0, 9, 2, 1, 5, 4, 8, 6, 3],
+  [4, 2, 0, 6, 8, 7, 1, 3, 5, 9],
+  [1, 7, 5, 0, 9, 8, 3, 4, 2, 6],
+  [6, 1, 2, 3, 0, 4, 5, 9, 7, 8],
+  [3, 6, 7, 4, 2, 0, 9, 5, 8, 1],
+  [5, 8, 6, 9, 7, 2, 0, 1, 3, 4],
+  [8, 9, 4, 5, 3, 6, 2, 0, 1, 7],
+  [9, 4, 3, 8, 6, 1, 7, 2, 0, 5],
+  [2, 5, 8, 1, 4, 3, 6, 7, 9, 0]
+];
+
+const checkDigit = (digits) =>
+  [...digits].reduce((interim, digit) => DAMM_TABLE[interim][Number(digit)], 0);
+
+const createBookingIdError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Booking ID for a year and sequence number
+ */
+export const formatBookingId = (year, seq) => {
+  const sequence = String(seq).padStart(6, '0');
+  return `${PREFIX}-${year}-${sequence}-${checkDigit(`${year}${sequence}`)}`;
+};
+
+/**
+ * Allocate the next booking ID. The sequence restarts every year.
+ * @param {Date} date - decides the year (the migration numbers old payments by their creation date)
+ */
+export const generateBookingId = async (date = new Date()) => {
+  const year = date.getFullYear();
+  return formatBookingId(year, await Counter.next(`bookingId:${year}`));
+};
+
+export const isLegacyBookingId = (bookingId) => LEGACY_PATTERN.test(bookingId);
+
+/**
+ * Payment query for a booking ID as a customer typed it - any case, with or without the dashes,
+ * in the current or the legacy format.
+ * Throws an error with status 400 when the check digit shows the ID was mistyped.
+ */
+export const bookingIdFilter = (input) => {
+  const raw = String(input ?? '').trim();
+  const compact = raw.toUpperCase().replace(/[\s-]/g, '');
+
+  // Legacy IDs stay in bookingId until the migration has run
+  if (isLegacyBookingId(compact)) {
+    return { $or: [{ bookingId: compact }, { legacyBookingId: compact }] };
+  }
+
+  const match = compact.match(PATTERN);
+  if (!match) {
+    return { bookingId: raw };
+  }
+
+  const [, year, sequence, check] = match;
+  if (checkDigit(`${year}${sequence}${check}`) !== 0) {
+    throw createBookingIdError('That booking ID looks mistyped - please check the digits', 400);
+  }
+  return { bookingId: `${PREFIX}-${year}-${sequence}-${check}` };
+};
+
+/**
+ * Give payments with an old VGN<timestamp><random> booking ID a sequential one, oldest first and
+ * numbered in the year each was placed. The old ID moves to legacyBookingId, so customers can still
+ * track orders with it. Safe to re-run: payments already migrated are skipped.
+ *
+ * Old orders have to be numbered before checkout hands out any new-format IDs, or they would be
+ * numbered after newer orders - once it has, this throws an error with status 409 and changes nothing.
+ * @param {Function} onMigrated - called with (legacyBookingId, bookingId) for each payment renumbered
+ * @returns {Promise<Object>} { migrated, total } - payments renumbered out of legacy payments found
+ */
+export const migrateLegacyBookingIds = async (onMigrated = () => {}) => {
+  const issuedAtCheckout = await Payment.exists({ bookingId: /^VGN-/, legacyBookingId: { $exists: false } });
+  if (issuedAtCheckout) {
+    throw createBookingIdError(
+      'New booking IDs have already been issued at checkout - migrating now would number old orders after them',
+      409
+    );
+  }
+
+  const payments = await Payment.find({ legacyBookingId: { $exists: false } })
+    .select('bookingId createdAt')
+    .sort({ createdAt: 1 });
+  const legacyPayments = payments.filter(payment => isLegacyBookingId(payment.bookingId));
+
+  let migrated = 0;
+  for (const payment of legacyPayments) {
+    const legacyBookingId = payment.bookingId;
+    const bookingId = await generateBookingId(payment.createdAt);
+
+    // Plain updates - older payments may not pass today's validation
+    const result = await Payment.updateOne(
+      { _id: payment._id, bookingId: legacyBookingId },
+      { $set: { bookingId, legacyBookingId } }
+    );
+    if (result.modifiedCount === 0) continue;
+
+    // Duplicate screenshot flags on later payments name this one by booking ID
+    await Payment.updateMany(
+      { 'screenshotMatches.bookingId': legacyBookingId },
+      { $set: { 'screenshotMatches.$[match].bookingId': bookingId } },
+      { arrayFilters: [{ 'match.bookingId': legacyBookingId }] }
+    );
+
+    migrated += 1;
+    onMigrated(legacyBookingId, bookingId);
+  }
+
+  return { migrated, total: legacyPayments.length };
+};
@@ -0,0 +1,202 @@
+/**
+ * Coupon Service
+ * Validates discount codes against an order and tracks how many times each code has been used.
+ *
+ * A use is claimed when a payment is submitted with the code, given back if that payment is
+ * rejected or expires, and taken again if the payment is reinstated. Codes limited per customer
+ * also count the use against each identity the customer checked out with (models/CouponUsage.model.js).
+ */
+
+import Coupon from '../models/Coupon.model.js';
+import CouponUsage from '../models/CouponUsage.model.js';
+import Order from '../models/Order.model.js';
+import Payment from '../models/Payment.model.js';
+
+const createCouponError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Payments in these statuses no longer hold a use of their coupon
+const RELEASED_STATUSES = ['rejected', 'expired'];
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Payments made by the same customer - signed-in account, checkout email or phone
+const customerFilter = ({ userId, email, phone }) => {
+  const conditions = [];
+  if (userId) conditions.push({ userId });
+  if (email) conditions.push({ contactEmail: email.toLowerCase() });
+  if (phone) conditions.push({ contactPhone: phone });
+  return conditions.length > 0 ? { $or: conditions } : null;
+};
+
+// Identities a customer's uses of a code are counted under - each is held to maxUsesPerUser
+const customerKeys = ({ userId, email, phone }) => {
+  const digits = Payment.normalizePhone(phone);
+  return [
+    userId && `user:${userId}`,
+    email && `email:${email.toLowerCase()}`,
+    digits && `phone:${digits}`
+  ].filter(Boolean);
+};
+
+// Atomically take one use of a code under a customer identity. Returns false at the limit.
+const claimCustomerUse = async (coupon, customer) => {
+  if (coupon.maxUsesPerUser < 1) return false;
+
+  // The first use creates the counter; when two first uses race, the loser's insert hits the
+  // unique index and its retry increments the counter the winner created
+  for (let attempt = 0; attempt < 2; attempt += 1) {
+    try {
+      await CouponUsage.findOneAndUpdate(
+        { couponId: coupon._id, customer, count: { $lt: coupon.maxUsesPerUser } },
+        { $inc: { count: 1 } },
+        { upsert: true }
+      );
+      return true;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  return false; // The counter exists and is at the limit
+};
+
+/**
+ * Check a discount code against order line items and the customer using it.
+ * Throws an error with status 400 explaining why the code can't be used.
+ * @param {string} code
+ * @param {Object} options - { items (snapshotted line items), customer: { userId, email, phone } }
+ * @returns {Promise<{coupon: Object, amount: number, eligibleSubtotal: number}>}
+ */
+export const evaluateCoupon = async (code, { items, customer = {} }) => {
+  const now = new Date();
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase(), isActive: true });
+
+  if (!coupon) {
+    throw createCouponError('This discount code is not valid');
+  }
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw createCouponError('This discount code is not active yet');
+  }
+  if (coupon.expiresAt && coupon.expiresAt <= now) {
+    throw createCouponError('This discount code has expired');
+  }
+  if (coupon.maxUses !== null && coupon.usedCount >= coupon.maxUses) {
+    throw createCouponError('This discount code has reached its usage limit');
+  }
+
+  const subtotal = Order.calculateSubtotal(items);
+  if (subtotal < coupon.minOrderAmount) {
+    throw createCouponError(`This discount code needs a minimum order of ${coupon.minOrderAmount}`);
+  }
+
+  const eligibleItems = coupon.productTypes.length > 0
+    ? items.filter(item => coupon.productTypes.includes(item.productType))
+    : items;
+  const eligibleSubtotal = Order.calculateSubtotal(eligibleItems);
+  if (eligibleSubtotal <= 0) {
+    throw createCouponError(`This discount code only applies to ${coupon.productTypes.join(' and ')} products`);
+  }
+
+  if (coupon.maxUsesPerUser !== null) {
+    const filter = customerFilter(customer);
+    if (!filter) {
+      throw createCouponError('Sign in or enter your email to use this discount code');
+    }
+
+    // Early answer from the customer's payments - claimCouponUse enforces the limit atomically
+    const uses = await Payment.countDocuments({
+      'discount.couponId': coupon._id,
+      status: { $nin: RELEASED_STATUSES },
+      ...filter
+    });
+    if (uses >= coupon.maxUsesPerUser) {
+      throw createCouponError('You have already used this discount code');
+    }
+  }
+
+  const amount = coupon.type === 'percentage'
+    ? eligibleSubtotal * coupon.value / 100
+    : Math.min(coupon.value, eligibleSubtotal);
+
+  return { coupon, amount: roundCurrency(amount), eligibleSubtotal };
+};
+
+/**
+ * Atomically take one use of a coupon, and one under each of the customer's identities when the
+ * code is limited per customer. Throws an error with status 409 if the last use was taken since
+ * the code was evaluated.
+ * @param {Object} coupon
+ * @param {Object} [customer] - { userId, email, phone }
+ * @returns {Promise<string[]>} customer identities the use was counted under - store them on the
+ *   payment, so the same ones are given back
+ */
+export const claimCouponUse = async (coupon, customer = {}) => {
+  const claimed = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      $or: [{ maxUses: null }, { $expr: { $lt: ['$usedCount', '$maxUses'] } }]
+    },
+    { $inc: { usedCount: 1 } }
+  );
+
+  if (!claimed) {
+    throw createCouponError('This discount code has reached its usage limit', 409);
+  }
+
+  if (coupon.maxUsesPerUser === null) {
+    return [];
+  }
+
+  const taken = [];
+  for (const key of customerKeys(customer)) {
+    if (!(await claimCustomerUse(coupon, key))) {
+      await releaseCouponUse(coupon._id, taken);
+      throw createCouponError('You have already used this discount code', 409);
+    }
+    taken.push(key);
+  }
+  return taken;
+};
+
+/**
+ * Give back a use of a coupon, and the customer identities it was counted under
+ */
+export const releaseCouponUse = async (couponId, customers = []) => {
+  await Coupon.updateOne({ _id: couponId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+  if (customers.length > 0) {
+    await CouponUsage.updateMany(
+      { couponId, customer: { $in: customers }, count: { $gt: 0 } },
+      { $inc: { count: -1 } }
+    );
+  }
+};
+
+/**
+ * Keep a coupon's usage count in step with a payment status change
+ */
+export const applyPaymentStatusToCoupon = async (payment, from, to) => {
+  const couponId = payment.discount?.couponId;
+  if (!couponId || from === to) return;
+
+  const wasReleased = RELEASED_STATUSES.includes(from);
+  const isReleased = RELEASED_STATUSES.includes(to);
+
+  const customers = payment.discount.customerKeys || [];
+
+  if (isReleased && !wasReleased) {
+    await releaseCouponUse(couponId, customers);
+  } else if (wasReleased && !isReleased) {
+    // Reinstated by an admin - counts again even if the code has since been used up
+    await Coupon.updateOne({ _id: couponId }, { $inc: { usedCount: 1 } });
+    await Promise.all(customers.map(customer =>
+      CouponUsage.updateOne({ couponId, customer }, { $inc: { count: 1 } }, { upsert: true })));
+  }
+};
+
+// Markdown from sale prices on snapshotted line items
+export const calculateSaleSavings = (items) =>
+  roundCurrency(items.reduce((sum, item) =>
+    sum + Math.max((item.listPrice ?? item.unitPrice) - item.unitPrice, 0) * item.quantity, 0));
@@ -0,0 +1,166 @@
+/**
+ * Payment Gateway Service
+ * Online card and wallet payments through the provider selected in config/gateway.config.js.
+ *
+ * Customers who pick a 'gateway' payment method get a hosted checkout session instead of uploading a
+ * screenshot. The provider then calls POST /api/payments/webhooks/<provider>; the webhook is verified
+ * by the adapter and a successful payment is verified through the same status change an admin makes.
+ *
+ * Adapters (services/gateway/*.gateway.js) provide:
+ *   name, displayName
+ *   createCheckoutSession({ reference, amount, currency, description, successUrl, cancelUrl, webhookUrl })
+ *     -> { sessionId, checkoutUrl }
+ *   verifyWebhook(rawBody, headers) -> { id, type, sessionId, reference, amount, currency, transactionId }
+ *     (throws an error with status 400 when the signature doesn't check out)
+ *   router (optional) - mounted at /api/gateway/<name>
+ */
+
+import gatewayConfig from '../config/gateway.config.js';
+import { createFakeGateway } from './gateway/fake.gateway.js';
+import Payment from '../models/Payment.model.js';
+import PaymentSettings from '../models/PaymentSettings.model.js';
+import { changePaymentStatus } from './paymentStatus.service.js';
+
+const adapters = {
+  fake: createFakeGateway
+};
+
+// Stand-ins that would let anyone mark an order paid - never run them in production
+const TEST_ADAPTERS = ['fake'];
+
+const createGateway = () => {
+  if (!gatewayConfig.provider) return null;
+
+  const createAdapter = adapters[gatewayConfig.provider];
+  if (!createAdapter) {
+    throw new Error(`Unknown PAYMENT_GATEWAY "${gatewayConfig.provider}". Use one of: ${Object.keys(adapters).join(', ')}`);
+  }
+  if (TEST_ADAPTERS.includes(gatewayConfig.provider) && process.env.NODE_ENV === 'production') {
+    throw new Error(`PAYMENT_GATEWAY=${gatewayConfig.provider} is for development and testing and cannot be used in production`);
+  }
+  return createAdapter(gatewayConfig[gatewayConfig.provider] || {});
+};
+
+// Active gateway adapter, or null when only manual payments are taken
+export const gateway = createGateway();
+
+const createGatewayError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Gateway payment methods can only be offered while a gateway is configured
+export const isPaymentMethodAvailable = (method) => method.type !== 'gateway' || !!gateway;
+
+const withBookingId = (url, bookingId) =>
+  `${url}${url.includes('?') ? '&' : '?'}bookingId=${encodeURIComponent(bookingId)}`;
+
+const roundCurrency = (amount) => Math.round(Number(amount) * 100) / 100;
+
+/**
+ * Open a hosted checkout session for a payment about to be recorded.
+ * Throws an error with status 503 when no gateway is configured.
+ * @returns {Promise<Object>} gateway details to store on the payment
+ */
+export const createCheckoutSession = async ({ bookingId, amount }) => {
+  if (!gateway) {
+    throw createGatewayError('Online payment is not available right now', 503);
+  }
+
+  const { currency } = await PaymentSettings.getSettings();
+  const session = await gateway.createCheckoutSession({
+    reference: bookingId,
+    amount,
+    currency,
+    description: `Order ${bookingId}`,
+    successUrl: withBookingId(gatewayConfig.successUrl, bookingId),
+    cancelUrl: withBookingId(gatewayConfig.cancelUrl, bookingId),
+    webhookUrl: `${gatewayConfig.apiUrl}/api/payments/webhooks/${gateway.name}`
+  });
+
+  return {
+    provider: gateway.name,
+    sessionId: session.sessionId,
+    checkoutUrl: session.checkoutUrl,
+    currency
+  };
+};
+
+// Act on a verified event. Returns the outcome recorded with the event.
+const applyEvent = async (payment, event) => {
+  // Declined or abandoned payments stay pending - the customer can try again until the payment expires
+  if (event.type !== 'payment.succeeded') {
+    return { outcome: 'recorded' };
+  }
+
+  if (roundCurrency(event.amount) !== roundCurrency(payment.amount) ||
+      (event.currency && payment.gateway.currency && event.currency !== payment.gateway.currency)) {
+    return {
+      outcome: 'needs_review',
+      message: `Gateway reported ${event.currency} ${event.amount} for a payment of ${payment.gateway.currency} ${payment.amount}`
+    };
+  }
+
+  try {
+    await changePaymentStatus(payment._id, 'verified', {
+      note: `Paid online via ${gateway.displayName}${event.transactionId ? ` (${event.transactionId})` : ''}`
+    });
+    return { outcome: 'verified' };
+  } catch (error) {
+    if (!error.status) throw error;
+    // Already verified by an earlier delivery of the same payment, or it can't be verified any more
+    // (e.g. expired and its items have since sold out) - the money arrived, so an admin has to look
+    const current = await Payment.findById(payment._id).select('status');
+    return current?.status === 'verified'
+      ? { outcome: 'recorded' }
+      : { outcome: 'needs_review', message: error.message };
+  }
+};
+
+/**
+ * Verify and apply a webhook call from a gateway. Replayed events are acknowledged without being applied again.
+ * Throws an error with status 400 for a bad signature and 404 for an unknown gateway or checkout session.
+ * @returns {Promise<{outcome: string, message?: string}>}
+ */
+export const handleWebhook = async (provider, rawBody, headers) => {
+  if (!gateway || gateway.name !== provider) {
+    throw createGatewayError('Unknown payment gateway', 404);
+  }
+
+  const event = gateway.verifyWebhook(rawBody, headers);
+  const payment = await Payment.findOne({ 'gateway.provider': provider, 'gateway.sessionId': event.sessionId });
+  if (!payment) {
+    throw createGatewayError('No payment found for this checkout session', 404);
+  }
+
+  if ((payment.gateway.events || []).some(recorded => recorded.id === event.id)) {
+    return { outcome: 'duplicate' };
+  }
+
+  const result = await applyEvent(payment, event);
+  if (result.outcome === 'needs_review') {
+    console.error(`Gateway payment ${payment.bookingId} needs review: ${result.message}`);
+  }
+
+  const update = {
+    $push: {
+      'gateway.events': {
+        id: event.id,
+        type: event.type,
+        amount: event.amount,
+        currency: event.currency,
+        transactionId: event.transactionId,
+        outcome: result.outcome,
+        message: result.message,
+        at: new Date()
+      }
+    }
+  };
+  if (event.transactionId && event.type === 'payment.succeeded') {
+    update.$set = { 'gateway.transactionId': event.transactionId };
+  }
+  await Payment.updateOne({ _id: payment._id, 'gateway.events.id': { $ne: event.id } }, update);
+
+  return result;
+};
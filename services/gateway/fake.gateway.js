@@ -0,0 +1,165 @@
+/**
+ * Fake payment gateway
+ * Local stand-in for a hosted checkout provider, for development and testing. Checkout sessions are
+ * kept in memory; the hosted page at <checkoutBaseUrl>/<sessionId> lets you approve or decline the
+ * payment, and either way a webhook signed the way a real provider signs them is POSTed back.
+ *
+ * Signature header: X-Fake-Gateway-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+
+export const SIGNATURE_HEADER = 'x-fake-gateway-signature';
+
+// Webhooks signed longer ago than this are refused, so captured calls can't be replayed later
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const createWebhookError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const computeSignature = (timestamp, body, secret) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+/**
+ * Signature header value for a webhook body (also used by scripts/sendFakeGatewayWebhook.js)
+ */
+export const signFakeWebhook = (body, secret, timestamp = Math.floor(Date.now() / 1000)) =>
+  `t=${timestamp},v1=${computeSignature(timestamp, body, secret)}`;
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const renderCheckoutPage = (session) => `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>Test checkout</title></head>
+<body style="font-family: sans-serif; max-width: 28rem; margin: 4rem auto;">
+  <h1>Test checkout</h1>
+  <p>${escapeHtml(session.description)}</p>
+  <p><strong>${escapeHtml(session.currency)} ${escapeHtml(session.amount)}</strong></p>
+  <form method="post" action="${escapeHtml(session.sessionId)}/pay" style="display: inline;">
+    <button type="submit">Pay</button>
+  </form>
+  <form method="post" action="${escapeHtml(session.sessionId)}/decline" style="display: inline;">
+    <button type="submit">Decline</button>
+  </form>
+  <p><small>No money moves - this page stands in for a payment provider.</small></p>
+</body>
+</html>`;
+
+export const createFakeGateway = ({ webhookSecret, checkoutBaseUrl }) => {
+  if (!webhookSecret) {
+    throw new Error('FAKE_GATEWAY_WEBHOOK_SECRET is required when PAYMENT_GATEWAY=fake');
+  }
+
+  const sessions = new Map();
+
+  // POST a signed event to the session's webhook URL - throws unless the webhook accepts it
+  const sendWebhook = async (session, type) => {
+    const body = JSON.stringify({
+      id: `evt_fake_${crypto.randomBytes(12).toString('hex')}`,
+      type,
+      data: {
+        sessionId: session.sessionId,
+        reference: session.reference,
+        amount: session.amount,
+        currency: session.currency,
+        transactionId: type === 'payment.succeeded' ? `txn_fake_${crypto.randomBytes(8).toString('hex')}` : undefined
+      }
+    });
+
+    const response = await fetch(session.webhookUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        [SIGNATURE_HEADER]: signFakeWebhook(body, webhookSecret)
+      },
+      body
+    });
+    // Surface a rejected webhook the same way as one that couldn't be delivered
+    if (!response.ok) {
+      throw new Error(`webhook answered ${response.status}`);
+    }
+  };
+
+  // Hosted checkout page
+  const router = express.Router();
+
+  router.get('/checkout/:sessionId', (req, res) => {
+    const session = sessions.get(req.params.sessionId);
+    if (!session) {
+      return res.status(404).send('Checkout session not found');
+    }
+    return res.type('html').send(renderCheckoutPage(session));
+  });
+
+  router.post('/checkout/:sessionId/:outcome(pay|decline)', async (req, res) => {
+    const session = sessions.get(req.params.sessionId);
+    if (!session) {
+      return res.status(404).send('Checkout session not found');
+    }
+
+    const paid = req.params.outcome === 'pay';
+    try {
+      await sendWebhook(session, paid ? 'payment.succeeded' : 'payment.failed');
+    } catch (error) {
+      console.error('Fake gateway webhook error:', error.message);
+    }
+
+    if (paid) sessions.delete(session.sessionId);
+    return res.redirect(paid ? session.successUrl : session.cancelUrl);
+  });
+
+  return {
+    name: 'fake',
+    displayName: 'Test gateway',
+    router,
+
+    async createCheckoutSession({ reference, amount, currency, description, successUrl, cancelUrl, webhookUrl }) {
+      const sessionId = `cs_fake_${crypto.randomBytes(12).toString('hex')}`;
+      sessions.set(sessionId, { sessionId, reference, amount, currency, description, successUrl, cancelUrl, webhookUrl });
+      return { sessionId, checkoutUrl: `${checkoutBaseUrl}/${sessionId}` };
+    },
+
+    verifyWebhook(rawBody, headers) {
+      const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody || '');
+      const parts = Object.fromEntries(
+        String(headers[SIGNATURE_HEADER] || '').split(',').map(part => part.split('=', 2))
+      );
+      const timestamp = parseInt(parts.t, 10);
+
+      if (!Number.isInteger(timestamp) || !parts.v1) {
+        throw createWebhookError('Missing webhook signature');
+      }
+      if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+        throw createWebhookError('Webhook signature has expired');
+      }
+
+      const expected = Buffer.from(computeSignature(timestamp, body, webhookSecret), 'hex');
+      const provided = Buffer.from(parts.v1, 'hex');
+      if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+        throw createWebhookError('Invalid webhook signature');
+      }
+
+      let event;
+      try {
+        event = JSON.parse(body);
+      } catch (error) {
+        throw createWebhookError('Invalid webhook payload');
+      }
+
+      const { id, type, data = {} } = event;
+      return {
+        id,
+        type,
+        sessionId: data.sessionId,
+        reference: data.reference,
+        amount: data.amount,
+        currency: data.currency,
+        transactionId: data.transactionId
+      };
+    }
+  };
+};
@@ -0,0 +1,134 @@
+/**
+ * Image Service
+ * Generates resized derivatives (thumbnail, medium, large) of uploaded product images,
+ * each in the original format and as WebP, and resolves them back from an image reference.
+ *
+ * Derivatives are stored next to the original upload and are named after it:
+ *   products/product-123.jpg -> products/product-123-thumbnail.jpg, ...-thumbnail.webp, ...
+ */
+
+import sharp from 'sharp';
+import path from 'path';
+import { storage, toStorageRef, keyFromRef } from './storage.service.js';
+import { PRODUCTS_FOLDER } from '../middleware/upload.middleware.js';
+
+// Target widths in pixels - images are never enlarged past their original size
+export const DERIVATIVE_SIZES = {
+  thumbnail: 200,
+  medium: 600,
+  large: 1200
+};
+
+const DERIVATIVE_PATTERN = new RegExp(`-(${Object.keys(DERIVATIVE_SIZES).join('|')})\\.(jpg|png|webp)$`);
+
+// Whether a filename or key is itself a derivative (used to skip them when backfilling)
+export const isDerivativeFilename = (filename) => DERIVATIVE_PATTERN.test(filename);
+
+// PNGs keep transparency; everything else is served as JPEG alongside the WebP copy
+const fallbackFormatFor = (key) =>
+  path.extname(key).toLowerCase() === '.png' ? 'png' : 'jpg';
+
+const derivativeKeys = (key, size) => {
+  const base = key.slice(0, key.length - path.extname(key).length);
+  return {
+    fallback: `${base}-${size}.${fallbackFormatFor(key)}`,
+    webp: `${base}-${size}.webp`
+  };
+};
+
+/**
+ * Generate every derivative for an uploaded product image
+ * @param {string} key - storage key of the original (e.g. 'products/product-123.jpg')
+ * @param {Buffer} [source] - original contents, if already in memory
+ * @returns {Promise<Object>} variants keyed by size: { url, webpUrl, width, height }
+ */
+export const generateDerivatives = async (key, source) => {
+  const input = source || await storage.get(key);
+  const fallbackFormat = fallbackFormatFor(key);
+  const variants = {};
+
+  for (const [size, width] of Object.entries(DERIVATIVE_SIZES)) {
+    const keys = derivativeKeys(key, size);
+    const resized = sharp(input).rotate().resize({ width, withoutEnlargement: true });
+
+    const fallback = await resized
+      .clone()
+      .toFormat(fallbackFormat === 'png' ? 'png' : 'jpeg', { quality: 82 })
+      .toBuffer({ resolveWithObject: true });
+    const webp = await resized
+      .clone()
+      .webp({ quality: 80 })
+      .toBuffer();
+
+    await storage.put(keys.fallback, fallback.data, { contentType: `image/${fallbackFormat === 'png' ? 'png' : 'jpeg'}` });
+    await storage.put(keys.webp, webp, { contentType: 'image/webp' });
+
+    variants[size] = {
+      url: toStorageRef(keys.fallback),
+      webpUrl: toStorageRef(keys.webp),
+      width: fallback.info.width,
+      height: fallback.info.height
+    };
+  }
+
+  return variants;
+};
+
+/**
+ * Remove an uploaded image and whatever derivatives of it were stored
+ * @param {string} key - storage key of the original
+ */
+export const deleteImage = async (key) => {
+  const derivatives = Object.keys(DERIVATIVE_SIZES).flatMap(size => Object.values(derivativeKeys(key, size)));
+  await Promise.all([key, ...derivatives].map(derivativeKey => storage.delete(derivativeKey)));
+};
+
+// Storage key of a product upload from its reference - null for external URLs
+const productKeyFromRef = (imageUrl) => {
+  const key = keyFromRef(imageUrl);
+  return key && key.startsWith(`${PRODUCTS_FOLDER}/`) ? key : null;
+};
+
+/**
+ * Look up existing derivatives for an image reference
+ * @returns {Promise<Object|undefined>} variants keyed by size, or undefined if they haven't been generated
+ */
+export const findDerivatives = async (imageUrl) => {
+  const key = productKeyFromRef(imageUrl);
+  if (!key || isDerivativeFilename(key)) return undefined;
+
+  const variants = {};
+  for (const size of Object.keys(DERIVATIVE_SIZES)) {
+    const keys = derivativeKeys(key, size);
+    const [hasFallback, hasWebp] = await Promise.all([
+      storage.exists(keys.fallback),
+      storage.exists(keys.webp)
+    ]);
+    if (!hasFallback || !hasWebp) {
+      return undefined;
+    }
+    variants[size] = {
+      url: toStorageRef(keys.fallback),
+      webpUrl: toStorageRef(keys.webp)
+    };
+  }
+  return variants;
+};
+
+/**
+ * Build srcset strings ({ fallback, webp }) from stored variants
+ */
+export const buildSrcset = (variants, normalizeUrl = url => url) => {
+  if (!variants) return undefined;
+
+  const entries = Object.keys(DERIVATIVE_SIZES)
+    .filter(size => variants[size] && variants[size].url)
+    .map(size => ({ ...variants[size], width: variants[size].width || DERIVATIVE_SIZES[size] }));
+
+  if (entries.length === 0) return undefined;
+
+  return {
+    fallback: entries.map(entry => `${normalizeUrl(entry.url)} ${entry.width}w`).join(', '),
+    webp: entries.map(entry => `${normalizeUrl(entry.webpUrl)} ${entry.width}w`).join(', ')
+  };
+};
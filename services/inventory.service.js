@@ -0,0 +1,281 @@
+/**
+ * Inventory Service
+ * Reserves, commits and releases product stock for payments.
+ *
+ * Stock lifecycle for a payment (Payment.stockReservation.status):
+ *   none      -> nothing held (untracked products or payments created before inventory tracking)
+ *   reserved  -> units moved from Product.stock to Product.reservedStock while the payment is pending
+ *   committed -> payment verified, units permanently sold
+ *   released  -> payment rejected/expired, units returned to Product.stock
+ *
+ * Shilajit line items are also allocated to a production batch (first to expire, first out).
+ * Batch units are taken when stock is reserved and given back only when it is released.
+ *
+ * Every transition is claimed with a conditional update on the payment first, so the same units
+ * are never released or committed twice even if two requests race.
+ */
+
+import Product from '../models/Product.model.js';
+import Payment from '../models/Payment.model.js';
+import Order from '../models/Order.model.js';
+import Batch from '../models/Batch.model.js';
+
+const createStockError = (message) => {
+  const error = new Error(message);
+  error.status = 409;
+  return error;
+};
+
+// Merge duplicate product lines so each product is reserved in a single atomic update
+const mergeItems = (items) => {
+  const quantities = new Map();
+  items.forEach(({ productId, quantity }) => {
+    const key = productId.toString();
+    quantities.set(key, (quantities.get(key) || 0) + quantity);
+  });
+  return [...quantities].map(([productId, quantity]) => ({ productId, quantity }));
+};
+
+// Return units taken from production batches
+const returnBatchUnits = async (batches = []) => {
+  await Promise.all(batches.map(({ batchId, quantity }) =>
+    Batch.updateOne({ _id: batchId }, { $inc: { quantityRemaining: quantity } })
+  ));
+};
+
+/**
+ * Return reserved units to available stock (for reservations not yet recorded on a payment)
+ */
+export const releaseStock = async ({ items = [], batches = [] }) => {
+  await Promise.all(items.map(({ productId, quantity }) =>
+    Product.updateOne({ _id: productId }, { $inc: { stock: quantity, reservedStock: -quantity } })
+  ));
+  await returnBatchUnits(batches);
+};
+
+// Reserve tracked product stock. Returns the product lines that were actually reserved.
+const reserveProductStock = async (items) => {
+  const reserved = [];
+
+  try {
+    for (const { productId, quantity } of mergeItems(items)) {
+      // The stock >= quantity condition makes check-and-decrement a single atomic operation
+      const updated = await Product.findOneAndUpdate(
+        { _id: productId, stock: { $type: 'number', $gte: quantity } },
+        { $inc: { stock: -quantity, reservedStock: quantity } },
+        { new: true }
+      );
+
+      if (updated) {
+        reserved.push({ productId: updated._id, quantity });
+        continue;
+      }
+
+      const product = await Product.findById(productId).select('name stock');
+      if (product && product.stock === null) {
+        continue; // Untracked product - nothing to reserve
+      }
+
+      throw createStockError(
+        product && product.stock > 0
+          ? `Only ${product.stock} of ${product.name} left in stock`
+          : `${product ? product.name : 'Product'} is sold out`
+      );
+    }
+  } catch (error) {
+    await releaseStock({ items: reserved });
+    throw error;
+  }
+
+  return reserved;
+};
+
+// Allocate Shilajit line items to unexpired production batches, recording the batch on each line.
+// Products without any batches are not batch-tracked and are skipped.
+const allocateBatches = async (items) => {
+  const allocations = [];
+
+  try {
+    for (const item of items) {
+      if (item.productType !== 'Shilajit') continue;
+
+      const batch = await Batch.allocate(item.productId, item.quantity);
+      if (batch) {
+        item.batchId = batch._id;
+        item.lotNumber = batch.lotNumber;
+        allocations.push({ batchId: batch._id, quantity: item.quantity });
+        continue;
+      }
+
+      const isBatchTracked = await Batch.exists({ productId: item.productId, isActive: true });
+      if (!isBatchTracked) continue;
+
+      // Never sell from an expired batch
+      throw createStockError(`No unexpired batch of ${item.name || 'this product'} can cover ${item.quantity} unit(s)`);
+    }
+  } catch (error) {
+    await returnBatchUnits(allocations);
+    throw error;
+  }
+
+  return allocations;
+};
+
+/**
+ * Atomically reserve stock for order line items ({ productId, productType, name, quantity }).
+ * Products without tracked stock are skipped. Shilajit lines get batchId/lotNumber set in place.
+ * If anything is short, everything reserved so far is rolled back and an error with status 409
+ * is thrown.
+ * @returns {Promise<{items: Array<{productId, quantity}>, batches: Array<{batchId, quantity}>}>}
+ */
+export const reserveStock = async (items) => {
+  const reservedItems = await reserveProductStock(items);
+
+  try {
+    const batches = await allocateBatches(items);
+    return { items: reservedItems, batches };
+  } catch (error) {
+    await releaseStock({ items: reservedItems });
+    throw error;
+  }
+};
+
+// Whether a reservation actually holds anything
+export const isReservationEmpty = ({ items = [], batches = [] }) =>
+  items.length === 0 && batches.length === 0;
+
+// Order holding the payment's line items, or a stand-in for legacy single-product payments
+const getPaymentOrder = async (payment) => {
+  if (payment.orderId) {
+    const order = await Order.findById(payment.orderId);
+    if (order) {
+      return order;
+    }
+  }
+
+  const product = payment.productId
+    ? await Product.findById(payment.productId).select('name productType')
+    : null;
+  return {
+    items: product
+      ? [{ productId: product._id, name: product.name, productType: product.productType, quantity: 1 }]
+      : [],
+    save: async () => {}
+  };
+};
+
+// Claim a reservation state transition on the payment. Returns the claimed reservation or null.
+const claimTransition = async (paymentId, from, to) => {
+  const previous = await Payment.findOneAndUpdate(
+    { _id: paymentId, 'stockReservation.status': from },
+    { $set: { 'stockReservation.status': to } },
+    { new: false }
+  ).select('stockReservation');
+
+  return previous ? previous.stockReservation : null;
+};
+
+/**
+ * Release a pending payment's reservation back to stock
+ */
+export const releaseReservedStock = async (payment) => {
+  const reservation = await claimTransition(payment._id, 'reserved', 'released');
+  if (reservation) {
+    await releaseStock(reservation);
+  }
+  return !!reservation;
+};
+
+/**
+ * Permanently sell a pending payment's reserved units
+ */
+export const commitReservedStock = async (payment) => {
+  const reservation = await claimTransition(payment._id, 'reserved', 'committed');
+  if (reservation) {
+    await Promise.all(reservation.items.map(({ productId, quantity }) =>
+      Product.updateOne({ _id: productId }, { $inc: { reservedStock: -quantity } })
+    ));
+  }
+  return !!reservation;
+};
+
+// Put sold units back on the shelf (a verified payment was rejected after all)
+const restockCommitted = async (payment) => {
+  const reservation = await claimTransition(payment._id, 'committed', 'released');
+  if (reservation) {
+    await Promise.all(reservation.items.map(({ productId, quantity }) =>
+      Product.updateOne({ _id: productId }, { $inc: { stock: quantity } })
+    ));
+    await returnBatchUnits(reservation.batches);
+  }
+  return !!reservation;
+};
+
+// Move sold units back into reservation (a verified payment was set back to pending)
+const uncommitStock = async (payment) => {
+  const reservation = await claimTransition(payment._id, 'committed', 'reserved');
+  if (reservation) {
+    await Promise.all(reservation.items.map(({ productId, quantity }) =>
+      Product.updateOne({ _id: productId }, { $inc: { reservedStock: quantity } })
+    ));
+  }
+  return !!reservation;
+};
+
+// Take stock again for a payment whose reservation was released (e.g. rejected, then re-verified)
+const reReserveStock = async (payment) => {
+  const order = await getPaymentOrder(payment);
+  const reservation = await reserveStock(order.items);
+
+  const updated = await Payment.updateOne(
+    { _id: payment._id, 'stockReservation.status': 'released' },
+    {
+      $set: {
+        'stockReservation.status': 'reserved',
+        'stockReservation.items': reservation.items,
+        'stockReservation.batches': reservation.batches,
+        'stockReservation.reservedAt': new Date()
+      }
+    }
+  );
+
+  if (updated.modifiedCount === 0) {
+    // Another request changed the reservation first - give the units back
+    await releaseStock(reservation);
+    return;
+  }
+
+  // Batches may differ from the original allocation
+  await order.save();
+};
+
+/**
+ * Give back everything a payment holds, whether still reserved or already sold
+ * (rejected payments and cancelled orders)
+ */
+export const releaseAllStock = async (payment) => {
+  await releaseReservedStock(payment);
+  await restockCommitted(payment);
+};
+
+/**
+ * Bring a payment's stock in line with a new payment status.
+ * Throws an error with status 409 when stock has to be re-taken and is no longer available.
+ */
+export const applyPaymentStatusToStock = async (payment, status) => {
+  const current = payment.stockReservation?.status || 'none';
+
+  if (status === 'verified') {
+    if (current === 'released') {
+      await reReserveStock(payment);
+    }
+    await commitReservedStock(payment);
+  } else if (status === 'rejected' || status === 'expired') {
+    await releaseAllStock(payment);
+  } else if (status === 'pending') {
+    if (current === 'released') {
+      await reReserveStock(payment);
+    }
+    await uncommitStock(payment);
+  }
+};
@@ -0,0 +1,212 @@
+/**
+ * Invoice Service
+ * Issues numbered PDF invoices for paid orders and stores them privately.
+ *
+ * An invoice's number is allocated once per payment (see Invoice.findOrAllocate); regenerating
+ * re-renders the PDF from current business details and order data under the same number.
+ */
+
+import PDFDocument from 'pdfkit';
+import Payment, { PAID_STATUSES } from '../models/Payment.model.js';
+import Invoice from '../models/Invoice.model.js';
+import PaymentSettings from '../models/PaymentSettings.model.js';
+import { storage, toStorageRef, keyFromRef } from './storage.service.js';
+import { INVOICES_FOLDER } from '../middleware/upload.middleware.js';
+
+const createInvoiceError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric'
+});
+
+// Line items for the invoice - legacy single-product payments have no order
+const invoiceLines = (payment) => {
+  if (payment.orderId && payment.orderId.items) {
+    return payment.orderId.items.map(({ name, quantity, unitPrice, lineTotal }) => ({ name, quantity, unitPrice, lineTotal }));
+  }
+  return [{
+    name: payment.productId ? payment.productId.name : 'Order',
+    quantity: 1,
+    unitPrice: payment.amount,
+    lineTotal: payment.amount
+  }];
+};
+
+// How the order was paid - the payment method chosen at checkout. Payments from before payment
+// methods were all bank transfers.
+const paidBy = (payment) =>
+  payment.paymentMethod?.label ||
+  (payment.gateway?.provider ? `online payment (${payment.gateway.provider})` : 'bank transfer');
+
+// Who the invoice is addressed to
+const billTo = (payment) => {
+  const address = payment.orderId?.shippingAddress;
+  const user = payment.userId;
+  const name = address?.fullName ||
+    [user?.firstName, user?.lastName].filter(Boolean).join(' ') ||
+    payment.accountName ||
+    'Customer';
+
+  return [
+    name,
+    address?.line1,
+    address?.line2,
+    [address?.city, address?.state, address?.postalCode].filter(Boolean).join(', '),
+    address?.country,
+    payment.contactEmail || user?.email,
+    payment.contactPhone || address?.phone
+  ].filter(Boolean);
+};
+
+/**
+ * Render an invoice PDF
+ * @returns {Promise<Buffer>}
+ */
+export const renderInvoicePdf = ({ invoice, payment, settings }) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const currency = settings.currency || 'PKR';
+  const money = amount => `${currency} ${Number(amount || 0).toFixed(2)}`;
+  const order = payment.orderId && payment.orderId.items ? payment.orderId : null;
+
+  // Business header
+  doc.fontSize(18).text(settings.businessName || 'VitalGeo Naturals');
+  doc.fontSize(9);
+  [settings.businessAddress, settings.businessEmail, settings.businessPhone,
+    settings.taxNumber ? `Tax No: ${settings.taxNumber}` : null]
+    .filter(Boolean)
+    .forEach(line => doc.text(line));
+
+  doc.moveDown(1.5).fontSize(16).text('INVOICE', { align: 'right' });
+  doc.fontSize(10)
+    .text(`Invoice No: ${Invoice.formatNumber(invoice.number)}`, { align: 'right' })
+    .text(`Date: ${formatDate(invoice.issuedAt)}`, { align: 'right' })
+    .text(`Booking ID: ${payment.bookingId}`, { align: 'right' });
+  if (payment.transactionId) {
+    doc.text(`Transaction ID: ${payment.transactionId}`, { align: 'right' });
+  }
+
+  doc.moveDown().fontSize(11).text('Bill To');
+  doc.fontSize(10);
+  billTo(payment).forEach(line => doc.text(line));
+
+  // Line items
+  const columns = { item: 50, quantity: 310, unitPrice: 370, total: 460 };
+  doc.moveDown(1.5);
+  let y = doc.y;
+  doc.fontSize(10)
+    .text('Item', columns.item, y)
+    .text('Qty', columns.quantity, y)
+    .text('Unit Price', columns.unitPrice, y)
+    .text('Amount', columns.total, y);
+  doc.moveTo(50, y + 14).lineTo(545, y + 14).stroke();
+  y += 22;
+
+  invoiceLines(payment).forEach((line) => {
+    doc.text(line.name, columns.item, y, { width: 250 });
+    const rowHeight = Math.max(doc.heightOfString(line.name, { width: 250 }), 12);
+    doc.text(String(line.quantity), columns.quantity, y)
+      .text(money(line.unitPrice), columns.unitPrice, y)
+      .text(money(line.lineTotal), columns.total, y);
+    y += rowHeight + 6;
+  });
+  doc.moveTo(50, y).lineTo(545, y).stroke();
+  y += 10;
+
+  // Totals
+  const totals = [];
+  if (order) {
+    totals.push(['Subtotal', money(order.subtotal)]);
+    if (order.discount?.amount) totals.push([`Discount (${order.discount.code})`, `-${money(order.discount.amount)}`]);
+    totals.push(['Shipping', money(order.shippingCharge)]);
+  }
+  totals.push(['Total', money(payment.amount)]);
+  if (payment.refundedAmount) {
+    totals.push(['Refunded', `-${money(payment.refundedAmount)}`]);
+    totals.push(['Net Paid', money(payment.amount - payment.refundedAmount)]);
+  }
+
+  totals.forEach(([label, value]) => {
+    doc.text(label, columns.unitPrice - 60, y, { width: 120 }).text(value, columns.total, y);
+    y += 16;
+  });
+
+  doc.fontSize(9).text(
+    `Paid by ${paidBy(payment)}${payment.verifiedAt ? ` - verified ${formatDate(payment.verifiedAt)}` : ''}. Thank you for your order.`,
+    50,
+    y + 20
+  );
+
+  doc.end();
+});
+
+/**
+ * Issue (or re-issue) the invoice for a paid payment and store its PDF.
+ * Throws errors with status 404 for unknown payments and 409 for unpaid ones.
+ * @returns {Promise<Object>} the invoice document
+ */
+export const generateInvoice = async (paymentId) => {
+  const payment = await Payment.findById(paymentId)
+    .populate('orderId')
+    .populate('productId', 'name')
+    .populate('userId', 'email firstName lastName');
+
+  if (!payment) {
+    throw createInvoiceError('Payment not found', 404);
+  }
+  if (!PAID_STATUSES.includes(payment.status)) {
+    throw createInvoiceError('Invoices are only issued for verified payments', 409);
+  }
+
+  const invoice = await Invoice.findOrAllocate(payment._id);
+  const settings = await PaymentSettings.getSettings();
+  const pdf = await renderInvoicePdf({ invoice, payment, settings });
+
+  const key = `${INVOICES_FOLDER}/${Invoice.formatNumber(invoice.number)}.pdf`;
+  await storage.put(key, pdf, { contentType: 'application/pdf' });
+
+  invoice.file = toStorageRef(key);
+  invoice.generatedAt = new Date();
+  await invoice.save();
+
+  if (payment.invoiceNumber !== Invoice.formatNumber(invoice.number)) {
+    await Payment.updateOne({ _id: payment._id }, { invoiceNumber: Invoice.formatNumber(invoice.number) });
+  }
+
+  return invoice;
+};
+
+/**
+ * Stored PDF for a payment's invoice, generating it first if needed.
+ * Throws errors with status 404 for unknown payments and 409 for ones no longer paid
+ * (e.g. verified, then rejected) - their invoice is kept but not handed out.
+ * @returns {Promise<{invoice: Object, pdf: Buffer}>}
+ */
+export const getInvoicePdf = async (paymentId) => {
+  const payment = await Payment.findById(paymentId).select('status');
+  if (!payment) {
+    throw createInvoiceError('Payment not found', 404);
+  }
+  if (!PAID_STATUSES.includes(payment.status)) {
+    throw createInvoiceError('Invoices are only available for paid orders', 409);
+  }
+
+  let invoice = await Invoice.findOne({ paymentId });
+  const key = invoice ? keyFromRef(invoice.file) : null;
+
+  if (!key || !(await storage.exists(key))) {
+    invoice = await generateInvoice(paymentId);
+  }
+
+  return { invoice, pdf: await storage.get(keyFromRef(invoice.file)) };
+};
@@ -0,0 +1,44 @@
+/**
+ * Mail Service
+ * Sends customer emails over SMTP. Without SMTP_HOST configured, nothing is sent and callers are told so.
+ */
+
+import nodemailer from 'nodemailer';
+
+let transporter = null;
+
+// Read at call time - .env is loaded after imports run
+export const isMailConfigured = () => !!process.env.SMTP_HOST;
+
+const getTransporter = () => {
+  if (!transporter) {
+    const port = parseInt(process.env.SMTP_PORT || '587', 10);
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: port === 465,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  return transporter;
+};
+
+/**
+ * Send a plain-text email
+ * @returns {Promise<boolean>} false when mail is not configured
+ */
+export const sendMail = async ({ to, subject, text }) => {
+  if (!isMailConfigured()) {
+    return false;
+  }
+
+  await getTransporter().sendMail({
+    from: process.env.MAIL_FROM || process.env.SMTP_USER,
+    to,
+    subject,
+    text
+  });
+  return true;
+};
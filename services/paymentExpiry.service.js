@@ -0,0 +1,156 @@
+/**
+ * Payment Expiry Service
+ * Expires pending payments that were never confirmed and reminds customers before that happens.
+ *
+ * Cash on delivery payments are paid when the order arrives, so they never expire or get reminders.
+ *
+ * Run on a schedule by every server instance. Each payment is claimed with a conditional update
+ * (status still pending, reminder not yet sent) before anything else is done with it, so when
+ * several instances run the job at once only one of them expires or reminds a given payment.
+ */
+
+import Payment from '../models/Payment.model.js';
+import Order from '../models/Order.model.js';
+import PaymentSettings from '../models/PaymentSettings.model.js';
+import { applyPaymentStatusToStock, releaseReservedStock } from './inventory.service.js';
+import { applyPaymentStatusToCoupon } from './coupon.service.js';
+import { isMailConfigured, sendMail } from './mail.service.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// Read at call time - .env is loaded after imports run.
+// STOCK_RESERVATION_TTL_HOURS is the older name for the same window. 0 turns expiry off.
+const getExpiryHours = () =>
+  parseFloat(process.env.PAYMENT_EXPIRY_HOURS || process.env.STOCK_RESERVATION_TTL_HOURS || '48');
+
+// Reminders are off unless PAYMENT_REMINDER_HOURS is set
+const getReminderHours = () =>
+  parseFloat(process.env.PAYMENT_REMINDER_HOURS || '0');
+
+// Payments that have been pending since before the cutoff - ones from before pendingSince was
+// recorded count from when they were submitted
+const pendingBefore = (cutoff) => ({
+  $or: [
+    { pendingSince: { $lt: cutoff } },
+    { pendingSince: null, createdAt: { $lt: cutoff } }
+  ]
+});
+
+const pendingStart = (payment) => payment.pendingSince || payment.createdAt;
+
+// Give back the stock, discount code use and order held by a payment that has just expired
+const releasePaymentHolds = async (payment) => {
+  await applyPaymentStatusToStock(payment, 'expired');
+  await applyPaymentStatusToCoupon(payment, 'pending', 'expired');
+  if (payment.orderId) {
+    await Order.updateOne({ _id: payment.orderId, status: 'pending' }, { status: 'cancelled' });
+  }
+};
+
+/**
+ * Mark payments pending for longer than the expiry window as expired and release what they hold
+ * @returns {Promise<number>} number of payments expired by this call
+ */
+export const expirePendingPayments = async () => {
+  const hours = getExpiryHours();
+  if (!(hours > 0)) return 0;
+
+  const cutoff = new Date(Date.now() - hours * HOUR);
+  let expired = 0;
+
+  for (;;) {
+    const payment = await Payment.findOneAndUpdate(
+      { status: 'pending', 'paymentMethod.type': { $ne: 'cash_on_delivery' }, ...pendingBefore(cutoff) },
+      {
+        $set: { status: 'expired' },
+        $push: {
+          statusHistory: {
+            from: 'pending',
+            to: 'expired',
+            note: `Not confirmed within ${hours} hours`,
+            at: new Date()
+          }
+        }
+      },
+      { new: true, sort: { createdAt: 1 } }
+    );
+    if (!payment) break;
+
+    expired += 1;
+    try {
+      await releasePaymentHolds(payment);
+    } catch (error) {
+      // The payment stays expired - any stock still reserved is picked up on the next run
+      console.error(`Release holds for expired payment ${payment.bookingId} error:`, error);
+    }
+  }
+
+  // Reservations left behind by a run that failed or stopped part way through
+  const leftovers = await Payment.find({ status: 'expired', 'stockReservation.status': 'reserved' }).select('_id');
+  for (const payment of leftovers) {
+    await releaseReservedStock(payment);
+  }
+
+  return expired;
+};
+
+const buildReminder = (payment, { expiresAt, settings }) => ({
+  to: payment.contactEmail,
+  subject: `Your order ${payment.bookingId} is awaiting payment`,
+  text: [
+    'Hello,',
+    '',
+    `We have not been able to confirm the payment for your order ${payment.bookingId} ` +
+      `(${settings.currency} ${payment.amount}) yet.`,
+    `If you have not completed the transfer, please do so before ${expiresAt.toUTCString()}. ` +
+      'After that the order will be cancelled and its items released.',
+    '',
+    'If you have already paid, you can ignore this email - we will verify your payment shortly.',
+    '',
+    settings.businessName
+  ].join('\n')
+});
+
+/**
+ * Email customers whose payments have been pending longer than the reminder window that the payment
+ * will expire (once per payment)
+ * @returns {Promise<number>} number of reminders sent by this call
+ */
+export const sendPaymentReminders = async () => {
+  const reminderHours = getReminderHours();
+  const expiryHours = getExpiryHours();
+  // A reminder is a warning about expiry, so it has to come before it
+  if (!(reminderHours > 0) || !(expiryHours > reminderHours) || !isMailConfigured()) return 0;
+
+  const cutoff = new Date(Date.now() - reminderHours * HOUR);
+  const settings = await PaymentSettings.getSettings();
+  let sent = 0;
+
+  for (;;) {
+    const payment = await Payment.findOneAndUpdate(
+      {
+        status: 'pending',
+        'paymentMethod.type': { $ne: 'cash_on_delivery' },
+        reminderSentAt: null,
+        contactEmail: { $type: 'string' },
+        ...pendingBefore(cutoff)
+      },
+      { $set: { reminderSentAt: new Date() } },
+      { new: true, sort: { createdAt: 1 } }
+    );
+    if (!payment) break;
+
+    const expiresAt = new Date(pendingStart(payment).getTime() + expiryHours * HOUR);
+    try {
+      await sendMail(buildReminder(payment, { expiresAt, settings }));
+      sent += 1;
+    } catch (error) {
+      // Hand the payment back for the next run and stop - the mail server is likely unavailable
+      await Payment.updateOne({ _id: payment._id }, { $set: { reminderSentAt: null } });
+      console.error(`Payment reminder for ${payment.bookingId} error:`, error);
+      break;
+    }
+  }
+
+  return sent;
+};
@@ -0,0 +1,125 @@
+/**
+ * Payment Status Service
+ * Moves a payment between review statuses (pending, verified, rejected) and keeps everything that
+ * depends on the status in step: stock, discount code use, the order and the invoice.
+ *
+ * Used for admin review and for payments confirmed by an online payment gateway, so both follow the
+ * same transition rules and leave the same status history.
+ */
+
+import mongoose from 'mongoose';
+import Payment from '../models/Payment.model.js';
+import Order from '../models/Order.model.js';
+import { applyPaymentStatusToStock } from './inventory.service.js';
+import { applyPaymentStatusToCoupon } from './coupon.service.js';
+import { generateInvoice } from './invoice.service.js';
+
+const createStatusError = (message, status = 409) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Change a payment's status and append the change to its status history.
+ * Throws an error with status 400 for a malformed ID, 404 for an unknown payment and 409 when the
+ * change isn't allowed, stock can't be re-taken, or someone else changed the payment first.
+ * @param {string} paymentId
+ * @param {string} status - one of REVIEW_STATUSES
+ * @param {Object} [audit] - { actor (user id, null for automated changes), note, ip }
+ * @returns {Promise<Object>} the updated payment
+ */
+export const changePaymentStatus = async (paymentId, status, { actor = null, note, ip } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(paymentId)) {
+    throw createStatusError('Invalid payment ID', 400);
+  }
+
+  const payment = await Payment.findById(paymentId);
+  if (!payment) {
+    throw createStatusError('Payment not found', 404);
+  }
+
+  const previousStatus = payment.status;
+  if (!Payment.canTransition(previousStatus, status)) {
+    throw createStatusError(previousStatus === status
+      ? `Payment is already ${status}`
+      : `A ${previousStatus} payment cannot be changed to ${status}`);
+  }
+
+  // Goods that have left the warehouse are handled through fulfilment (returns), not payment review -
+  // except cash on delivery, which is only collected once the order has gone out
+  if (!payment.isCashOnDelivery() && ['shipped', 'delivered', 'returned'].includes(payment.fulfilment?.status)) {
+    throw createStatusError(`Payment status cannot be changed once the order has been ${payment.fulfilment.status}`);
+  }
+
+  // A cancelled order has given its stock back and is final - its payment can only be rejected, not
+  // verified or reopened, which would take the stock again for an order that won't be sent
+  if (payment.fulfilment?.status === 'cancelled' && status !== 'rejected') {
+    throw createStatusError('Payment status cannot be changed once the order has been cancelled, except to reject it');
+  }
+
+  // Reserve, commit or release stock to match the new status
+  await applyPaymentStatusToStock(payment, status);
+
+  const update = {
+    $set: { status },
+    $push: {
+      statusHistory: {
+        from: previousStatus,
+        to: status,
+        actor,
+        note,
+        ip,
+        at: new Date()
+      }
+    }
+  };
+  if (note) update.$set.notes = note;
+  if (status === 'verified' || status === 'rejected') {
+    update.$set.verifiedAt = new Date();
+    update.$set.verifiedBy = actor;
+  }
+  // Back to pending starts a fresh expiry window, with its own reminder
+  if (status === 'pending') {
+    update.$set.pendingSince = new Date();
+    update.$set.reminderSentAt = null;
+  }
+
+  // Only apply the change if nobody else changed the status in the meantime
+  const updated = await Payment.findOneAndUpdate(
+    { _id: paymentId, status: previousStatus },
+    update,
+    { new: true, runValidators: true }
+  );
+
+  if (!updated) {
+    // Someone else won - bring stock back in line with the status they set
+    const current = await Payment.findById(paymentId);
+    if (current) {
+      await applyPaymentStatusToStock(current, current.status);
+    }
+    throw createStatusError('This payment was updated by someone else. Reload it and try again.');
+  }
+
+  // A rejected payment gives its discount code use back
+  await applyPaymentStatusToCoupon(updated, previousStatus, status);
+
+  // Issue the customer's invoice. A failure here shouldn't undo the verification -
+  // the invoice is generated on first download instead.
+  if (status === 'verified') {
+    try {
+      const invoice = await generateInvoice(updated._id);
+      updated.invoiceNumber = invoice.invoiceNumber;
+    } catch (invoiceError) {
+      console.error('Invoice generation error:', invoiceError);
+    }
+  }
+
+  // Keep the order in step with its payment
+  if (updated.orderId) {
+    const orderStatus = { pending: 'pending', verified: 'paid', rejected: 'cancelled' }[status];
+    await Order.updateOne({ _id: updated.orderId }, { status: orderStatus });
+  }
+
+  return updated;
+};
@@ -0,0 +1,65 @@
+/**
+ * Scheduler
+ * Background jobs run on an interval inside the server process. A job is skipped while its previous
+ * run is still going. Jobs must themselves be safe to run on several server instances at once.
+ */
+
+import { expirePendingPayments, sendPaymentReminders } from './paymentExpiry.service.js';
+
+const DEFAULT_CHECK_MINUTES = 15;
+
+// Minutes between pending payment checks. Anything but a positive number falls back to the default -
+// setInterval would run the job back to back for 0, a negative number or NaN.
+const getCheckMinutes = () => {
+  const value = process.env.PAYMENT_EXPIRY_CHECK_MINUTES;
+  if (value === undefined || value === '') return DEFAULT_CHECK_MINUTES;
+
+  const minutes = Number(value);
+  if (!Number.isFinite(minutes) || minutes <= 0) {
+    console.warn(`⚠️  PAYMENT_EXPIRY_CHECK_MINUTES must be a positive number of minutes - using ${DEFAULT_CHECK_MINUTES}`);
+    return DEFAULT_CHECK_MINUTES;
+  }
+  return minutes;
+};
+
+// Wrap a job so runs never overlap and a failure is logged instead of crashing the process
+const createJobRunner = (name, job) => {
+  let running = false;
+
+  return async () => {
+    if (running) return;
+    running = true;
+    try {
+      await job();
+    } catch (error) {
+      console.error(`❌ ${name} error:`, error);
+    } finally {
+      running = false;
+    }
+  };
+};
+
+const checkPendingPayments = createJobRunner('Pending payment check', async () => {
+  const expired = await expirePendingPayments();
+  if (expired > 0) {
+    console.log(`⌛ Expired ${expired} stale pending payment(s)`);
+  }
+
+  const reminded = await sendPaymentReminders();
+  if (reminded > 0) {
+    console.log(`📧 Sent ${reminded} pending payment reminder(s)`);
+  }
+});
+
+/**
+ * Start the background jobs
+ * @returns {Function} stops them again
+ */
+export const startScheduler = () => {
+  const timers = [setInterval(checkPendingPayments, getCheckMinutes() * 60 * 1000)];
+
+  // Don't hold the process open just for the scheduler
+  timers.forEach(timer => timer.unref());
+
+  return () => timers.forEach(timer => clearInterval(timer));
+};
@@ -0,0 +1,125 @@
+/**
+ * Screenshot Hash Service
+ * Fingerprints payment screenshots so the same image submitted for another booking can be flagged.
+ *
+ * Two hashes are kept per screenshot:
+ *   sha256     -> exact byte-for-byte copies
+ *   perceptual -> 256-bit difference hash (dHash) that survives re-encoding, resizing and light cropping
+ *
+ * Near matches are found by splitting the perceptual hash into 16 indexed bands: two hashes within
+ * PERCEPTUAL_MATCH_DISTANCE bits of each other always share at least one band, so only payments
+ * sharing a band are compared bit by bit.
+ */
+
+import crypto from 'crypto';
+import sharp from 'sharp';
+import Payment from '../models/Payment.model.js';
+
+const HASH_WIDTH = 16; // Columns compared per row (the image is scaled to one column more)
+const HASH_HEIGHT = 16;
+const BAND_LENGTH = 4; // Hex characters per band - 16 bands of 16 bits
+const MIN_STEP = 4; // Brightness change a bit needs, so compression noise on flat backgrounds is ignored
+
+// Bits that may differ for two screenshots to count as the same image. Must stay below the number
+// of bands, or matches could be missed. Screenshots from the same banking app share a layout, so
+// this is kept tight - similar matches are a prompt for the reviewer, never proof.
+export const PERCEPTUAL_MATCH_DISTANCE = 8;
+
+const MAX_MATCHES = 20;
+
+// Difference hash: one bit per adjacent pixel pair, set when brightness clearly increases left to right
+const computePerceptualHash = async (buffer) => {
+  const pixels = await sharp(buffer)
+    .rotate()
+    .flatten({ background: '#ffffff' })
+    .greyscale()
+    .resize(HASH_WIDTH + 1, HASH_HEIGHT, { fit: 'fill', kernel: 'mitchell' })
+    .raw()
+    .toBuffer();
+
+  let bits = '';
+  for (let row = 0; row < HASH_HEIGHT; row += 1) {
+    for (let col = 0; col < HASH_WIDTH; col += 1) {
+      const offset = row * (HASH_WIDTH + 1) + col;
+      bits += pixels[offset + 1] - pixels[offset] > MIN_STEP ? '1' : '0';
+    }
+  }
+
+  return bits.match(/.{4}/g).map(nibble => parseInt(nibble, 2).toString(16)).join('');
+};
+
+// Band keys carry their position so equal chunks in different places don't match
+const toBands = (perceptual) =>
+  perceptual.match(new RegExp(`.{${BAND_LENGTH}}`, 'g')).map((band, index) => `${index}:${band}`);
+
+/**
+ * Number of differing bits between two hex hashes of the same length
+ */
+export const hammingDistance = (a, b) => {
+  let distance = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+};
+
+/**
+ * Hash a screenshot's contents. The perceptual hash is left out if the image can't be decoded.
+ * @returns {Promise<{sha256: string, perceptual?: string, bands?: string[]}>}
+ */
+export const hashScreenshot = async (buffer) => {
+  const hashes = { sha256: crypto.createHash('sha256').update(buffer).digest('hex') };
+
+  try {
+    hashes.perceptual = await computePerceptualHash(buffer);
+    hashes.bands = toBands(hashes.perceptual);
+  } catch (error) {
+    console.error('Perceptual hash error:', error.message);
+  }
+
+  return hashes;
+};
+
+/**
+ * Find earlier payments whose screenshot matches the given hashes, including deleted ones
+ * @param {Object} hashes - from hashScreenshot
+ * @param {Object} [options] - { excludeId, before } to check an existing payment against older ones
+ * @returns {Promise<Array<{paymentId, bookingId, type: 'exact'|'similar', distance: number}>>}
+ */
+export const findScreenshotMatches = async (hashes, { excludeId, before } = {}) => {
+  if (!hashes?.sha256) return [];
+
+  const scope = {};
+  if (excludeId) scope._id = { $ne: excludeId };
+  if (before) scope.createdAt = { $lt: before };
+
+  const conditions = [{ 'screenshotHash.sha256': hashes.sha256 }];
+  if (hashes.bands?.length) {
+    conditions.push({ 'screenshotHash.bands': { $in: hashes.bands } });
+  }
+
+  const candidates = await Payment.find({ ...scope, $or: conditions })
+    .select('bookingId screenshotHash.sha256 screenshotHash.perceptual')
+    .sort({ createdAt: 1 });
+
+  const matches = [];
+  for (const candidate of candidates) {
+    const { sha256, perceptual } = candidate.screenshotHash || {};
+    if (sha256 === hashes.sha256) {
+      matches.push({ paymentId: candidate._id, bookingId: candidate.bookingId, type: 'exact', distance: 0 });
+      continue;
+    }
+
+    if (!perceptual || !hashes.perceptual) continue;
+    const distance = hammingDistance(perceptual, hashes.perceptual);
+    if (distance <= PERCEPTUAL_MATCH_DISTANCE) {
+      matches.push({ paymentId: candidate._id, bookingId: candidate.bookingId, type: 'similar', distance });
+    }
+  }
+
+  return matches.slice(0, MAX_MATCHES);
+};
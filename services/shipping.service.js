@@ -0,0 +1,62 @@
+/**
+ * Shipping Service
+ * Prices shipping for order line items going to an address, using the admin-configured zones.
+ */
+
+import Order from '../models/Order.model.js';
+import ShippingZone from '../models/ShippingZone.model.js';
+
+const createShippingError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Quote shipping for snapshotted line items ({ unitPrice, quantity, lineTotal, weight }) to an address.
+ * Until any zone is configured, shipping is free so checkout keeps working.
+ * Throws an error with status 400 when no zone or rate tier covers the order.
+ * @returns {Promise<Object>} { subtotal, weight, shippingCharge, total, zone, freeShipping, freeShippingThreshold, amountToFreeShipping }
+ */
+export const quoteShipping = async (items, address = {}) => {
+  const subtotal = Order.calculateSubtotal(items);
+  const weight = Order.calculateWeight(items);
+  const quote = {
+    subtotal,
+    weight,
+    shippingCharge: 0,
+    total: subtotal,
+    zone: null,
+    freeShipping: false,
+    freeShippingThreshold: null,
+    amountToFreeShipping: null
+  };
+
+  const zone = await ShippingZone.findForAddress(address);
+  if (!zone) {
+    const hasZones = await ShippingZone.exists({ isActive: true });
+    if (!hasZones) return quote;
+
+    const destination = [address.city, address.country].filter(Boolean).join(', ') || 'this address';
+    throw createShippingError(`We don't ship to ${destination} yet`);
+  }
+
+  const threshold = zone.freeShippingThreshold;
+  const freeShipping = threshold !== null && threshold !== undefined && subtotal >= threshold;
+  const rate = zone.rateFor({ weight, subtotal });
+
+  if (rate === null && !freeShipping) {
+    throw createShippingError('No shipping rate covers this order - please contact us for a quote');
+  }
+
+  const shippingCharge = freeShipping ? 0 : rate;
+  return {
+    ...quote,
+    shippingCharge,
+    total: subtotal + shippingCharge,
+    zone: { zoneId: zone._id, name: zone.name },
+    freeShipping,
+    freeShippingThreshold: threshold ?? null,
+    amountToFreeShipping: threshold !== null && threshold !== undefined && !freeShipping ? threshold - subtotal : null
+  };
+};
@@ -0,0 +1,48 @@
+/**
+ * Signed URL Service
+ * Short-lived HMAC-signed links to private payment screenshots, tied to the payment's booking ID.
+ * Anyone holding a valid link can view that one screenshot until it expires - used for guests,
+ * who have no session to authenticate with, and for embedding screenshots in API responses.
+ */
+
+import crypto from 'crypto';
+
+// Read at call time - .env is loaded after imports run
+const getSecret = () =>
+  process.env.SIGNED_URL_SECRET || process.env.SESSION_SECRET || 'your-secret-key';
+
+const getTtlSeconds = () =>
+  parseInt(process.env.SCREENSHOT_URL_TTL_MINUTES || '15', 10) * 60;
+
+const computeSignature = (bookingId, expires) =>
+  crypto
+    .createHmac('sha256', getSecret())
+    .update(`payment-screenshot:${bookingId}:${expires}`)
+    .digest('hex');
+
+/**
+ * Build a signed screenshot URL for a booking
+ * @returns {string} relative URL under /api/payments/screenshots
+ */
+export const signScreenshotUrl = (bookingId, ttlSeconds = getTtlSeconds()) => {
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const signature = computeSignature(bookingId, expires);
+  return `/api/payments/screenshots/${encodeURIComponent(bookingId)}?expires=${expires}&signature=${signature}`;
+};
+
+/**
+ * Check a screenshot URL signature and expiry
+ */
+export const verifyScreenshotSignature = (bookingId, expires, signature) => {
+  const expiresAt = parseInt(expires, 10);
+  if (!bookingId || !Number.isInteger(expiresAt) || typeof signature !== 'string') {
+    return false;
+  }
+  if (expiresAt < Math.floor(Date.now() / 1000)) {
+    return false;
+  }
+
+  const expected = Buffer.from(computeSignature(bookingId, expiresAt), 'hex');
+  const provided = Buffer.from(signature, 'hex');
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+};
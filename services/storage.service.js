@@ -0,0 +1,53 @@
+/**
+ * Storage Service
+ * Single entry point for reading and writing uploaded files, backed by the driver selected in
+ * config/storage.config.js (local disk or S3-compatible).
+ *
+ * Files are addressed by key ('products/product-123.jpg'). Documents store a driver-independent
+ * reference, '/uploads/<key>' - the same format local uploads have always used - and
+ * resolveUrl() turns a reference into a URL for whichever driver is active.
+ */
+
+import storageConfig from '../config/storage.config.js';
+import { createLocalDriver } from './storage/local.driver.js';
+import { createS3Driver } from './storage/s3.driver.js';
+
+const drivers = {
+  local: createLocalDriver,
+  s3: createS3Driver
+};
+
+const createStorage = () => {
+  const createDriver = drivers[storageConfig.driver];
+  if (!createDriver) {
+    throw new Error(`Unknown STORAGE_DRIVER "${storageConfig.driver}". Use one of: ${Object.keys(drivers).join(', ')}`);
+  }
+  return createDriver({ ...storageConfig[storageConfig.driver], privateFolders: storageConfig.privateFolders });
+};
+
+export const storage = createStorage();
+
+const REFERENCE_PREFIX = '/uploads/';
+
+// Stored reference for a key
+export const toStorageRef = (key) => `${REFERENCE_PREFIX}${key}`;
+
+// Key behind a stored reference. Accepts '/uploads/<key>' and absolute URLs with that path
+// (older products stored absolute upload URLs). Returns null for anything else.
+export const keyFromRef = (ref) => {
+  if (!ref || typeof ref !== 'string') return null;
+  const pathname = ref.replace(/^https?:\/\/[^/]+/, '').split('?')[0];
+  if (!pathname.startsWith(REFERENCE_PREFIX)) return null;
+  return decodeURIComponent(pathname.slice(REFERENCE_PREFIX.length));
+};
+
+/**
+ * Resolve a stored reference to a URL for the active driver.
+ * Local references are returned unchanged (they are already served at /uploads);
+ * external URLs are always returned unchanged.
+ */
+export const resolveUrl = (ref) => {
+  if (!ref || storage.name === 'local') return ref;
+  const key = keyFromRef(ref);
+  return key ? storage.getUrl(key) : ref;
+};
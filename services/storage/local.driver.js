@@ -0,0 +1,66 @@
+/**
+ * Local disk storage driver
+ * Stores files under a root directory; server.js serves that directory at the base URL.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const createLocalDriver = ({ root, baseUrl }) => {
+  // Resolve a key to a path inside the root, refusing keys that would escape it
+  const resolvePath = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    root,
+
+    async put(key, body) {
+      const filePath = resolvePath(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, body);
+      return key;
+    },
+
+    async get(key) {
+      return fs.promises.readFile(resolvePath(key));
+    },
+
+    async exists(key) {
+      try {
+        await fs.promises.access(resolvePath(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    async delete(key) {
+      try {
+        await fs.promises.unlink(resolvePath(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    // Keys directly under a folder (e.g. 'products')
+    async list(prefix) {
+      try {
+        const entries = await fs.promises.readdir(resolvePath(prefix), { withFileTypes: true });
+        return entries.filter(entry => entry.isFile()).map(entry => `${prefix}/${entry.name}`);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+    },
+
+    getUrl(key) {
+      return `${baseUrl}/${key}`;
+    }
+  };
+};
@@ -0,0 +1,114 @@
+/**
+ * S3-compatible storage driver
+ * Works with AWS S3 and self-hosted stand-ins such as MinIO (custom endpoint + path-style URLs).
+ * Keys in the private folders go to a second bucket that must not allow public reads.
+ */
+
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} from '@aws-sdk/client-s3';
+
+export const createS3Driver = ({
+  bucket,
+  privateBucket,
+  privateFolders = [],
+  region,
+  endpoint,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle,
+  publicUrl
+}) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required when STORAGE_DRIVER=s3');
+  }
+  if (!privateBucket || privateBucket === bucket) {
+    throw new Error('S3_PRIVATE_BUCKET is required when STORAGE_DRIVER=s3 and must not be the public S3_BUCKET');
+  }
+
+  // Bucket an object lives in - payment documents never go in the public one
+  const bucketFor = (key) =>
+    (privateFolders.some(folder => key.startsWith(`${folder}/`)) ? privateBucket : bucket);
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  // Public base URL for objects in the bucket
+  const baseUrl = (() => {
+    if (publicUrl) return publicUrl.replace(/\/$/, '');
+    if (endpoint) {
+      const trimmed = endpoint.replace(/\/$/, '');
+      return forcePathStyle
+        ? `${trimmed}/${bucket}`
+        : trimmed.replace(/^(https?:\/\/)/, `$1${bucket}.`);
+    }
+    return `https://${bucket}.s3.${region}.amazonaws.com`;
+  })();
+
+  return {
+    name: 's3',
+    client,
+    bucket,
+
+    async put(key, body, { contentType } = {}) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucketFor(key),
+        Key: key,
+        Body: body,
+        ContentType: contentType
+      }));
+      return key;
+    },
+
+    async get(key) {
+      const response = await client.send(new GetObjectCommand({ Bucket: bucketFor(key), Key: key }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    },
+
+    async exists(key) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucketFor(key), Key: key }));
+        return true;
+      } catch (error) {
+        if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+          return false;
+        }
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucketFor(key), Key: key }));
+    },
+
+    // Keys directly under a folder (e.g. 'products')
+    async list(prefix) {
+      const keys = [];
+      let continuationToken;
+      do {
+        const response = await client.send(new ListObjectsV2Command({
+          Bucket: bucketFor(`${prefix}/`),
+          Prefix: `${prefix}/`,
+          Delimiter: '/',
+          ContinuationToken: continuationToken
+        }));
+        (response.Contents || []).forEach(object => keys.push(object.Key));
+        continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+      } while (continuationToken);
+      return keys;
+    },
+
+    getUrl(key) {
+      return `${baseUrl}/${key.split('/').map(encodeURIComponent).join('/')}`;
+    }
+  };
+};
@@ -0,0 +1,155 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Counter from '../models/Counter.model.js';
+import Payment from '../models/Payment.model.js';
+import {
+  formatBookingId,
+  generateBookingId,
+  bookingIdFilter,
+  migrateLegacyBookingIds
+} from '../services/bookingId.service.js';
+import { fakeQuery } from './helpers/fakeQuery.js';
+
+// Sequence counters (name -> last number) and payments
+let counters;
+let payments;
+
+const addPayment = (fields) => {
+  const payment = { _id: new mongoose.Types.ObjectId(), screenshotMatches: [], ...fields };
+  payments.push(payment);
+  return payment;
+};
+
+const isMigrated = (payment) => payment.legacyBookingId !== undefined;
+
+beforeEach(() => {
+  counters = new Map();
+  payments = [];
+
+  mock.method(Counter, 'findOneAndUpdate', (filter, update) => {
+    counters.set(filter._id, (counters.get(filter._id) || 0) + update.$inc.seq);
+    return fakeQuery({ _id: filter._id, seq: counters.get(filter._id) });
+  });
+
+  // Only the queries migrateLegacyBookingIds makes
+  mock.method(Payment, 'exists', (filter) => fakeQuery(
+    payments.some(payment => filter.bookingId.test(payment.bookingId) && !isMigrated(payment))
+  ));
+  mock.method(Payment, 'find', () => fakeQuery(
+    payments.filter(payment => !isMigrated(payment)).sort((a, b) => a.createdAt - b.createdAt).map(payment => ({ ...payment }))
+  ));
+  mock.method(Payment, 'updateOne', (filter, update) => {
+    const payment = payments.find(candidate => candidate._id.equals(filter._id) && candidate.bookingId === filter.bookingId);
+    if (payment) Object.assign(payment, update.$set);
+    return fakeQuery({ modifiedCount: payment ? 1 : 0 });
+  });
+  mock.method(Payment, 'updateMany', (filter, update, { arrayFilters: [matchFilter] }) => {
+    payments.forEach(payment => payment.screenshotMatches
+      .filter(match => match.bookingId === matchFilter['match.bookingId'])
+      .forEach(match => {
+        match.bookingId = update.$set['screenshotMatches.$[match].bookingId'];
+      }));
+    return fakeQuery({ modifiedCount: 1 });
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('booking IDs', () => {
+  it('formats the year and a zero-padded sequence with a check digit', () => {
+    assert.equal(formatBookingId(2026, 123), 'VGN-2026-000123-8');
+  });
+
+  it('numbers each year from 1', async () => {
+    assert.equal(await generateBookingId(new Date('2025-12-31T12:00:00')), formatBookingId(2025, 1));
+    assert.equal(await generateBookingId(new Date('2026-01-01T12:00:00')), formatBookingId(2026, 1));
+    assert.equal(await generateBookingId(new Date('2026-03-01T12:00:00')), formatBookingId(2026, 2));
+  });
+
+  it('finds a booking ID typed in any case, with or without dashes', () => {
+    const expected = { bookingId: 'VGN-2026-000123-8' };
+
+    assert.deepEqual(bookingIdFilter('VGN-2026-000123-8'), expected);
+    assert.deepEqual(bookingIdFilter(' vgn20260001238 '), expected);
+    assert.deepEqual(bookingIdFilter('vgn 2026 000123 8'), expected);
+  });
+
+  it('refuses any booking ID with a single mistyped digit', () => {
+    const digits = 'VGN20260001238';
+    for (let position = 3; position < digits.length; position += 1) {
+      for (let digit = 0; digit <= 9; digit += 1) {
+        if (String(digit) === digits[position]) continue;
+        const typo = `${digits.slice(0, position)}${digit}${digits.slice(position + 1)}`;
+        assert.throws(() => bookingIdFilter(typo), { status: 400 }, typo);
+      }
+    }
+  });
+
+  it('refuses any booking ID with two neighbouring digits swapped', () => {
+    const digits = 'VGN20260001238';
+    for (let position = 3; position < digits.length - 1; position += 1) {
+      if (digits[position] === digits[position + 1]) continue;
+      const typo = `${digits.slice(0, position)}${digits[position + 1]}${digits[position]}${digits.slice(position + 2)}`;
+      assert.throws(() => bookingIdFilter(typo), { status: 400 }, typo);
+    }
+  });
+
+  it('finds legacy booking IDs whether or not they have been migrated', () => {
+    assert.deepEqual(bookingIdFilter('vgn17000000000001234'), {
+      $or: [{ bookingId: 'VGN17000000000001234' }, { legacyBookingId: 'VGN17000000000001234' }]
+    });
+  });
+});
+
+describe('migrateLegacyBookingIds', () => {
+  it('numbers legacy payments oldest first in the year each was placed', async () => {
+    const later = addPayment({ bookingId: 'VGN17350000000002222', createdAt: new Date('2026-01-02T12:00:00') });
+    const earliest = addPayment({ bookingId: 'VGN17330000000001111', createdAt: new Date('2025-12-30T12:00:00') });
+    const latest = addPayment({ bookingId: 'VGN17360000000003333', createdAt: new Date('2026-01-05T12:00:00') });
+
+    const result = await migrateLegacyBookingIds();
+
+    assert.deepEqual(result, { migrated: 3, total: 3 });
+    assert.equal(earliest.bookingId, formatBookingId(2025, 1));
+    assert.equal(later.bookingId, formatBookingId(2026, 1));
+    assert.equal(latest.bookingId, formatBookingId(2026, 2));
+    assert.equal(later.legacyBookingId, 'VGN17350000000002222');
+  });
+
+  it('renames duplicate screenshot flags that point at a migrated payment', async () => {
+    addPayment({ bookingId: 'VGN17330000000001111', createdAt: new Date('2026-01-01T12:00:00') });
+    const flagged = addPayment({
+      bookingId: 'VGN17340000000002222',
+      createdAt: new Date('2026-01-02T12:00:00'),
+      screenshotMatches: [{ bookingId: 'VGN17330000000001111' }]
+    });
+
+    await migrateLegacyBookingIds();
+
+    assert.equal(flagged.screenshotMatches[0].bookingId, formatBookingId(2026, 1));
+  });
+
+  it('skips payments already migrated when run again', async () => {
+    addPayment({ bookingId: formatBookingId(2026, 1), legacyBookingId: 'VGN17330000000001111', createdAt: new Date('2026-01-01T12:00:00') });
+    counters.set('bookingId:2026', 1);
+    const remaining = addPayment({ bookingId: 'VGN17340000000002222', createdAt: new Date('2026-01-02T12:00:00') });
+
+    const result = await migrateLegacyBookingIds();
+
+    assert.deepEqual(result, { migrated: 1, total: 1 });
+    assert.equal(remaining.bookingId, formatBookingId(2026, 2));
+  });
+
+  it('refuses to run once checkout has issued a new booking ID, and changes nothing', async () => {
+    const legacy = addPayment({ bookingId: 'VGN17330000000001111', createdAt: new Date('2026-01-01T12:00:00') });
+    addPayment({ bookingId: formatBookingId(2026, 1), createdAt: new Date('2026-02-01T12:00:00') });
+
+    await assert.rejects(migrateLegacyBookingIds(), { status: 409 });
+
+    assert.equal(legacy.bookingId, 'VGN17330000000001111');
+    assert.equal(Payment.updateOne.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Payment from '../models/Payment.model.js';
+import paymentController from '../controllers/payment.controller.js';
+import { fakeQuery } from './helpers/fakeQuery.js';
+import { createResponse } from './helpers/http.js';
+
+const adminId = new mongoose.Types.ObjectId();
+
+let payments;
+
+const findPayment = (id) => payments.find(payment => payment._id.equals(id)) ?? null;
+
+const addPayment = (fields) => {
+  const payment = new Payment({ bookingId: `VGN-2026-00000${payments.length + 1}-1`, amount: 2500, status: 'pending', ...fields });
+  payments.push(payment);
+  return payment;
+};
+
+const bulkRequest = (body) => ({ body, user: { _id: adminId, role: 'admin' }, ip: '198.51.100.2' });
+
+beforeEach(() => {
+  payments = [];
+
+  mock.method(Payment, 'findById', (id) => fakeQuery(findPayment(id)));
+  mock.method(Payment, 'exists', (filter) => fakeQuery(findPayment(filter._id) ? { _id: filter._id } : null));
+  // Conditional updates on status (review) or deletedAt (soft delete). None of these payments hold
+  // stock, so stock reservation claims find nothing.
+  mock.method(Payment, 'findOneAndUpdate', (filter, update) => {
+    const payment = findPayment(filter._id);
+    const matches = payment && !filter['stockReservation.status'] &&
+      ('status' in filter ? payment.status === filter.status : !payment.deletedAt);
+    if (!matches) return fakeQuery(null);
+
+    Object.assign(payment, update.$set);
+    if (update.$push) payment.statusHistory.push(update.$push.statusHistory);
+    return fakeQuery(payment);
+  });
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('bulkUpdatePaymentStatus', () => {
+  it('changes every payment with the same note and history as a single change', async () => {
+    const first = addPayment();
+    const second = addPayment();
+    const res = createResponse();
+
+    await paymentController.bulkUpdatePaymentStatus(bulkRequest({
+      status: 'rejected',
+      notes: 'Transfer not received',
+      paymentIds: [first._id.toString(), second._id.toString(), first._id.toString()]
+    }), res);
+
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.message, '2 of 2 payment(s) rejected');
+    assert.deepEqual(res.body.results.map(({ bookingId, status }) => ({ bookingId, status })), [
+      { bookingId: first.bookingId, status: 'rejected' },
+      { bookingId: second.bookingId, status: 'rejected' }
+    ]);
+    [first, second].forEach((payment) => {
+      assert.equal(payment.notes, 'Transfer not received');
+      assert.deepEqual(payment.verifiedBy, adminId);
+      assert.equal(payment.statusHistory.at(-1).ip, '198.51.100.2');
+    });
+  });
+
+  it('reports each payment that could not be changed and carries on with the rest', async () => {
+    const pending = addPayment();
+    const rejected = addPayment({ status: 'rejected' });
+    const unknownId = new mongoose.Types.ObjectId().toString();
+    const res = createResponse();
+
+    await paymentController.bulkUpdatePaymentStatus(bulkRequest({
+      status: 'rejected',
+      paymentIds: [rejected._id.toString(), 'not-an-id', unknownId, pending._id.toString()]
+    }), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.success, false);
+    assert.equal(res.body.message, '1 of 4 payment(s) rejected, 3 failed');
+    assert.deepEqual(res.body.summary, { requested: 4, succeeded: 1, failed: 3 });
+    assert.deepEqual(res.body.results.map(({ success, message }) => ({ success, message })), [
+      { success: false, message: 'Payment is already rejected' },
+      { success: false, message: 'Invalid payment ID' },
+      { success: false, message: 'Payment not found' },
+      { success: true, message: undefined }
+    ]);
+    assert.equal(pending.status, 'rejected');
+  });
+
+  it('hides unexpected errors behind a generic message', async () => {
+    const payment = addPayment();
+    Payment.findById.mock.mockImplementation(() => { throw new Error('connection reset'); });
+    const res = createResponse();
+
+    await paymentController.bulkUpdatePaymentStatus(bulkRequest({ status: 'rejected', paymentIds: [payment._id.toString()] }), res);
+
+    assert.equal(res.body.results[0].message, 'Unexpected error processing this payment');
+    assert.equal(console.error.mock.callCount(), 1);
+  });
+
+  it('answers 400 to an unknown status or a missing, empty or oversized ID list', async () => {
+    const requests = [
+      { status: 'refunded', paymentIds: [new mongoose.Types.ObjectId().toString()] },
+      { status: 'verified' },
+      { status: 'verified', paymentIds: [] },
+      { status: 'verified', paymentIds: 'all' },
+      { status: 'verified', paymentIds: Array.from({ length: 101 }, () => new mongoose.Types.ObjectId().toString()) }
+    ];
+
+    for (const body of requests) {
+      const res = createResponse();
+      await paymentController.bulkUpdatePaymentStatus(bulkRequest(body), res);
+      assert.equal(res.statusCode, 400, JSON.stringify(body).slice(0, 60));
+    }
+    assert.equal(Payment.findById.mock.callCount(), 0);
+  });
+});
+
+describe('bulkDeletePayments', () => {
+  it('soft deletes payments and reports ones already deleted', async () => {
+    const payment = addPayment();
+    const deleted = addPayment({ deletedAt: new Date() });
+    const res = createResponse();
+
+    await paymentController.bulkDeletePayments(bulkRequest({
+      notes: 'Test orders',
+      paymentIds: [payment._id.toString(), deleted._id.toString()]
+    }), res);
+
+    assert.equal(res.body.message, '1 of 2 payment(s) deleted, 1 failed');
+    assert.deepEqual(res.body.results.map(({ success, message }) => ({ success, message })), [
+      { success: true, message: undefined },
+      { success: false, message: 'Payment is already deleted' }
+    ]);
+    assert.ok(payment.deletedAt);
+    assert.deepEqual(payment.deletedBy, adminId);
+    assert.equal(payment.deletionNote, 'Test orders');
+    assert.equal(payment.status, 'pending');
+  });
+
+  it('answers 400 to an empty ID list', async () => {
+    const res = createResponse();
+
+    await paymentController.bulkDeletePayments(bulkRequest({ paymentIds: [] }), res);
+
+    assert.equal(res.statusCode, 400);
+  });
+});
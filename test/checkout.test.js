@@ -0,0 +1,58 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import PaymentSettings from '../models/PaymentSettings.model.js';
+import Order from '../models/Order.model.js';
+import paymentController from '../controllers/payment.controller.js';
+import { storage } from '../services/storage.service.js';
+import { createResponse } from './helpers/http.js';
+
+const shippingAddress = {
+  fullName: 'Ayesha Khan',
+  phone: '0300-1234567',
+  line1: '12 Canal Road',
+  city: 'Lahore',
+  country: 'Pakistan'
+};
+
+// A guest checking out their cart with an uploaded screenshot
+const checkoutRequest = (body) => ({
+  body: { shippingAddress, ...body },
+  file: { key: 'payments/payment-1.png', storageRef: '/uploads/payments/payment-1.png', buffer: Buffer.from('png') },
+  session: { cart: { items: [{ productId: new mongoose.Types.ObjectId().toString(), quantity: 1 }] } },
+  isAuthenticated: () => false
+});
+
+beforeEach(() => {
+  // No payment methods yet - payments are made by transfer with a screenshot
+  mock.method(PaymentSettings, 'getSettings', async () => new PaymentSettings({ isActive: true }));
+  mock.method(storage, 'delete', async () => {});
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('checkout', () => {
+  it('answers 400 to a contact phone that is not text', async () => {
+    const res = createResponse();
+
+    await paymentController.checkout(checkoutRequest({ phone: 3001234567 }), res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, 'Phone must be text');
+  });
+
+  it('removes the uploaded screenshot when the order is refused', async () => {
+    mock.method(Order, 'buildItems', async () => {
+      throw Object.assign(new Error('Ruby is sold out'), { status: 409 });
+    });
+    const res = createResponse();
+
+    await paymentController.checkout(checkoutRequest({}), res);
+
+    assert.equal(res.statusCode, 409);
+    assert.deepEqual(storage.delete.mock.calls.map(call => call.arguments[0]), ['payments/payment-1.png']);
+  });
+});
@@ -0,0 +1,168 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Coupon from '../models/Coupon.model.js';
+import CouponUsage from '../models/CouponUsage.model.js';
+import {
+  claimCouponUse,
+  releaseCouponUse,
+  applyPaymentStatusToCoupon
+} from '../services/coupon.service.js';
+import { fakeQuery } from './helpers/fakeQuery.js';
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+// The coupon under test and its per-customer counters (customer key -> count)
+let coupon;
+let usage;
+
+const addCoupon = (fields) => {
+  coupon = { _id: new mongoose.Types.ObjectId(), code: 'SAVE10', usedCount: 0, maxUses: null, maxUsesPerUser: null, ...fields };
+  return coupon;
+};
+
+const userId = new mongoose.Types.ObjectId();
+const customer = { userId, email: 'Ayesha@Example.com', phone: '0300-1234567' };
+const customerKeys = [`user:${userId}`, 'email:ayesha@example.com', 'phone:03001234567'];
+
+beforeEach(() => {
+  usage = new Map();
+
+  // Global claim: only matches while the code has uses left
+  mock.method(Coupon, 'findOneAndUpdate', (filter, update) => {
+    const hasUsesLeft = coupon.maxUses === null || coupon.usedCount < coupon.maxUses;
+    if (!filter._id.equals(coupon._id) || !hasUsesLeft) return fakeQuery(null);
+    const previous = { ...coupon };
+    coupon.usedCount += update.$inc.usedCount;
+    return fakeQuery(previous);
+  });
+  mock.method(Coupon, 'updateOne', (filter, update) => {
+    if (!filter.usedCount || coupon.usedCount > 0) coupon.usedCount += update.$inc.usedCount;
+    return fakeQuery({ modifiedCount: 1 });
+  });
+
+  // Per-customer claim: increments below the limit, inserts a first use, and hits the unique
+  // index when the counter exists at the limit
+  mock.method(CouponUsage, 'findOneAndUpdate', (filter, update) => {
+    const count = usage.get(filter.customer);
+    if (count === undefined) {
+      usage.set(filter.customer, update.$inc.count);
+    } else if (count < filter.count.$lt) {
+      usage.set(filter.customer, count + update.$inc.count);
+    } else {
+      throw duplicateKeyError();
+    }
+    return fakeQuery(null);
+  });
+  mock.method(CouponUsage, 'updateMany', (filter, update) => {
+    filter.customer.$in.forEach(key => {
+      if (usage.get(key) > 0) usage.set(key, usage.get(key) + update.$inc.count);
+    });
+    return fakeQuery({ modifiedCount: filter.customer.$in.length });
+  });
+  mock.method(CouponUsage, 'updateOne', (filter, update) => {
+    usage.set(filter.customer, (usage.get(filter.customer) || 0) + update.$inc.count);
+    return fakeQuery({ modifiedCount: 1 });
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('claimCouponUse', () => {
+  it('counts a use of an unlimited code without tracking customers', async () => {
+    addCoupon();
+
+    assert.deepEqual(await claimCouponUse(coupon, customer), []);
+    assert.equal(coupon.usedCount, 1);
+    assert.equal(usage.size, 0);
+  });
+
+  it('refuses the use once the last one is gone', async () => {
+    addCoupon({ maxUses: 1, usedCount: 1 });
+
+    await assert.rejects(claimCouponUse(coupon, customer), {
+      status: 409,
+      message: 'This discount code has reached its usage limit'
+    });
+    assert.equal(coupon.usedCount, 1);
+  });
+
+  it('hands the last use to only one of two racing checkouts', async () => {
+    addCoupon({ maxUses: 1 });
+
+    const results = await Promise.allSettled([claimCouponUse(coupon), claimCouponUse(coupon)]);
+
+    assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    assert.equal(coupon.usedCount, 1);
+  });
+
+  it('counts a per-customer use under the account, email and phone', async () => {
+    addCoupon({ maxUsesPerUser: 1 });
+
+    assert.deepEqual(await claimCouponUse(coupon, customer), customerKeys);
+    assert.deepEqual(customerKeys.map(key => usage.get(key)), [1, 1, 1]);
+  });
+
+  it('refuses a customer at their limit under any identity and gives back what it took', async () => {
+    addCoupon({ maxUsesPerUser: 1 });
+    await claimCouponUse(coupon, { email: 'ayesha@example.com' });
+
+    // Same email, new account
+    await assert.rejects(claimCouponUse(coupon, customer), {
+      status: 409,
+      message: 'You have already used this discount code'
+    });
+    assert.equal(coupon.usedCount, 1);
+    assert.equal(usage.get(`user:${userId}`), 0);
+    assert.equal(usage.get('email:ayesha@example.com'), 1);
+  });
+
+  it('lets only one of two racing checkouts by the same customer through', async () => {
+    addCoupon({ maxUsesPerUser: 1 });
+
+    const results = await Promise.allSettled([claimCouponUse(coupon, customer), claimCouponUse(coupon, customer)]);
+
+    assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    assert.equal(coupon.usedCount, 1);
+    assert.deepEqual(customerKeys.map(key => usage.get(key)), [1, 1, 1]);
+  });
+
+  it('counts a first use that lost the insert race against the counter the winner created', async () => {
+    addCoupon({ maxUsesPerUser: 2 });
+    CouponUsage.findOneAndUpdate.mock.mockImplementationOnce((filter) => {
+      usage.set(filter.customer, 1); // Another checkout's first use got there first
+      throw duplicateKeyError();
+    });
+
+    await claimCouponUse(coupon, { email: 'ayesha@example.com' });
+
+    assert.equal(usage.get('email:ayesha@example.com'), 2);
+  });
+});
+
+describe('giving uses back', () => {
+  it('lets the customer use the code again once their use is released', async () => {
+    addCoupon({ maxUses: 1, maxUsesPerUser: 1 });
+    const keys = await claimCouponUse(coupon, customer);
+
+    await releaseCouponUse(coupon._id, keys);
+
+    assert.equal(coupon.usedCount, 0);
+    assert.deepEqual(await claimCouponUse(coupon, customer), customerKeys);
+  });
+
+  it('releases a rejected payment\'s use and counts it again when reinstated', async () => {
+    addCoupon({ maxUsesPerUser: 1 });
+    const payment = { discount: { couponId: coupon._id, customerKeys: await claimCouponUse(coupon, customer) } };
+
+    await applyPaymentStatusToCoupon(payment, 'pending', 'rejected');
+    assert.equal(coupon.usedCount, 0);
+    assert.deepEqual(customerKeys.map(key => usage.get(key)), [0, 0, 0]);
+
+    await applyPaymentStatusToCoupon(payment, 'rejected', 'pending');
+    assert.equal(coupon.usedCount, 1);
+    assert.deepEqual(customerKeys.map(key => usage.get(key)), [1, 1, 1]);
+  });
+});
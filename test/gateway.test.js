@@ -0,0 +1,182 @@
+import { describe, it, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import mongoose from 'mongoose';
+import Payment from '../models/Payment.model.js';
+import { createFakeGateway, signFakeWebhook, SIGNATURE_HEADER } from '../services/gateway/fake.gateway.js';
+import { fakeQuery } from './helpers/fakeQuery.js';
+
+const WEBHOOK_SECRET = 'test-webhook-secret';
+
+const gateway = createFakeGateway({ webhookSecret: WEBHOOK_SECRET, checkoutBaseUrl: 'http://localhost:3000/api/gateway/fake/checkout' });
+
+const now = () => Math.floor(Date.now() / 1000);
+
+const eventBody = (fields = {}) => JSON.stringify({
+  id: 'evt_fake_1',
+  type: 'payment.succeeded',
+  data: { sessionId: 'cs_fake_1', reference: 'VGN-2026-000123-8', amount: 2500, currency: 'PKR', transactionId: 'txn_fake_1' },
+  ...fields
+});
+
+const signedHeaders = (body, { secret = WEBHOOK_SECRET, timestamp = now() } = {}) => ({
+  [SIGNATURE_HEADER]: signFakeWebhook(body, secret, timestamp)
+});
+
+describe('fake gateway webhook verification', () => {
+  it('accepts a correctly signed webhook and reads the event from it', () => {
+    const body = eventBody();
+
+    assert.deepEqual(gateway.verifyWebhook(Buffer.from(body), signedHeaders(body)), {
+      id: 'evt_fake_1',
+      type: 'payment.succeeded',
+      sessionId: 'cs_fake_1',
+      reference: 'VGN-2026-000123-8',
+      amount: 2500,
+      currency: 'PKR',
+      transactionId: 'txn_fake_1'
+    });
+  });
+
+  it('refuses a webhook without a signature', () => {
+    assert.throws(() => gateway.verifyWebhook(Buffer.from(eventBody()), {}), {
+      status: 400,
+      message: 'Missing webhook signature'
+    });
+  });
+
+  it('refuses a webhook signed with another secret', () => {
+    const body = eventBody();
+
+    assert.throws(() => gateway.verifyWebhook(Buffer.from(body), signedHeaders(body, { secret: 'guessed-secret' })), {
+      status: 400,
+      message: 'Invalid webhook signature'
+    });
+  });
+
+  it('refuses a webhook whose body was changed after signing', () => {
+    const headers = signedHeaders(eventBody());
+    const tampered = eventBody({ data: { sessionId: 'cs_fake_1', amount: 1, currency: 'PKR' } });
+
+    assert.throws(() => gateway.verifyWebhook(Buffer.from(tampered), headers), {
+      status: 400,
+      message: 'Invalid webhook signature'
+    });
+  });
+
+  it('refuses a webhook signed more than five minutes ago or ahead', () => {
+    const body = eventBody();
+
+    for (const timestamp of [now() - 6 * 60, now() + 6 * 60]) {
+      assert.throws(() => gateway.verifyWebhook(Buffer.from(body), signedHeaders(body, { timestamp })), {
+        status: 400,
+        message: 'Webhook signature has expired'
+      });
+    }
+    assert.doesNotThrow(() => gateway.verifyWebhook(Buffer.from(body), signedHeaders(body, { timestamp: now() - 4 * 60 })));
+  });
+
+  it('cannot be created without a webhook secret', () => {
+    assert.throws(() => createFakeGateway({ checkoutBaseUrl: 'http://localhost:3000' }), {
+      message: 'FAKE_GATEWAY_WEBHOOK_SECRET is required when PAYMENT_GATEWAY=fake'
+    });
+  });
+});
+
+describe('fake gateway configuration', () => {
+  // The gateway is picked when gateway.service.js is first imported, so each setting gets its own process
+  const loadGateway = (env) => promisify(execFile)(
+    process.execPath,
+    ['--input-type=module', '-e', "const { gateway } = await import('./services/gateway.service.js'); console.log(gateway.name);"],
+    { env: { PATH: process.env.PATH, PAYMENT_GATEWAY: 'fake', FAKE_GATEWAY_WEBHOOK_SECRET: WEBHOOK_SECRET, ...env } }
+  );
+
+  it('runs outside production', async () => {
+    const { stdout } = await loadGateway({ NODE_ENV: 'development' });
+    assert.equal(stdout.trim(), 'fake');
+  });
+
+  it('refuses to run in production', async () => {
+    await assert.rejects(loadGateway({ NODE_ENV: 'production' }), ({ stderr }) =>
+      stderr.includes('PAYMENT_GATEWAY=fake is for development and testing and cannot be used in production'));
+  });
+});
+
+describe('handleWebhook', () => {
+  let handleWebhook;
+  let payment;
+
+  before(async () => {
+    process.env.PAYMENT_GATEWAY = 'fake';
+    process.env.FAKE_GATEWAY_WEBHOOK_SECRET = WEBHOOK_SECRET;
+    ({ handleWebhook } = await import('../services/gateway.service.js'));
+  });
+
+  beforeEach(() => {
+    payment = {
+      _id: new mongoose.Types.ObjectId(),
+      bookingId: 'VGN-2026-000123-8',
+      amount: 2500,
+      status: 'pending',
+      gateway: { provider: 'fake', sessionId: 'cs_fake_1', currency: 'PKR', events: [] }
+    };
+
+    mock.method(Payment, 'findOne', (filter) => fakeQuery(
+      filter['gateway.sessionId'] === payment.gateway.sessionId ? payment : null
+    ));
+    // Records an event unless one with the same id was recorded first
+    mock.method(Payment, 'updateOne', (filter, update) => {
+      const recorded = payment.gateway.events.some(event => event.id === filter['gateway.events.id'].$ne);
+      if (!recorded) payment.gateway.events.push(update.$push['gateway.events']);
+      return fakeQuery({ modifiedCount: recorded ? 0 : 1 });
+    });
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const deliver = (body, headers = signedHeaders(body)) => handleWebhook('fake', Buffer.from(body), headers);
+
+  it('acknowledges a replayed event without applying it again', async () => {
+    payment.gateway.events.push({ id: 'evt_fake_1', type: 'payment.succeeded', outcome: 'verified' });
+
+    assert.deepEqual(await deliver(eventBody()), { outcome: 'duplicate' });
+    assert.equal(Payment.updateOne.mock.callCount(), 0);
+    assert.equal(payment.status, 'pending');
+  });
+
+  it('records a declined payment and leaves it pending', async () => {
+    const result = await deliver(eventBody({ type: 'payment.failed' }));
+
+    assert.deepEqual(result, { outcome: 'recorded' });
+    assert.equal(payment.gateway.events.length, 1);
+    assert.equal(payment.gateway.events[0].outcome, 'recorded');
+  });
+
+  it('holds a payment for review when the gateway reports a different amount', async () => {
+    const body = eventBody({ data: { sessionId: 'cs_fake_1', amount: 25, currency: 'PKR', transactionId: 'txn_fake_1' } });
+
+    const result = await deliver(body);
+
+    assert.equal(result.outcome, 'needs_review');
+    assert.equal(payment.gateway.events[0].outcome, 'needs_review');
+    assert.equal(payment.status, 'pending');
+  });
+
+  it('refuses a forged webhook before looking up the payment', async () => {
+    const body = eventBody();
+
+    await assert.rejects(deliver(body, signedHeaders(body, { secret: 'guessed-secret' })), { status: 400 });
+    assert.equal(Payment.findOne.mock.callCount(), 0);
+  });
+
+  it('answers 404 for another provider or an unknown checkout session', async () => {
+    await assert.rejects(handleWebhook('stripe', Buffer.from(eventBody()), {}), { status: 404 });
+
+    const body = eventBody({ data: { sessionId: 'cs_fake_unknown', amount: 2500 } });
+    await assert.rejects(deliver(body), { status: 404, message: 'No payment found for this checkout session' });
+  });
+});
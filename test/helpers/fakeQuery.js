@@ -0,0 +1,18 @@
+/**
+ * Stand-in for a Mongoose query in tests: chainable like one and resolves to the given result when
+ * awaited. Fakes work out the result when the model method is called, so a conditional update in a
+ * fake is as atomic as the real one.
+ */
+export const fakeQuery = (result) => {
+  const query = {
+    select: () => query,
+    populate: () => query,
+    sort: () => query,
+    skip: () => query,
+    limit: () => query,
+    lean: () => query,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    catch: (reject) => Promise.resolve(result).catch(reject)
+  };
+  return query;
+};
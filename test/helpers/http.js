@@ -0,0 +1,23 @@
+/**
+ * Minimal Express response for calling controller handlers directly: records the status and the
+ * JSON body sent.
+ */
+export const createResponse = () => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    set(name, value) {
+      res.headers[name.toLowerCase()] = value;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    }
+  };
+  return res;
+};
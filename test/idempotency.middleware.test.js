@@ -0,0 +1,193 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import IdempotencyKey from '../models/IdempotencyKey.model.js';
+import { idempotent } from '../middleware/idempotency.middleware.js';
+import { fakeQuery } from './helpers/fakeQuery.js';
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+// Stored keys by "<endpoint> <user> <key>"
+let records;
+const recordId = ({ key, endpoint, userId }) => `${endpoint} ${userId ?? 'guest'} ${key}`;
+
+// What the order handler does for the current test
+let handleOrder;
+let handlerCalls;
+
+let server;
+let baseUrl;
+
+const submitOrder = (body, key, { user, session } = {}) => fetch(`${baseUrl}/api/payments`, {
+  method: 'POST',
+  headers: {
+    'Content-Type': 'application/json',
+    ...(key !== undefined ? { 'Idempotency-Key': key } : {}),
+    ...(user ? { 'X-Test-User': user } : {}),
+    ...(session ? { 'X-Test-Session': session } : {})
+  },
+  body: JSON.stringify(body)
+});
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  // Stand-in for passport and express-session
+  app.use((req, res, next) => {
+    if (req.get('X-Test-User')) req.user = { _id: req.get('X-Test-User') };
+    req.sessionID = req.get('X-Test-Session');
+    next();
+  });
+  app.post('/api/payments', idempotent, (req, res) => {
+    handlerCalls += 1;
+    return handleOrder(req, res);
+  });
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => {
+  server.closeAllConnections();
+  server.close(resolve);
+}));
+
+beforeEach(() => {
+  records = new Map();
+  handlerCalls = 0;
+  handleOrder = (req, res) => res.status(201).json({ success: true, bookingId: `VGN-2026-00000${handlerCalls}` });
+
+  // Claim: takes an expired key or one a dead request left processing; a live key hits the unique index
+  mock.method(IdempotencyKey, 'findOneAndUpdate', (filter, update) => {
+    const existing = records.get(recordId(filter));
+    if (existing) {
+      const [expired, abandoned] = filter.$or;
+      const claimable = existing.expiresAt <= expired.expiresAt.$lte ||
+        (existing.status === abandoned.status && existing.requestHash === abandoned.requestHash &&
+          existing.updatedAt < abandoned.updatedAt.$lt);
+      if (!claimable) throw duplicateKeyError();
+    }
+    records.set(recordId(filter), {
+      key: filter.key, endpoint: filter.endpoint, userId: filter.userId, ...update.$set, updatedAt: new Date()
+    });
+    return fakeQuery(null);
+  });
+  mock.method(IdempotencyKey, 'findOne', (filter) => fakeQuery(records.get(recordId(filter)) ?? null));
+  mock.method(IdempotencyKey, 'updateOne', (filter, update) => {
+    const existing = records.get(recordId(filter));
+    if (existing?.requestHash === filter.requestHash) Object.assign(existing, update.$set);
+    return fakeQuery({ modifiedCount: existing ? 1 : 0 });
+  });
+  mock.method(IdempotencyKey, 'deleteOne', (filter) => {
+    records.delete(recordId(filter));
+    return fakeQuery({ deletedCount: 1 });
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('idempotent', () => {
+  const order = { productId: 'ruby', quantity: 1, contactEmail: 'ayesha@example.com' };
+
+  it('processes requests without an Idempotency-Key every time', async () => {
+    await submitOrder(order);
+    await submitOrder(order);
+
+    assert.equal(handlerCalls, 2);
+    assert.equal(records.size, 0);
+  });
+
+  it('replays the first response to a retry with the same key and body', async () => {
+    const first = await submitOrder(order, 'order-1');
+    const retry = await submitOrder({ contactEmail: 'ayesha@example.com', quantity: 1, productId: 'ruby' }, 'order-1');
+
+    assert.equal(handlerCalls, 1);
+    assert.equal(retry.status, 201);
+    assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+    assert.equal(first.headers.get('idempotent-replayed'), null);
+    assert.deepEqual(await retry.json(), await first.json());
+  });
+
+  it('replays to a guest retrying without the session cookie of the first attempt', async () => {
+    const first = await submitOrder(order, 'order-1', { session: 'first-session' });
+    const retry = await submitOrder(order, 'order-1');
+
+    assert.equal(handlerCalls, 1);
+    assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+    assert.deepEqual(await retry.json(), await first.json());
+  });
+
+  it('keeps signed-in customers\' keys apart', async () => {
+    const ayesha = await submitOrder(order, 'order-1', { user: 'user-ayesha' });
+    const bilal = await submitOrder(order, 'order-1', { user: 'user-bilal' });
+    const guest = await submitOrder(order, 'order-1');
+
+    assert.equal(handlerCalls, 3);
+    assert.deepEqual(
+      [ayesha, bilal, guest].map(response => response.headers.get('idempotent-replayed')),
+      [null, null, null]
+    );
+  });
+
+  it('refuses a key reused for a different request with 422', async () => {
+    await submitOrder(order, 'order-1');
+    const response = await submitOrder({ ...order, quantity: 2 }, 'order-1');
+
+    assert.equal(response.status, 422);
+    assert.equal(handlerCalls, 1);
+  });
+
+  it('answers 409 to a retry that arrives while the first request is still processing', async () => {
+    let finishOrder;
+    handleOrder = (req, res) => new Promise(resolve => {
+      finishOrder = () => resolve(res.status(201).json({ success: true }));
+    });
+
+    const first = submitOrder(order, 'order-1');
+    while (!finishOrder) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    const retry = await submitOrder(order, 'order-1');
+    finishOrder();
+
+    assert.equal(retry.status, 409);
+    assert.equal((await first).status, 201);
+    assert.equal(handlerCalls, 1);
+  });
+
+  it('does not store server errors, so the retry is processed for real', async () => {
+    handleOrder = (req, res) => res.status(500).json({ success: false, message: 'Error creating payment' });
+    const failed = await submitOrder(order, 'order-1');
+
+    handleOrder = (req, res) => res.status(201).json({ success: true });
+    const retry = await submitOrder(order, 'order-1');
+
+    assert.equal(failed.status, 500);
+    assert.equal(retry.status, 201);
+    assert.equal(retry.headers.get('idempotent-replayed'), null);
+    assert.equal(handlerCalls, 2);
+  });
+
+  it('processes a key again once it has expired', async () => {
+    await submitOrder(order, 'order-1');
+    records.get(recordId({ key: 'order-1', endpoint: 'POST /api/payments', userId: null })).expiresAt = new Date(Date.now() - 1000);
+
+    const response = await submitOrder({ ...order, quantity: 2 }, 'order-1');
+
+    assert.equal(response.status, 201);
+    assert.equal(handlerCalls, 2);
+  });
+
+  it('rejects an empty or overlong key with 400', async () => {
+    const empty = await submitOrder(order, ' ');
+    const overlong = await submitOrder(order, 'k'.repeat(256));
+
+    assert.equal(empty.status, 400);
+    assert.equal(overlong.status, 400);
+    assert.equal(handlerCalls, 0);
+  });
+});
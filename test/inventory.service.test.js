@@ -0,0 +1,240 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Product from '../models/Product.model.js';
+import Payment from '../models/Payment.model.js';
+import Batch from '../models/Batch.model.js';
+import {
+  reserveStock,
+  releaseReservedStock,
+  commitReservedStock
+} from '../services/inventory.service.js';
+import { fakeQuery } from './helpers/fakeQuery.js';
+
+// In-memory products, payments and batches, keyed by id
+let products;
+let payments;
+let batches;
+
+const applyInc = (doc, inc) => {
+  Object.entries(inc).forEach(([field, amount]) => {
+    doc[field] = (doc[field] || 0) + amount;
+  });
+};
+
+const addProduct = (fields) => {
+  const _id = new mongoose.Types.ObjectId();
+  products.set(_id.toString(), { _id, reservedStock: 0, ...fields });
+  return _id;
+};
+
+const product = (id) => products.get(id.toString());
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addBatch = (productId, fields) => {
+  const _id = new mongoose.Types.ObjectId();
+  batches.set(_id.toString(), { _id, productId, isActive: true, ...fields });
+  return _id;
+};
+
+const batch = (id) => batches.get(id.toString());
+
+// A pending payment holding a reservation, as createOrderPayment leaves it
+const addReservedPayment = (items) => {
+  const _id = new mongoose.Types.ObjectId();
+  payments.set(_id.toString(), { _id, stockReservation: { status: 'reserved', items, batches: [] } });
+  return { _id };
+};
+
+beforeEach(() => {
+  products = new Map();
+  payments = new Map();
+  batches = new Map();
+
+  // Conditional decrement: only matches while the product has the stock
+  mock.method(Product, 'findOneAndUpdate', (filter, update) => {
+    const doc = product(filter._id);
+    const matches = !!doc && typeof doc.stock === 'number' && doc.stock >= filter.stock.$gte;
+    if (matches) applyInc(doc, update.$inc);
+    return fakeQuery(matches ? { ...doc } : null);
+  });
+  mock.method(Product, 'findById', (id) => fakeQuery(product(id) ? { ...product(id) } : null));
+  mock.method(Product, 'updateOne', (filter, update) => {
+    applyInc(product(filter._id), update.$inc);
+    return fakeQuery({ modifiedCount: 1 });
+  });
+
+  // Reservation transitions: only matches while the reservation is in the expected state
+  mock.method(Payment, 'findOneAndUpdate', (filter, update) => {
+    const doc = payments.get(filter._id.toString());
+    if (!doc || doc.stockReservation.status !== filter['stockReservation.status']) {
+      return fakeQuery(null);
+    }
+    const previous = { ...doc, stockReservation: { ...doc.stockReservation } };
+    doc.stockReservation.status = update.$set['stockReservation.status'];
+    return fakeQuery(previous);
+  });
+
+  // Batch.allocate: the first-expiring sellable batch of the product that covers the quantity
+  mock.method(Batch, 'findOneAndUpdate', (filter, update) => {
+    const [doc] = [...batches.values()]
+      .filter(candidate =>
+        candidate.productId.equals(filter.productId) &&
+        candidate.isActive &&
+        candidate.expiryDate > filter.expiryDate.$gt &&
+        candidate.quantityRemaining >= filter.quantityRemaining.$gte)
+      .sort((a, b) => a.expiryDate - b.expiryDate);
+    if (doc) applyInc(doc, update.$inc);
+    return fakeQuery(doc ? { ...doc } : null);
+  });
+  mock.method(Batch, 'exists', (filter) => fakeQuery(
+    [...batches.values()].some(candidate => candidate.productId.equals(filter.productId) && candidate.isActive)
+  ));
+  mock.method(Batch, 'updateOne', (filter, update) => {
+    applyInc(batch(filter._id), update.$inc);
+    return fakeQuery({ modifiedCount: 1 });
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('reserveStock', () => {
+  it('moves units from stock to reserved stock', async () => {
+    const productId = addProduct({ name: 'Ruby', stock: 5 });
+
+    const reservation = await reserveStock([{ productId, quantity: 2 }]);
+
+    assert.deepEqual(reservation.items, [{ productId, quantity: 2 }]);
+    assert.equal(product(productId).stock, 3);
+    assert.equal(product(productId).reservedStock, 2);
+  });
+
+  it('reserves duplicate lines of a product in one update', async () => {
+    const productId = addProduct({ name: 'Ruby', stock: 5 });
+
+    await reserveStock([{ productId, quantity: 1 }, { productId, quantity: 2 }]);
+
+    assert.equal(Product.findOneAndUpdate.mock.callCount(), 1);
+    assert.equal(product(productId).stock, 2);
+    assert.equal(product(productId).reservedStock, 3);
+  });
+
+  it('sells the last unit only once when checkouts race', async () => {
+    const productId = addProduct({ name: 'Ruby', stock: 1 });
+
+    const results = await Promise.allSettled([
+      reserveStock([{ productId, quantity: 1 }]),
+      reserveStock([{ productId, quantity: 1 }])
+    ]);
+
+    assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    const { reason } = results.find(result => result.status === 'rejected');
+    assert.equal(reason.status, 409);
+    assert.equal(reason.message, 'Ruby is sold out');
+    assert.equal(product(productId).stock, 0);
+    assert.equal(product(productId).reservedStock, 1);
+  });
+
+  it('rolls back lines already reserved when a later line is short', async () => {
+    const rubyId = addProduct({ name: 'Ruby', stock: 5 });
+    const emeraldId = addProduct({ name: 'Emerald', stock: 1 });
+
+    await assert.rejects(
+      reserveStock([{ productId: rubyId, quantity: 2 }, { productId: emeraldId, quantity: 2 }]),
+      { status: 409, message: 'Only 1 of Emerald left in stock' }
+    );
+
+    assert.equal(product(rubyId).stock, 5);
+    assert.equal(product(rubyId).reservedStock, 0);
+    assert.equal(product(emeraldId).stock, 1);
+  });
+
+  it('skips products whose stock is not tracked', async () => {
+    const productId = addProduct({ name: 'Custom ring', stock: null });
+
+    const reservation = await reserveStock([{ productId, quantity: 3 }]);
+
+    assert.deepEqual(reservation.items, []);
+    assert.equal(product(productId).reservedStock, 0);
+  });
+});
+
+describe('releasing and committing a reservation', () => {
+  it('returns reserved units to stock once, however often it is released', async () => {
+    const productId = addProduct({ name: 'Ruby', stock: 3, reservedStock: 2 });
+    const payment = addReservedPayment([{ productId, quantity: 2 }]);
+
+    const released = await Promise.all([releaseReservedStock(payment), releaseReservedStock(payment)]);
+
+    assert.deepEqual(released.sort(), [false, true]);
+    assert.equal(product(productId).stock, 5);
+    assert.equal(product(productId).reservedStock, 0);
+  });
+
+  it('sells reserved units for good when committed', async () => {
+    const productId = addProduct({ name: 'Ruby', stock: 3, reservedStock: 2 });
+    const payment = addReservedPayment([{ productId, quantity: 2 }]);
+
+    assert.equal(await commitReservedStock(payment), true);
+
+    assert.equal(product(productId).stock, 3);
+    assert.equal(product(productId).reservedStock, 0);
+  });
+
+  it('does not commit a reservation that was already released', async () => {
+    const productId = addProduct({ name: 'Ruby', stock: 3, reservedStock: 2 });
+    const payment = addReservedPayment([{ productId, quantity: 2 }]);
+
+    await releaseReservedStock(payment);
+
+    assert.equal(await commitReservedStock(payment), false);
+    assert.equal(product(productId).stock, 5);
+    assert.equal(product(productId).reservedStock, 0);
+  });
+});
+
+describe('batch allocation', () => {
+  it('takes Shilajit units from the first batch to expire and records its lot on the line', async () => {
+    const productId = addProduct({ name: 'Shilajit resin', stock: 10 });
+    addBatch(productId, { lotNumber: 'LOT-LATE', quantityRemaining: 5, expiryDate: new Date(Date.now() + 60 * DAY_MS) });
+    const earlyId = addBatch(productId, { lotNumber: 'LOT-EARLY', quantityRemaining: 5, expiryDate: new Date(Date.now() + 30 * DAY_MS) });
+    const line = { productId, productType: 'Shilajit', name: 'Shilajit resin', quantity: 2 };
+
+    const reservation = await reserveStock([line]);
+
+    assert.deepEqual(reservation.batches, [{ batchId: earlyId, quantity: 2 }]);
+    assert.equal(line.lotNumber, 'LOT-EARLY');
+    assert.equal(batch(earlyId).quantityRemaining, 3);
+  });
+
+  it('never sells from an expired batch, and gives back everything taken so far', async () => {
+    const firstId = addProduct({ name: 'Shilajit resin', stock: 10 });
+    const secondId = addProduct({ name: 'Shilajit capsules', stock: 10 });
+    const firstBatchId = addBatch(firstId, { lotNumber: 'LOT-1', quantityRemaining: 5, expiryDate: new Date(Date.now() + 30 * DAY_MS) });
+    addBatch(secondId, { lotNumber: 'LOT-OLD', quantityRemaining: 5, expiryDate: new Date(Date.now() - DAY_MS) });
+
+    await assert.rejects(
+      reserveStock([
+        { productId: firstId, productType: 'Shilajit', name: 'Shilajit resin', quantity: 2 },
+        { productId: secondId, productType: 'Shilajit', name: 'Shilajit capsules', quantity: 1 }
+      ]),
+      { status: 409, message: 'No unexpired batch of Shilajit capsules can cover 1 unit(s)' }
+    );
+
+    assert.equal(batch(firstBatchId).quantityRemaining, 5);
+    assert.equal(product(firstId).stock, 10);
+    assert.equal(product(secondId).stock, 10);
+  });
+
+  it('sells Shilajit products without batches from stock alone', async () => {
+    const productId = addProduct({ name: 'Shilajit resin', stock: 10 });
+
+    const reservation = await reserveStock([{ productId, productType: 'Shilajit', quantity: 2 }]);
+
+    assert.deepEqual(reservation.batches, []);
+    assert.equal(product(productId).stock, 8);
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Payment from '../models/Payment.model.js';
+import Invoice from '../models/Invoice.model.js';
+import PaymentSettings from '../models/PaymentSettings.model.js';
+import { generateInvoice, getInvoicePdf } from '../services/invoice.service.js';
+import { storage } from '../services/storage.service.js';
+import { fakeQuery } from './helpers/fakeQuery.js';
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+let payments;
+let invoices;
+let stored;
+
+const addPayment = (fields) => {
+  const payment = new Payment({
+    bookingId: `VGN-2026-00000${payments.length + 1}-1`,
+    amount: 2500,
+    status: 'verified',
+    ...fields
+  });
+  payments.push(payment);
+  return payment;
+};
+
+// Insert an invoice the way the unique indexes on number and paymentId allow
+const insertInvoice = (fields) => {
+  if (invoices.some(invoice => invoice.number === fields.number || invoice.paymentId.equals(fields.paymentId))) {
+    throw duplicateKeyError();
+  }
+  const invoice = new Invoice(fields);
+  invoices.push(invoice);
+  return invoice;
+};
+
+beforeEach(() => {
+  payments = [];
+  invoices = [];
+  stored = new Map();
+
+  mock.method(Payment, 'findById', (id) => fakeQuery(payments.find(payment => payment._id.equals(id)) ?? null));
+  mock.method(Payment, 'updateOne', (filter, update) => {
+    payments.find(payment => payment._id.equals(filter._id)).invoiceNumber = update.invoiceNumber;
+    return fakeQuery({ modifiedCount: 1 });
+  });
+  // findOne({ paymentId }) finds a payment's invoice; findOne() sorted by number finds the last one
+  mock.method(Invoice, 'findOne', (filter) => fakeQuery(filter
+    ? invoices.find(invoice => invoice.paymentId.equals(filter.paymentId)) ?? null
+    : invoices.reduce((last, invoice) => (!last || invoice.number > last.number ? invoice : last), null)));
+  mock.method(Invoice, 'create', async (fields) => insertInvoice(fields));
+  mock.method(Invoice.prototype, 'save', async function () { return this; });
+  mock.method(PaymentSettings, 'getSettings', async () => new PaymentSettings({ isActive: true, businessName: 'Vital Geo Naturals' }));
+  mock.method(storage, 'put', async (key, buffer) => { stored.set(key, buffer); });
+  mock.method(storage, 'exists', async (key) => stored.has(key));
+  mock.method(storage, 'get', async (key) => stored.get(key));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('generateInvoice', () => {
+  it('numbers invoices in sequence and stores each PDF under its number', async () => {
+    const first = addPayment();
+    const second = addPayment({ status: 'partially_refunded', refundedAmount: 500 });
+
+    const firstInvoice = await generateInvoice(first._id);
+    const secondInvoice = await generateInvoice(second._id);
+
+    assert.deepEqual([firstInvoice.number, secondInvoice.number], [1, 2]);
+    assert.deepEqual([...stored.keys()], ['invoices/INV-000001.pdf', 'invoices/INV-000002.pdf']);
+    assert.equal(stored.get('invoices/INV-000001.pdf').subarray(0, 5).toString(), '%PDF-');
+    assert.equal(firstInvoice.file, '/uploads/invoices/INV-000001.pdf');
+    assert.deepEqual([first.invoiceNumber, second.invoiceNumber], ['INV-000001', 'INV-000002']);
+  });
+
+  it('keeps the number when an invoice is generated again', async () => {
+    const payment = addPayment();
+
+    const issued = await generateInvoice(payment._id);
+    const regenerated = await generateInvoice(payment._id);
+
+    assert.equal(regenerated.number, issued.number);
+    assert.equal(invoices.length, 1);
+    assert.equal(Payment.updateOne.mock.callCount(), 1);
+  });
+
+  it('takes the next number when another invoice claims it first', async () => {
+    const payment = addPayment();
+    const other = addPayment();
+    // Another server allocates number 1 between this one reading the last number and inserting
+    Invoice.create.mock.mockImplementationOnce(async (fields) => {
+      insertInvoice({ number: 1, paymentId: other._id });
+      return insertInvoice(fields);
+    });
+
+    const invoice = await generateInvoice(payment._id);
+
+    assert.equal(invoice.number, 2);
+    assert.deepEqual(invoices.map(({ number }) => number), [1, 2]);
+  });
+
+  it('refuses to invoice a payment that has not been paid', async () => {
+    for (const status of ['pending', 'rejected', 'expired']) {
+      const payment = addPayment({ status });
+      await assert.rejects(generateInvoice(payment._id), { status: 409 });
+    }
+    assert.equal(invoices.length, 0);
+  });
+
+  it('answers 404 for an unknown payment', async () => {
+    await assert.rejects(generateInvoice(new mongoose.Types.ObjectId()), { status: 404 });
+  });
+});
+
+describe('getInvoicePdf', () => {
+  it('generates the PDF on first download', async () => {
+    const payment = addPayment();
+
+    const { invoice, pdf } = await getInvoicePdf(payment._id);
+
+    assert.equal(invoice.number, 1);
+    assert.equal(pdf, stored.get('invoices/INV-000001.pdf'));
+  });
+
+  it('stops handing out the invoice once the payment is no longer paid', async () => {
+    const payment = addPayment();
+    await generateInvoice(payment._id);
+    payment.status = 'rejected';
+
+    await assert.rejects(getInvoicePdf(payment._id), { status: 409 });
+  });
+});
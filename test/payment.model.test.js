@@ -0,0 +1,29 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Payment from '../models/Payment.model.js';
+
+describe('toCustomerJSON', () => {
+  it('leaves out review notes and who reviewed the payment', () => {
+    const adminId = new mongoose.Types.ObjectId();
+    const payment = new Payment({
+      bookingId: 'VGN-2026-000123-8',
+      amount: 2500,
+      status: 'rejected',
+      notes: 'Screenshot looks edited - same transfer as VGN-2026-000101-3',
+      verifiedBy: adminId,
+      verifiedAt: new Date(),
+      statusHistory: [
+        { from: null, to: 'pending', note: 'Payment submitted', ip: '203.0.113.7' },
+        { from: 'pending', to: 'rejected', actor: adminId, note: 'Screenshot looks edited', ip: '198.51.100.2' }
+      ]
+    });
+
+    const json = payment.toCustomerJSON();
+
+    assert.equal(json.notes, undefined);
+    assert.equal(json.verifiedBy, undefined);
+    assert.deepEqual(json.statusHistory.map(entry => Object.keys(entry).sort()), [['at', 'from', 'to'], ['at', 'from', 'to']]);
+    assert.equal(json.status, 'rejected');
+  });
+});
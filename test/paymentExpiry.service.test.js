@@ -0,0 +1,194 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import nodemailer from 'nodemailer';
+import Payment from '../models/Payment.model.js';
+import Order from '../models/Order.model.js';
+import Product from '../models/Product.model.js';
+import PaymentSettings from '../models/PaymentSettings.model.js';
+import { expirePendingPayments, sendPaymentReminders } from '../services/paymentExpiry.service.js';
+import { fakeQuery } from './helpers/fakeQuery.js';
+
+const HOUR = 60 * 60 * 1000;
+const hoursAgo = (hours) => new Date(Date.now() - hours * HOUR);
+
+let payments;
+
+// What the SMTP server does with each email in the current test
+let deliverMail;
+let sentMail;
+
+// Whether a payment matches the pending-since condition of the expiry and reminder queries
+const matchesPendingBefore = (payment, { $or: conditions }) => conditions.some(condition =>
+  condition.pendingSince?.$lt
+    ? payment.pendingSince && payment.pendingSince < condition.pendingSince.$lt
+    : !payment.pendingSince && payment.createdAt < condition.createdAt.$lt);
+
+const matchesClaim = (payment, filter) =>
+  payment.status === filter.status &&
+  payment.paymentMethod?.type !== 'cash_on_delivery' &&
+  (!('reminderSentAt' in filter) || !payment.reminderSentAt) &&
+  (!filter.contactEmail || typeof payment.contactEmail === 'string') &&
+  matchesPendingBefore(payment, filter);
+
+const addPayment = (fields) => {
+  const payment = new Payment({
+    bookingId: `VGN-2026-00000${payments.length + 1}-1`,
+    amount: 2500,
+    status: 'pending',
+    contactEmail: 'ayesha@example.com',
+    ...fields
+  });
+  payments.push(payment);
+  return payment;
+};
+
+beforeEach(() => {
+  payments = [];
+  sentMail = [];
+  deliverMail = async (message) => { sentMail.push(message); };
+  process.env.PAYMENT_EXPIRY_HOURS = '48';
+  process.env.SMTP_HOST = 'smtp.example.com';
+
+  // Claims the first matching payment, as the conditional updates do. Stock reservation claims
+  // (filtered on stockReservation.status) hand back the reservation as it was.
+  mock.method(Payment, 'findOneAndUpdate', (filter, update) => {
+    if (filter['stockReservation.status']) {
+      const payment = payments.find(candidate =>
+        candidate._id.equals(filter._id) && candidate.stockReservation.status === filter['stockReservation.status']);
+      if (!payment) return fakeQuery(null);
+      const previous = payment.toObject();
+      payment.stockReservation.status = update.$set['stockReservation.status'];
+      return fakeQuery(previous);
+    }
+
+    const payment = payments.find(candidate => matchesClaim(candidate, filter));
+    if (payment) {
+      Object.assign(payment, update.$set);
+      if (update.$push) payment.statusHistory.push(update.$push.statusHistory);
+    }
+    return fakeQuery(payment ?? null);
+  });
+  mock.method(Payment, 'updateOne', (filter, update) => {
+    Object.assign(payments.find(payment => payment._id.equals(filter._id)), update.$set);
+    return fakeQuery({ modifiedCount: 1 });
+  });
+  mock.method(Payment, 'find', () => fakeQuery([]));
+  mock.method(Order, 'updateOne', () => fakeQuery({ modifiedCount: 1 }));
+  mock.method(Product, 'updateOne', () => fakeQuery({ modifiedCount: 1 }));
+  mock.method(PaymentSettings, 'getSettings', async () => new PaymentSettings({ isActive: true, businessName: 'Vital Geo Naturals' }));
+  mock.method(nodemailer, 'createTransport', () => ({ sendMail: (message) => deliverMail(message) }));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  delete process.env.PAYMENT_EXPIRY_HOURS;
+  delete process.env.PAYMENT_REMINDER_HOURS;
+  delete process.env.SMTP_HOST;
+});
+
+describe('expirePendingPayments', () => {
+  it('counts the window from when the payment last became pending', async () => {
+    const reopened = addPayment({ createdAt: hoursAgo(100), pendingSince: hoursAgo(2) });
+    const stale = addPayment({ createdAt: hoursAgo(100), pendingSince: hoursAgo(50) });
+
+    const expired = await expirePendingPayments();
+
+    assert.equal(expired, 1);
+    assert.equal(reopened.status, 'pending');
+    assert.equal(stale.status, 'expired');
+    assert.deepEqual(
+      stale.statusHistory.map(({ from, to, note }) => ({ from, to, note })),
+      [{ from: 'pending', to: 'expired', note: 'Not confirmed within 48 hours' }]
+    );
+  });
+
+  it('counts from submission for payments from before pendingSince was recorded', async () => {
+    const legacy = addPayment({ createdAt: hoursAgo(50), pendingSince: null });
+    const recent = addPayment({ createdAt: hoursAgo(2), pendingSince: null });
+
+    await expirePendingPayments();
+
+    assert.equal(legacy.status, 'expired');
+    assert.equal(recent.status, 'pending');
+  });
+
+  it('gives back the reserved stock and cancels the order', async () => {
+    const productId = new mongoose.Types.ObjectId();
+    const payment = addPayment({
+      pendingSince: hoursAgo(50),
+      orderId: new mongoose.Types.ObjectId(),
+      stockReservation: { status: 'reserved', items: [{ productId, quantity: 2 }] }
+    });
+
+    await expirePendingPayments();
+
+    assert.equal(payment.stockReservation.status, 'released');
+    assert.deepEqual(Product.updateOne.mock.calls[0].arguments, [{ _id: productId }, { $inc: { stock: 2, reservedStock: -2 } }]);
+    assert.deepEqual(Order.updateOne.mock.calls[0].arguments, [{ _id: payment.orderId, status: 'pending' }, { status: 'cancelled' }]);
+  });
+
+  it('never expires cash on delivery payments', async () => {
+    const payment = addPayment({ pendingSince: hoursAgo(500), paymentMethod: { type: 'cash_on_delivery', label: 'Cash on delivery' } });
+
+    assert.equal(await expirePendingPayments(), 0);
+    assert.equal(payment.status, 'pending');
+  });
+
+  it('does nothing when expiry is turned off', async () => {
+    process.env.PAYMENT_EXPIRY_HOURS = '0';
+    const payment = addPayment({ pendingSince: hoursAgo(500) });
+
+    assert.equal(await expirePendingPayments(), 0);
+    assert.equal(payment.status, 'pending');
+    assert.equal(Payment.findOneAndUpdate.mock.callCount(), 0);
+  });
+});
+
+describe('sendPaymentReminders', () => {
+  beforeEach(() => {
+    process.env.PAYMENT_REMINDER_HOURS = '24';
+  });
+
+  it('reminds each customer once, with the expiry counted from when the payment became pending', async () => {
+    const pendingSince = hoursAgo(30);
+    const due = addPayment({ pendingSince });
+    addPayment({ pendingSince: hoursAgo(2) });
+    addPayment({ pendingSince: hoursAgo(30), reminderSentAt: hoursAgo(1) });
+    addPayment({ pendingSince: hoursAgo(30), contactEmail: undefined });
+
+    assert.equal(await sendPaymentReminders(), 1);
+    assert.equal(await sendPaymentReminders(), 0);
+
+    assert.equal(sentMail.length, 1);
+    assert.equal(sentMail[0].to, 'ayesha@example.com');
+    assert.match(sentMail[0].subject, new RegExp(due.bookingId));
+    assert.match(sentMail[0].text, new RegExp(new Date(pendingSince.getTime() + 48 * HOUR).toUTCString()));
+    assert.ok(due.reminderSentAt);
+  });
+
+  it('hands the payment back for the next run when the email cannot be sent', async () => {
+    deliverMail = async () => { throw new Error('Connection refused'); };
+    mock.method(console, 'error', () => {});
+    const payment = addPayment({ pendingSince: hoursAgo(30) });
+    addPayment({ pendingSince: hoursAgo(30) });
+
+    assert.equal(await sendPaymentReminders(), 0);
+
+    assert.equal(payment.reminderSentAt, null);
+    assert.equal(Payment.findOneAndUpdate.mock.callCount(), 1);
+  });
+
+  it('sends nothing when the reminder would not come before expiry or mail is not set up', async () => {
+    addPayment({ pendingSince: hoursAgo(30) });
+
+    process.env.PAYMENT_REMINDER_HOURS = '48';
+    assert.equal(await sendPaymentReminders(), 0);
+
+    process.env.PAYMENT_REMINDER_HOURS = '24';
+    delete process.env.SMTP_HOST;
+    assert.equal(await sendPaymentReminders(), 0);
+
+    assert.equal(Payment.findOneAndUpdate.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,184 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Payment from '../models/Payment.model.js';
+import User from '../models/User.model.js';
+import paymentController from '../controllers/payment.controller.js';
+import { fakeQuery } from './helpers/fakeQuery.js';
+import { createResponse } from './helpers/http.js';
+
+// Payments the list query returns for the current test, newest first
+let page;
+// Limit the list query was given
+let queryLimit;
+
+const listRequest = (query = {}) => ({ query, user: { _id: new mongoose.Types.ObjectId(), role: 'admin' } });
+
+const makePayments = (count) => Array.from({ length: count }, (_, index) => new Payment({
+  bookingId: `VGN-2026-00000${index + 1}-1`,
+  amount: 1000,
+  createdAt: new Date(Date.UTC(2026, 5, 30 - index))
+}));
+
+// Filter the list query ran with, without the page condition a cursor adds
+const listFilter = () => Payment.aggregate.mock.calls[0].arguments[0][0].$match;
+const listConditions = () => listFilter().$and;
+
+beforeEach(() => {
+  page = [];
+  queryLimit = null;
+  mock.method(Payment, 'find', () => {
+    const query = fakeQuery(page);
+    query.limit = (limit) => {
+      queryLimit = limit;
+      return query;
+    };
+    return query;
+  });
+  mock.method(Payment, 'aggregate', () => fakeQuery(page.length ? [{ count: 120, amount: 120000 }] : []));
+  mock.method(User, 'distinct', () => fakeQuery([]));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('getAllPayments', () => {
+  it('lists payments that are not deleted, 50 to a page, with totals for every match', async () => {
+    page = makePayments(3);
+    const res = createResponse();
+
+    await paymentController.getAllPayments(listRequest(), res);
+
+    assert.equal(queryLimit, 51);
+    assert.deepEqual(listConditions(), [{ deletedAt: null }]);
+    assert.equal(res.body.count, 3);
+    assert.equal(res.body.total, 120);
+    assert.equal(res.body.totalAmount, 120000);
+    assert.equal(res.body.hasMore, false);
+    assert.equal(res.body.nextCursor, null);
+  });
+
+  it('hands out a cursor that continues after the last payment on the page', async () => {
+    page = makePayments(3);
+    const res = createResponse();
+
+    await paymentController.getAllPayments(listRequest({ limit: '2' }), res);
+
+    assert.equal(queryLimit, 3);
+    assert.equal(res.body.count, 2);
+    assert.equal(res.body.hasMore, true);
+
+    await paymentController.getAllPayments(listRequest({ limit: '2', cursor: res.body.nextCursor }), createResponse());
+
+    const last = res.body.payments[1];
+    const [, after] = Payment.find.mock.calls[1].arguments[0].$and;
+    assert.deepEqual(after, {
+      $or: [
+        { createdAt: { $lt: last.createdAt } },
+        { createdAt: last.createdAt, _id: { $lt: last._id } }
+      ]
+    });
+  });
+
+  it('caps the page size at 100', async () => {
+    await paymentController.getAllPayments(listRequest({ limit: '500' }), createResponse());
+
+    assert.equal(queryLimit, 101);
+  });
+
+  it('filters on several statuses, a date range, an amount range and deleted payments', async () => {
+    await paymentController.getAllPayments(listRequest({
+      status: 'pending,verified',
+      from: '2026-06-01',
+      to: '2026-06-30',
+      minAmount: '500',
+      maxAmount: '5000',
+      deleted: 'true'
+    }), createResponse());
+
+    assert.deepEqual(listConditions(), [
+      { deletedAt: { $ne: null } },
+      { status: { $in: ['pending', 'verified'] } },
+      { createdAt: { $gte: new Date('2026-06-01'), $lt: new Date('2026-07-01') } },
+      { amount: { $gte: 500, $lte: 5000 } }
+    ]);
+  });
+
+  it('searches booking and transaction IDs with the search text taken literally', async () => {
+    await paymentController.getAllPayments(listRequest({ q: ' VGN-2026.* ' }), createResponse());
+
+    const [, search] = listConditions();
+    assert.deepEqual(search.$or.map(condition => Object.keys(condition)[0]),
+      ['bookingId', 'legacyBookingId', 'transactionId', 'gateway.transactionId']);
+    const pattern = search.$or[0].bookingId;
+    assert.ok(pattern.test('vgn-2026.*-000001'));
+    assert.ok(!pattern.test('VGN-2026-000001-1'));
+  });
+
+  it('matches a customer email on the checkout email or the account', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    User.distinct.mock.mockImplementation(() => fakeQuery([userId]));
+
+    await paymentController.getAllPayments(listRequest({ email: 'ayesha@' }), createResponse());
+
+    const [, byEmail] = listConditions();
+    assert.ok(byEmail.$or[0].contactEmail.test('Ayesha@example.com'));
+    assert.deepEqual(byEmail.$or[1], { userId: { $in: [userId] } });
+  });
+
+  it('answers 400 to invalid filters, page sizes and cursors', async () => {
+    const queries = [
+      { status: 'pending,lost' },
+      { from: 'yesterday' },
+      { minAmount: 'lots' },
+      { productId: 'ruby' },
+      { limit: '0' },
+      { limit: 'ten' },
+      { cursor: 'not-a-cursor' }
+    ];
+
+    for (const query of queries) {
+      const res = createResponse();
+      await paymentController.getAllPayments(listRequest(query), res);
+      assert.equal(res.statusCode, 400, JSON.stringify(query));
+    }
+    assert.equal(Payment.find.mock.callCount(), 0);
+  });
+});
+
+describe('restorePayment', () => {
+  let payment;
+
+  beforeEach(() => {
+    payment = new Payment({ bookingId: 'VGN-2026-000001-1', amount: 1000, deletedAt: new Date(), deletionNote: 'Test order' });
+    mock.method(Payment, 'findOneAndUpdate', (filter, update) => {
+      if (!payment._id.equals(filter._id) || !payment.deletedAt) return fakeQuery(null);
+      Object.assign(payment, update.$set);
+      return fakeQuery(payment);
+    });
+    mock.method(Payment, 'exists', (filter) => fakeQuery(payment._id.equals(filter._id) ? { _id: payment._id } : null));
+  });
+
+  it('brings a deleted payment back into the list', async () => {
+    const res = createResponse();
+
+    await paymentController.restorePayment({ params: { id: payment._id.toString() } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(payment.deletedAt, null);
+    assert.equal(payment.deletionNote, null);
+  });
+
+  it('answers 409 for a payment that is not deleted and 404 for an unknown one', async () => {
+    payment.deletedAt = null;
+    const notDeleted = createResponse();
+    const unknown = createResponse();
+
+    await paymentController.restorePayment({ params: { id: payment._id.toString() } }, notDeleted);
+    await paymentController.restorePayment({ params: { id: new mongoose.Types.ObjectId().toString() } }, unknown);
+
+    assert.equal(notDeleted.statusCode, 409);
+    assert.equal(unknown.statusCode, 404);
+  });
+});
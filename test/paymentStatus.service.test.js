@@ -0,0 +1,73 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Payment from '../models/Payment.model.js';
+import { changePaymentStatus } from '../services/paymentStatus.service.js';
+import { fakeQuery } from './helpers/fakeQuery.js';
+
+let payment;
+
+beforeEach(() => {
+  mock.method(Payment, 'findById', () => fakeQuery(payment));
+  // Only the status update itself finds the payment - there's no stock reservation to move
+  mock.method(Payment, 'findOneAndUpdate', (filter) => fakeQuery(filter.status ? payment : null));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const cancelledOrder = (fields) => new Payment({
+  bookingId: 'VGN-2026-000123-8',
+  amount: 2500,
+  fulfilment: { status: 'cancelled' },
+  ...fields
+});
+
+describe('changePaymentStatus', () => {
+  it('refuses to verify a rejected payment once its order has been cancelled', async () => {
+    payment = cancelledOrder({ status: 'rejected' });
+
+    await assert.rejects(
+      changePaymentStatus(payment._id.toString(), 'verified'),
+      { status: 409, message: /cancelled/ }
+    );
+    assert.equal(Payment.findOneAndUpdate.mock.callCount(), 0);
+  });
+
+  it('refuses to reopen a cash on delivery payment once its order has been cancelled', async () => {
+    payment = cancelledOrder({ status: 'verified', paymentMethod: { type: 'cash_on_delivery' } });
+
+    await assert.rejects(
+      changePaymentStatus(payment._id.toString(), 'pending'),
+      { status: 409, message: /cancelled/ }
+    );
+    assert.equal(Payment.findOneAndUpdate.mock.callCount(), 0);
+  });
+
+  it('starts a fresh expiry window and reminder when a payment goes back to pending', async () => {
+    payment = new Payment({
+      bookingId: 'VGN-2026-000123-8',
+      amount: 2500,
+      status: 'verified',
+      pendingSince: new Date('2026-01-01T00:00:00Z'),
+      reminderSentAt: new Date('2026-01-02T00:00:00Z')
+    });
+    const before = Date.now();
+
+    await changePaymentStatus(payment._id.toString(), 'pending');
+
+    const [, update] = Payment.findOneAndUpdate.mock.calls.find(call => call.arguments[0].status).arguments;
+    assert.ok(update.$set.pendingSince.getTime() >= before);
+    assert.equal(update.$set.reminderSentAt, null);
+  });
+
+  it('answers 404 for an unknown payment', async () => {
+    payment = null;
+
+    await assert.rejects(
+      changePaymentStatus(new mongoose.Types.ObjectId().toString(), 'verified'),
+      { status: 404 }
+    );
+  });
+});
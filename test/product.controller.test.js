@@ -0,0 +1,156 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Product from '../models/Product.model.js';
+import productController from '../controllers/product.controller.js';
+import { fakeQuery } from './helpers/fakeQuery.js';
+import { createResponse } from './helpers/http.js';
+
+const listingRequest = (query = {}, user = null) => ({ query, user, protocol: 'http', get: () => 'localhost:3000' });
+
+let products;
+
+// Just enough of MongoDB's expression language to run currentPriceExpression against plain objects
+const evaluate = (expression, doc) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) return doc[expression.slice(1)];
+  if (!expression || typeof expression !== 'object' || expression instanceof Date) return expression;
+
+  const [[operator, args]] = Object.entries(expression);
+  if (operator === '$cond') return evaluate(evaluate(args.if, doc) ? args.then : args.else, doc);
+  const [a, b] = args.map(arg => evaluate(arg, doc));
+  switch (operator) {
+    case '$and': return args.every(arg => evaluate(arg, doc));
+    case '$or': return args.some(arg => evaluate(arg, doc));
+    case '$ifNull': return a ?? b;
+    case '$eq': return a === b;
+    case '$ne': return a !== b;
+    case '$gt': return a > b;
+    case '$gte': return a >= b;
+    case '$lte': return a <= b;
+    default: throw new Error(`Unsupported operator ${operator}`);
+  }
+};
+
+// Runs the listing pipeline's price filter, current price and price sort - the stages these tests look at
+const fakeAggregate = (pipeline) => {
+  let docs = products.map(product => product.toObject());
+  pipeline.forEach((stage) => {
+    if (stage.$match?.$expr) {
+      docs = docs.filter(doc => evaluate(stage.$match.$expr, doc));
+    }
+    if (stage.$addFields) {
+      docs = docs.map(doc => ({ ...doc, currentPrice: evaluate(stage.$addFields.currentPrice, doc) }));
+    }
+    if (stage.$sort?.currentPrice) {
+      docs.sort((x, y) => (x.currentPrice - y.currentPrice) * stage.$sort.currentPrice);
+    }
+  });
+  return fakeQuery(docs);
+};
+
+const addProduct = (fields) => {
+  const product = new Product({ name: 'Ruby', productType: 'Gemstone', price: 1000, isActive: true, ...fields });
+  products.push(product);
+  return product;
+};
+
+beforeEach(() => {
+  products = [];
+  mock.method(Product, 'aggregate', fakeAggregate);
+  mock.method(Product, 'countDocuments', () => fakeQuery(products.length));
+  mock.method(Product, 'findById', (id) => fakeQuery(products.find(product => product._id.equals(id)) ?? null));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('stock in product responses', () => {
+  it('shows customers availability flags instead of stock counts', async () => {
+    addProduct({ name: 'Ruby', stock: 3, reservedStock: 1 });
+    addProduct({ name: 'Emerald', stock: 40 });
+    addProduct({ name: 'Sapphire', stock: 0 });
+    addProduct({ name: 'Custom ring', stock: null });
+    const res = createResponse();
+
+    await productController.getAllProducts(listingRequest(), res);
+
+    assert.deepEqual(
+      res.body.products.map(({ name, inStock, lowStock, stock, reservedStock }) => ({ name, inStock, lowStock, stock, reservedStock })),
+      [
+        { name: 'Ruby', inStock: true, lowStock: true, stock: undefined, reservedStock: undefined },
+        { name: 'Emerald', inStock: true, lowStock: false, stock: undefined, reservedStock: undefined },
+        { name: 'Sapphire', inStock: false, lowStock: false, stock: undefined, reservedStock: undefined },
+        { name: 'Custom ring', inStock: true, lowStock: false, stock: undefined, reservedStock: undefined }
+      ]
+    );
+  });
+
+  it('keeps exact counts in the admin listing', async () => {
+    addProduct({ name: 'Ruby', stock: 3, reservedStock: 1 });
+    const res = createResponse();
+
+    await productController.getAdminProducts(listingRequest({}, { role: 'admin' }), res);
+
+    assert.equal(res.body.products[0].stock, 3);
+    assert.equal(res.body.products[0].reservedStock, 1);
+  });
+
+  it('shows the exact count on a product page only to admins', async () => {
+    const product = addProduct({ name: 'Ruby', stock: 3 });
+
+    const publicRes = createResponse();
+    await productController.getProductById({ ...listingRequest(), params: { id: product._id.toString() } }, publicRes);
+    const adminRes = createResponse();
+    await productController.getProductById({ ...listingRequest({}, { role: 'admin' }), params: { id: product._id.toString() } }, adminRes);
+
+    assert.equal(publicRes.body.product.stock, undefined);
+    assert.equal(publicRes.body.product.lowStock, true);
+    assert.equal(adminRes.body.product.stock, 3);
+  });
+});
+
+describe('price filters and sorting', () => {
+  const day = 24 * 60 * 60 * 1000;
+
+  beforeEach(() => {
+    addProduct({ name: 'Ruby', price: 1000, salePrice: 400 });
+    addProduct({ name: 'Emerald', price: 600 });
+    addProduct({ name: 'Sapphire', price: 1000, salePrice: 400, saleStartsAt: new Date(Date.now() + day) });
+    addProduct({ name: 'Opal', price: 900, salePrice: 300, saleEndsAt: new Date(Date.now() - day) });
+  });
+
+  it('matches products on the price customers pay, sale included', async () => {
+    const res = createResponse();
+
+    await productController.getAllProducts(listingRequest({ minPrice: '300', maxPrice: '500' }), res);
+
+    assert.deepEqual(res.body.products.map(product => product.name), ['Ruby']);
+  });
+
+  it('leaves out a product whose list price is in range but is on sale below it', async () => {
+    const res = createResponse();
+
+    await productController.getAllProducts(listingRequest({ minPrice: '900' }), res);
+
+    assert.deepEqual(res.body.products.map(product => product.name), ['Sapphire', 'Opal']);
+  });
+
+  it('sorts by the current price', async () => {
+    const res = createResponse();
+
+    await productController.getAllProducts(listingRequest({ sort: 'price' }), res);
+
+    assert.deepEqual(res.body.products.map(product => [product.name, product.currentPrice]), [
+      ['Ruby', 400], ['Emerald', 600], ['Opal', 900], ['Sapphire', 1000]
+    ]);
+  });
+
+  it('answers 400 to a price filter that is not a number', async () => {
+    const res = createResponse();
+
+    await productController.getAllProducts(listingRequest({ minPrice: 'cheap' }), res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(Product.aggregate.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Product from '../models/Product.model.js';
+
+// A saved product with a sale running, as loaded from the database
+const productOnSale = () => Product.hydrate({
+  _id: new Product()._id,
+  name: 'Ruby',
+  productType: 'Gemstone',
+  description: 'Pigeon blood ruby',
+  image: '/uploads/products/ruby.jpg',
+  price: 1000,
+  salePrice: 800,
+  images: []
+});
+
+describe('sale price validation', () => {
+  it('refuses a price cut that leaves the running sale price at or above the new price', async () => {
+    const product = productOnSale();
+    product.price = 800;
+
+    await assert.rejects(product.validate(), (error) => {
+      assert.equal(error.errors.salePrice.message, 'Sale price must be lower than the regular price');
+      return true;
+    });
+  });
+
+  it('refuses a sale price that is not below the regular price', async () => {
+    const product = productOnSale();
+    product.salePrice = 1200;
+
+    await assert.rejects(product.validate(), /Sale price must be lower than the regular price/);
+  });
+
+  it('accepts a price change that keeps the sale price below it', async () => {
+    const product = productOnSale();
+    product.price = 900;
+
+    await product.validate();
+  });
+});
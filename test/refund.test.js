@@ -0,0 +1,136 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Payment from '../models/Payment.model.js';
+import Order from '../models/Order.model.js';
+import paymentController from '../controllers/payment.controller.js';
+import { storage } from '../services/storage.service.js';
+import { fakeQuery } from './helpers/fakeQuery.js';
+import { createResponse } from './helpers/http.js';
+
+const adminId = new mongoose.Types.ObjectId();
+
+let payment;
+
+const refundRequest = (body, file) => ({
+  params: { id: payment._id.toString() },
+  body,
+  file,
+  user: { _id: adminId, role: 'admin' },
+  ip: '198.51.100.2'
+});
+
+beforeEach(() => {
+  payment = new Payment({
+    bookingId: 'VGN-2026-000123-8',
+    orderId: new mongoose.Types.ObjectId(),
+    amount: 2500,
+    status: 'verified'
+  });
+
+  mock.method(Payment, 'findById', () => fakeQuery(payment));
+  // Applies the refund only while status and refunded amount are still what the handler read
+  mock.method(Payment, 'findOneAndUpdate', (filter, update) => {
+    const refunded = payment.refundedAmount ?? null;
+    const unchanged = payment.status === filter.status &&
+      (filter.refundedAmount.$in ? filter.refundedAmount.$in.includes(refunded) : refunded === filter.refundedAmount);
+    if (!unchanged) return fakeQuery(null);
+
+    payment.refundedAmount += update.$inc.refundedAmount;
+    payment.refunds.push(update.$push.refunds);
+    if (update.$set) {
+      payment.status = update.$set.status;
+      payment.statusHistory.push(update.$push.statusHistory);
+    }
+    return fakeQuery(payment);
+  });
+  mock.method(Order, 'updateOne', () => fakeQuery({ modifiedCount: 1 }));
+  mock.method(storage, 'delete', async () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('createRefund', () => {
+  it('records a partial refund and marks the payment partially refunded', async () => {
+    const res = createResponse();
+
+    await paymentController.createRefund(refundRequest({ amount: '1000', reason: ' Damaged in transit ' }), res);
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(payment.status, 'partially_refunded');
+    assert.equal(payment.refundedAmount, 1000);
+    assert.equal(payment.refunds[0].reason, 'Damaged in transit');
+    assert.deepEqual(payment.refunds[0].actor, adminId);
+    assert.equal(payment.statusHistory.at(-1).to, 'partially_refunded');
+    assert.equal(Order.updateOne.mock.callCount(), 0);
+  });
+
+  it('refunds whatever is left when no amount is given and marks the order refunded', async () => {
+    await paymentController.createRefund(refundRequest({ amount: '1000', reason: 'Damaged in transit' }), createResponse());
+    const res = createResponse();
+
+    await paymentController.createRefund(refundRequest({ reason: 'Order returned' }), res);
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.body.message, 'Payment refunded in full');
+    assert.equal(payment.status, 'refunded');
+    assert.equal(payment.refundedAmount, 2500);
+    assert.deepEqual(payment.refunds.map(refund => refund.amount), [1000, 1500]);
+    assert.deepEqual(Order.updateOne.mock.calls[0].arguments[1], { status: 'refunded' });
+  });
+
+  it('answers 400 to a refund larger than what is left', async () => {
+    payment.status = 'partially_refunded';
+    payment.refundedAmount = 2000;
+    const res = createResponse();
+
+    await paymentController.createRefund(refundRequest({ amount: '600', reason: 'Order returned' }), res);
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.message, /at most 500/);
+    assert.equal(Payment.findOneAndUpdate.mock.callCount(), 0);
+  });
+
+  it('answers 400 to a refund that is not a positive amount', async () => {
+    for (const amount of ['0', '-50', 'all']) {
+      const res = createResponse();
+      await paymentController.createRefund(refundRequest({ amount, reason: 'Order returned' }), res);
+      assert.equal(res.statusCode, 400, amount);
+    }
+    assert.equal(payment.refundedAmount, 0);
+  });
+
+  it('requires a reason', async () => {
+    const res = createResponse();
+
+    await paymentController.createRefund(refundRequest({ amount: '100', reason: '  ' }), res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, 'Refund reason is required');
+  });
+
+  it('answers 409 for payments that were never paid or are already refunded in full', async () => {
+    for (const [status, message] of [['pending', 'A pending payment cannot be refunded'], ['refunded', 'Payment has already been fully refunded']]) {
+      payment.status = status;
+      const res = createResponse();
+      await paymentController.createRefund(refundRequest({ reason: 'Order returned' }), res);
+      assert.equal(res.statusCode, 409);
+      assert.equal(res.body.message, message);
+    }
+  });
+
+  it('answers 409 and deletes the uploaded proof when the payment changed in the meantime', async () => {
+    Payment.findOneAndUpdate.mock.mockImplementation(() => fakeQuery(null));
+    const res = createResponse();
+
+    await paymentController.createRefund(
+      refundRequest({ amount: '100', reason: 'Order returned' }, { key: 'refunds/proof-1.png', storageRef: '/uploads/refunds/proof-1.png' }),
+      res
+    );
+
+    assert.equal(res.statusCode, 409);
+    assert.deepEqual(storage.delete.mock.calls.map(call => call.arguments[0]), ['refunds/proof-1.png']);
+  });
+});
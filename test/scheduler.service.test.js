@@ -0,0 +1,45 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { startScheduler } from '../services/scheduler.service.js';
+
+const MINUTE = 60 * 1000;
+
+// Start the scheduler with the given check interval setting and return the delay it used
+const startWith = (value) => {
+  if (value === undefined) {
+    delete process.env.PAYMENT_EXPIRY_CHECK_MINUTES;
+  } else {
+    process.env.PAYMENT_EXPIRY_CHECK_MINUTES = value;
+  }
+  startScheduler()();
+  return setInterval.mock.calls.at(-1).arguments[1];
+};
+
+beforeEach(() => {
+  mock.method(globalThis, 'setInterval', () => ({ unref: () => {} }));
+  mock.method(globalThis, 'clearInterval', () => {});
+  mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  delete process.env.PAYMENT_EXPIRY_CHECK_MINUTES;
+});
+
+describe('scheduler', () => {
+  it('checks pending payments every 15 minutes by default', () => {
+    assert.equal(startWith(undefined), 15 * MINUTE);
+  });
+
+  it('uses a positive PAYMENT_EXPIRY_CHECK_MINUTES', () => {
+    assert.equal(startWith('2.5'), 2.5 * MINUTE);
+    assert.equal(console.warn.mock.callCount(), 0);
+  });
+
+  it('falls back to 15 minutes for a setting that is not a positive number', () => {
+    ['0', '-5', 'abc', 'Infinity', '10min'].forEach((value) => {
+      assert.equal(startWith(value), 15 * MINUTE, value);
+    });
+    assert.equal(console.warn.mock.callCount(), 5);
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import Payment from '../models/Payment.model.js';
+import { hashScreenshot, findScreenshotMatches, hammingDistance, PERCEPTUAL_MATCH_DISTANCE } from '../services/screenshotHash.service.js';
+import { fakeQuery } from './helpers/fakeQuery.js';
+
+// A transfer confirmation drawn from blocks - header bar, amount panel and detail rows
+const renderScreenshot = (blocks, { width = 360, height = 640 } = {}) => sharp(Buffer.from(
+  `<svg xmlns="http://www.w3.org/2000/svg" width="360" height="640">
+    <rect width="360" height="640" fill="#f4f6f8"/>
+    ${blocks.map(([x, y, w, h, fill]) => `<rect x="${x}" y="${y}" width="${w}" height="${h}" fill="${fill}"/>`).join('')}
+  </svg>`
+)).resize(width, height).png().toBuffer();
+
+const receipt = [[0, 0, 360, 80, '#0b5'], [40, 140, 280, 120, '#222'], [40, 320, 120, 24, '#777'], [200, 320, 120, 24, '#777']];
+const otherReceipt = [[0, 560, 360, 80, '#c20'], [20, 40, 140, 300, '#333'], [200, 60, 140, 40, '#999'], [200, 400, 40, 200, '#555']];
+
+let payments;
+
+// Earlier payments matching the exact hash or sharing a band, as the query finds them
+const findCandidates = (filter) => payments.filter(payment => filter.$or.some(condition =>
+  condition['screenshotHash.sha256']
+    ? payment.screenshotHash?.sha256 === condition['screenshotHash.sha256']
+    : payment.screenshotHash?.bands?.some(band => condition['screenshotHash.bands'].$in.includes(band))));
+
+const addPayment = (screenshotHash) => {
+  const payment = new Payment({ bookingId: `VGN-2026-00000${payments.length + 1}-1`, amount: 2500, screenshotHash });
+  payments.push(payment);
+  return payment;
+};
+
+beforeEach(() => {
+  payments = [];
+  mock.method(Payment, 'find', (filter) => fakeQuery(findCandidates(filter)));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('hashScreenshot', () => {
+  it('gives the same image re-encoded and resized a nearby perceptual hash', async () => {
+    const original = await hashScreenshot(await renderScreenshot(receipt));
+    const reencoded = await hashScreenshot(await sharp(await renderScreenshot(receipt, { width: 300, height: 533 })).jpeg({ quality: 60 }).toBuffer());
+    const other = await hashScreenshot(await renderScreenshot(otherReceipt));
+
+    assert.notEqual(reencoded.sha256, original.sha256);
+    assert.ok(hammingDistance(original.perceptual, reencoded.perceptual) <= PERCEPTUAL_MATCH_DISTANCE);
+    assert.ok(hammingDistance(original.perceptual, other.perceptual) > PERCEPTUAL_MATCH_DISTANCE);
+    assert.equal(original.bands.length, 16);
+  });
+
+  it('keeps the exact hash of a file that is not an image', async () => {
+    mock.method(console, 'error', () => {});
+
+    const hashes = await hashScreenshot(Buffer.from('not an image'));
+
+    assert.match(hashes.sha256, /^[0-9a-f]{64}$/);
+    assert.equal(hashes.perceptual, undefined);
+  });
+});
+
+describe('findScreenshotMatches', () => {
+  it('flags exact copies and re-encoded copies of an earlier screenshot', async () => {
+    const screenshot = await renderScreenshot(receipt);
+    const exact = addPayment(await hashScreenshot(screenshot));
+    const similar = addPayment(await hashScreenshot(await sharp(screenshot).jpeg({ quality: 50 }).toBuffer()));
+    addPayment(await hashScreenshot(await renderScreenshot(otherReceipt)));
+
+    const matches = await findScreenshotMatches(await hashScreenshot(screenshot));
+
+    assert.deepEqual(matches.map(({ bookingId, type }) => ({ bookingId, type })), [
+      { bookingId: exact.bookingId, type: 'exact' },
+      { bookingId: similar.bookingId, type: 'similar' }
+    ]);
+    assert.equal(matches[0].distance, 0);
+  });
+
+  it('checks an existing payment only against older ones, leaving itself out', async () => {
+    const screenshot = await renderScreenshot(receipt);
+    const payment = addPayment(await hashScreenshot(screenshot));
+    const before = new Date();
+
+    await findScreenshotMatches(payment.screenshotHash, { excludeId: payment._id, before });
+
+    const [filter] = Payment.find.mock.calls[0].arguments;
+    assert.deepEqual(filter._id, { $ne: payment._id });
+    assert.deepEqual(filter.createdAt, { $lt: before });
+  });
+
+  it('finds nothing for a screenshot without hashes', async () => {
+    assert.deepEqual(await findScreenshotMatches(undefined), []);
+    assert.equal(Payment.find.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,34 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createS3Driver } from '../services/storage/s3.driver.js';
+
+const s3Options = {
+  bucket: 'vitalgeo-uploads',
+  privateBucket: 'vitalgeo-payment-documents',
+  privateFolders: ['payments', 'refunds', 'invoices'],
+  region: 'us-east-1'
+};
+
+describe('S3 storage driver', () => {
+  it('keeps payment documents out of the public bucket', async () => {
+    const driver = createS3Driver(s3Options);
+    const send = mock.method(driver.client, 'send', async () => ({}));
+
+    await driver.put('payments/payment-1.png', Buffer.from('screenshot'));
+    await driver.put('invoices/INV-2026-000001.pdf', Buffer.from('pdf'));
+    await driver.delete('refunds/refund-1.pdf');
+    await driver.put('products/product-1.jpg', Buffer.from('image'));
+
+    assert.deepEqual(send.mock.calls.map(call => call.arguments[0].input.Bucket), [
+      'vitalgeo-payment-documents',
+      'vitalgeo-payment-documents',
+      'vitalgeo-payment-documents',
+      'vitalgeo-uploads'
+    ]);
+  });
+
+  it('refuses to start without a separate private bucket', () => {
+    assert.throws(() => createS3Driver({ ...s3Options, privateBucket: undefined }), /S3_PRIVATE_BUCKET is required/);
+    assert.throws(() => createS3Driver({ ...s3Options, privateBucket: s3Options.bucket }), /S3_PRIVATE_BUCKET is required/);
+  });
+});